@@ -0,0 +1,181 @@
+/* eslint-env node */
+
+// Relay check - starts the stub model and a relay in front of it on localhost, then checks
+// forwarding, per-user limits and the structured error bodies. No provider key or network needed
+//   npm run relay:check
+const assert = require('assert');
+const { RelayServer, loadConfig, createUserToken } = require('./server');
+const { createStubModelServer } = require('./stubModel');
+
+const TOKEN_SECRET = 'relay-check-secret';
+
+function listen(server) {
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+}
+
+// Start a relay on a free port in front of the stub model
+async function startRelay(stubPort, settings) {
+    const config = loadConfig(Object.assign({
+        RELAY_UPSTREAM: 'openai',
+        RELAY_UPSTREAM_URL: `http://127.0.0.1:${stubPort}/v1`,
+        RELAY_TOKEN_SECRET: TOKEN_SECRET
+    }, settings));
+    const logEntries = [];
+    const relay = new RelayServer(config, { log: (entry) => logEntries.push(entry) });
+    const address = await relay.listen(0, '127.0.0.1');
+    return { relay, logEntries, url: `http://127.0.0.1:${address.port}` };
+}
+
+// POST a chat completion as one user; returns { status, headers, body } (body is text for streams)
+async function chat(url, token, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const response = await fetch(`${url}/v1/chat/completions`, {
+        method: 'POST',
+        headers: headers,
+        body: options.rawBody || JSON.stringify({
+            messages: [{ role: 'user', content: options.question || 'What is the total?' }],
+            stream: Boolean(options.stream),
+            max_tokens: options.maxTokens || 100
+        })
+    });
+    const text = await response.text();
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return { status: response.status, headers: response.headers, body: isJson ? JSON.parse(text) : text };
+}
+
+// Every failure uses the same shape: { error: { code, message, retryAfter } }
+function assertError(result, status, code) {
+    assert.strictEqual(result.status, status, `expected ${status} ${code}, got ${result.status}`);
+    assert.ok(result.body && result.body.error, 'error body missing');
+    assert.strictEqual(result.body.error.code, code);
+    assert.strictEqual(typeof result.body.error.message, 'string');
+    assert.ok('retryAfter' in result.body.error, 'retryAfter missing from the error body');
+}
+
+const checks = [
+    ['forwards a request and returns the answer with usage', async ({ stubPort }) => {
+        const { relay, logEntries, url } = await startRelay(stubPort, { RELAY_MODEL: 'stub-model' });
+        try {
+            const result = await chat(url, createUserToken('alice', TOKEN_SECRET), { question: 'Total revenue?' });
+            assert.strictEqual(result.status, 200);
+            assert.match(result.body.choices[0].message.content, /Total revenue\?/);
+            assert.ok(result.body.usage.total_tokens > 0);
+            assert.strictEqual(logEntries[0].userId, 'alice');
+            assert.strictEqual(logEntries[0].model, 'stub-model');
+            assert.ok(!JSON.stringify(logEntries).includes('Total revenue'), 'prompt text was logged');
+        } finally {
+            await relay.close();
+        }
+    }],
+
+    ['streams server-sent events through', async ({ stubPort }) => {
+        const { relay, logEntries, url } = await startRelay(stubPort, {});
+        try {
+            const result = await chat(url, createUserToken('alice', TOKEN_SECRET), { question: 'Stream me', stream: true });
+            assert.strictEqual(result.status, 200);
+            assert.match(result.body, /"content":"Stub /);
+            assert.match(result.body, /data: \[DONE\]/);
+            assert.strictEqual(logEntries[0].tokensEstimated, false, 'usage record was not read from the stream');
+        } finally {
+            await relay.close();
+        }
+    }],
+
+    ['rejects missing and forged access tokens', async ({ stubPort }) => {
+        const { relay, url } = await startRelay(stubPort, {});
+        try {
+            assertError(await chat(url, null), 401, 'unauthorized');
+            assertError(await chat(url, 'alice.not-a-signature'), 401, 'unauthorized');
+            assertError(await chat(url, createUserToken('alice', 'another-secret')), 401, 'unauthorized');
+        } finally {
+            await relay.close();
+        }
+    }],
+
+    ['rate limits each user with 429 and Retry-After', async ({ stubPort }) => {
+        const { relay, url } = await startRelay(stubPort, { RELAY_RATE_LIMIT: '2' });
+        try {
+            const alice = createUserToken('alice', TOKEN_SECRET);
+            assert.strictEqual((await chat(url, alice)).status, 200);
+            assert.strictEqual((await chat(url, alice)).status, 200);
+            const limited = await chat(url, alice);
+            assertError(limited, 429, 'rate_limited');
+            assert.ok(limited.body.error.retryAfter > 0);
+            assert.strictEqual(limited.headers.get('retry-after'), String(limited.body.error.retryAfter));
+
+            // Another user has their own limit; alice cannot borrow it without bob's token
+            assert.strictEqual((await chat(url, createUserToken('bob', TOKEN_SECRET))).status, 200);
+        } finally {
+            await relay.close();
+        }
+    }],
+
+    ['stops a user at the daily token budget', async ({ stubPort }) => {
+        const { relay, url } = await startRelay(stubPort, { RELAY_DAILY_TOKEN_BUDGET: '300' });
+        try {
+            const alice = createUserToken('alice', TOKEN_SECRET);
+            assert.strictEqual((await chat(url, alice, { maxTokens: 100 })).status, 200);
+            assertError(await chat(url, alice, { maxTokens: 1000 }), 429, 'budget_exceeded');
+        } finally {
+            await relay.close();
+        }
+    }],
+
+    ['reserves tokens so concurrent requests cannot overspend the budget', async ({ stubPort }) => {
+        const { relay, url } = await startRelay(stubPort, { RELAY_DAILY_TOKEN_BUDGET: '300' });
+        try {
+            const alice = createUserToken('alice', TOKEN_SECRET);
+            const results = await Promise.all([1, 2, 3].map(() => chat(url, alice, { maxTokens: 200 })));
+            const statuses = results.map(result => result.status).sort();
+            assert.deepStrictEqual(statuses, [200, 429, 429]);
+            results.filter(result => result.status === 429).forEach(result => assertError(result, 429, 'budget_exceeded'));
+        } finally {
+            await relay.close();
+        }
+    }],
+
+    ['returns structured errors for bad requests and upstream failures', async ({ stubPort }) => {
+        const { relay, url } = await startRelay(stubPort, {});
+        const alice = createUserToken('alice', TOKEN_SECRET);
+        try {
+            assertError(await chat(url, alice, { rawBody: '{not json' }), 400, 'bad_request');
+            assertError(await chat(url, alice, { rawBody: JSON.stringify({ messages: [] }) }), 400, 'bad_request');
+
+            const notFound = await fetch(`${url}/v1/unknown`, { headers: { Authorization: `Bearer ${alice}` } });
+            assertError({ status: notFound.status, body: await notFound.json() }, 404, 'not_found');
+        } finally {
+            await relay.close();
+        }
+
+        // Nothing listens on the upstream port: the relay reports it instead of failing
+        const unreachable = await startRelay(1, {});
+        try {
+            assertError(await chat(unreachable.url, alice), 502, 'upstream_unreachable');
+        } finally {
+            await unreachable.relay.close();
+        }
+    }]
+];
+
+async function main() {
+    const stub = createStubModelServer({ delayMs: 50 });
+    const stubPort = await listen(stub);
+    let failed = 0;
+
+    for (const [name, check] of checks) {
+        try {
+            await check({ stubPort });
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`not ok - ${name}\n  ${error.stack || error.message}`);
+        }
+    }
+
+    await new Promise((resolve) => stub.close(resolve));
+    console.log(failed ? `${failed} of ${checks.length} checks failed` : `All ${checks.length} checks passed`);
+    process.exitCode = failed ? 1 : 0;
+}
+
+main();
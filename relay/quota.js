@@ -0,0 +1,97 @@
+/* eslint-env node */
+
+// QuotaTracker - Per-user request rate limit and daily token budget for the relay
+// Counters live in memory, so they reset when the relay restarts
+class QuotaTracker {
+    constructor(options = {}) {
+        this.CONFIG = {
+            RATE_LIMIT: options.rateLimit || 20, // Requests per user per window
+            WINDOW_MS: options.windowMs || 60 * 1000,
+            DAILY_TOKEN_BUDGET: options.dailyTokenBudget || 200000 // Tokens per user per UTC day
+        };
+        this.now = options.now || (() => Date.now());
+        this.requests = new Map(); // userId -> request timestamps inside the window
+        this.tokens = new Map(); // userId -> { day, used }
+    }
+
+    // Check whether a user may send another request of about estimatedTokens tokens
+    // When allowed, the request is counted and its estimate reserved against the daily budget, so
+    // concurrent requests cannot overspend it; recordTokens replaces the reservation with the real count
+    // Returns { allowed, code, message, retryAfter, reserved } - retryAfter in seconds
+    checkRequest(userId, estimatedTokens = 0) {
+        const now = this.now();
+        const estimate = Math.max(0, Math.ceil(estimatedTokens || 0));
+
+        const spent = this.getTokensToday(userId);
+        if (spent >= this.CONFIG.DAILY_TOKEN_BUDGET || spent + estimate > this.CONFIG.DAILY_TOKEN_BUDGET) {
+            const left = Math.max(0, this.CONFIG.DAILY_TOKEN_BUDGET - spent);
+            return {
+                allowed: false,
+                code: 'budget_exceeded',
+                message: left > 0
+                    ? `This request needs about ${estimate.toLocaleString()} tokens but only ${left.toLocaleString()} of the daily budget of ${this.CONFIG.DAILY_TOKEN_BUDGET.toLocaleString()} are left`
+                    : `Daily token budget of ${this.CONFIG.DAILY_TOKEN_BUDGET.toLocaleString()} tokens used up`,
+                retryAfter: Math.ceil((this.getNextUtcMidnight(now) - now) / 1000),
+                reserved: 0
+            };
+        }
+
+        const recent = (this.requests.get(userId) || []).filter(time => now - time < this.CONFIG.WINDOW_MS);
+        if (recent.length >= this.CONFIG.RATE_LIMIT) {
+            this.requests.set(userId, recent);
+            return {
+                allowed: false,
+                code: 'rate_limited',
+                message: `More than ${this.CONFIG.RATE_LIMIT} requests in ${Math.round(this.CONFIG.WINDOW_MS / 1000)} seconds`,
+                retryAfter: Math.max(1, Math.ceil((recent[0] + this.CONFIG.WINDOW_MS - now) / 1000)),
+                reserved: 0
+            };
+        }
+
+        recent.push(now);
+        this.requests.set(userId, recent);
+        this.addTokens(userId, estimate);
+        return { allowed: true, code: null, message: null, retryAfter: 0, reserved: estimate };
+    }
+
+    // Settle a request: swap the tokens reserved by checkRequest for the tokens it actually used
+    recordTokens(userId, tokenCount, reserved = 0) {
+        this.addTokens(userId, Math.max(0, tokenCount || 0) - reserved);
+    }
+
+    addTokens(userId, delta) {
+        const day = this.getDay(this.now());
+        const entry = this.tokens.get(userId);
+        const used = entry && entry.day === day ? entry.used : 0;
+        this.tokens.set(userId, { day: day, used: Math.max(0, used + delta) });
+    }
+
+    getTokensToday(userId) {
+        const entry = this.tokens.get(userId);
+        return entry && entry.day === this.getDay(this.now()) ? entry.used : 0;
+    }
+
+    // Usage summary for one user (GET /v1/usage)
+    describeUsage(userId) {
+        const now = this.now();
+        const recent = (this.requests.get(userId) || []).filter(time => now - time < this.CONFIG.WINDOW_MS);
+        return {
+            requestsInWindow: recent.length,
+            rateLimit: this.CONFIG.RATE_LIMIT,
+            windowSeconds: Math.round(this.CONFIG.WINDOW_MS / 1000),
+            tokensToday: this.getTokensToday(userId),
+            dailyTokenBudget: this.CONFIG.DAILY_TOKEN_BUDGET
+        };
+    }
+
+    getDay(time) {
+        return new Date(time).toISOString().slice(0, 10);
+    }
+
+    getNextUtcMidnight(time) {
+        const date = new Date(time);
+        return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+    }
+}
+
+module.exports = { QuotaTracker };
@@ -0,0 +1,431 @@
+/* eslint-env node */
+
+// Relay server - lets the add-in use a model provider without giving every user the provider key
+// The add-in's "relay" provider sends OpenAI-style chat completion requests here; the relay adds the
+// key it holds, forwards the request upstream and streams the answer back. Each user is limited
+// to RATE_LIMIT requests a minute and DAILY_TOKEN_BUDGET tokens a day, every request is logged
+// (metadata only, never prompt text) and failures come back as
+//   { error: { code, message, retryAfter } }
+//
+// Configuration (environment variables or .env):
+//   RELAY_PORT                port to listen on (default 8787)
+//   RELAY_HOST                interface to listen on (default 127.0.0.1; 0.0.0.0 to serve the network)
+//   RELAY_UPSTREAM            gemini | openai (default gemini)
+//   RELAY_UPSTREAM_URL        base URL of an OpenAI-compatible upstream, e.g. http://localhost:8788/v1
+//   RELAY_UPSTREAM_KEY        provider key (GEMINI_API_KEY is used for gemini when unset)
+//   RELAY_MODEL               model used for every request (default per upstream)
+//   RELAY_TOKEN_SECRET        secret that signs per-user access tokens; when set every request needs one
+//   RELAY_ALLOWED_ORIGINS     comma-separated origins allowed to call the relay (default https://localhost:3000)
+//   RELAY_RATE_LIMIT          requests per user per minute (default 20)
+//   RELAY_DAILY_TOKEN_BUDGET  tokens per user per UTC day (default 200000)
+//   RELAY_MAX_OUTPUT_TOKENS   cap on max_tokens per request (default 4096)
+//   RELAY_LOG_FILE            append the request log here as JSON lines (default stdout)
+//
+//
+// Users: the relay identifies each user by a signed access token, which they enter as their API key
+// in the add-in. Issue one with `npm run relay:token -- <user id>`. Without RELAY_TOKEN_SECRET the
+// relay limits each caller address instead - only suitable for a relay serving a single machine
+//
+// Offline runs: start relay/stubModel.js and point RELAY_UPSTREAM=openai at it (npm run relay:check
+// does this and checks forwarding, limits and error bodies)
+const http = require('http');
+const fs = require('fs');
+const crypto = require('crypto');
+const { QuotaTracker } = require('./quota');
+
+const UPSTREAMS = {
+    // Gemini's OpenAI-compatible endpoint (streaming and function calling)
+    gemini: { baseUrl: 'https://generativelanguage.googleapis.com/v1beta/openai', model: 'gemini-2.5-flash', keyVariable: 'GEMINI_API_KEY' },
+    openai: { baseUrl: null, model: null, keyVariable: 'LLM_API_KEY' }
+};
+
+const MAX_BODY_BYTES = 2 * 1024 * 1024;
+const USER_ID_PATTERN = /^[\w@-][\w.@-]{0,63}$/;
+
+// Access token for one user: "<user id>.<HMAC of the user id>", so users cannot pick another id
+function createUserToken(userId, secret) {
+    if (!USER_ID_PATTERN.test(String(userId || ''))) {
+        throw new Error('User ids are 1-64 letters, digits, "_", "-", "@" or "."');
+    }
+    return `${userId}.${signUserId(userId, secret)}`;
+}
+
+// The user id a token was issued for, or null when the token is malformed or not signed with this secret
+function verifyUserToken(token, secret) {
+    const separator = typeof token === 'string' ? token.lastIndexOf('.') : -1;
+    if (separator <= 0) return null;
+
+    const userId = token.substring(0, separator);
+    const signature = Buffer.from(token.substring(separator + 1));
+    const expected = Buffer.from(signUserId(userId, secret));
+    if (!USER_ID_PATTERN.test(userId) || signature.length !== expected.length) return null;
+    return crypto.timingSafeEqual(signature, expected) ? userId : null;
+}
+
+function signUserId(userId, secret) {
+    return crypto.createHmac('sha256', secret).update(`relay-user:${userId}`).digest('base64url');
+}
+
+// Build the relay configuration from environment variables
+function loadConfig(env = process.env) {
+    const upstreamName = (env.RELAY_UPSTREAM || 'gemini').toLowerCase();
+    const upstream = UPSTREAMS[upstreamName];
+    if (!upstream) {
+        throw new Error(`Unknown RELAY_UPSTREAM "${upstreamName}". Available: ${Object.keys(UPSTREAMS).join(', ')}`);
+    }
+
+    const config = {
+        port: Number(env.RELAY_PORT) || 8787,
+        host: env.RELAY_HOST || '127.0.0.1',
+        upstream: upstreamName,
+        upstreamUrl: (env.RELAY_UPSTREAM_URL || upstream.baseUrl || '').replace(/\/+$/, ''),
+        upstreamKey: env.RELAY_UPSTREAM_KEY || env[upstream.keyVariable] || null,
+        model: env.RELAY_MODEL || upstream.model,
+        tokenSecret: env.RELAY_TOKEN_SECRET || null,
+        allowedOrigins: (env.RELAY_ALLOWED_ORIGINS || 'https://localhost:3000').split(',').map(origin => origin.trim()).filter(Boolean),
+        rateLimit: Number(env.RELAY_RATE_LIMIT) || 20,
+        dailyTokenBudget: Number(env.RELAY_DAILY_TOKEN_BUDGET) || 200000,
+        maxOutputTokens: Number(env.RELAY_MAX_OUTPUT_TOKENS) || 4096,
+        logFile: env.RELAY_LOG_FILE || null
+    };
+
+    if (!config.upstreamUrl) {
+        throw new Error('RELAY_UPSTREAM_URL is required for the openai upstream');
+    }
+    if (upstreamName === 'gemini' && !config.upstreamKey) {
+        throw new Error('Set RELAY_UPSTREAM_KEY (or GEMINI_API_KEY) so the relay can call Gemini');
+    }
+    return config;
+}
+
+// Error raised while handling a request; becomes the structured error response
+class RelayError extends Error {
+    constructor(status, code, message, retryAfter = null) {
+        super(message);
+        this.name = 'RelayError';
+        this.status = status;
+        this.code = code;
+        this.retryAfter = retryAfter;
+    }
+}
+
+class RelayServer {
+    constructor(config, options = {}) {
+        this.config = config;
+        this.quota = options.quota || new QuotaTracker({
+            rateLimit: config.rateLimit,
+            dailyTokenBudget: config.dailyTokenBudget
+        });
+        this.log = options.log || ((entry) => this.writeLog(entry));
+        this.server = http.createServer((req, res) => this.handle(req, res));
+    }
+
+    listen(port = this.config.port, host = this.config.host) {
+        return new Promise((resolve) => {
+            this.server.listen(port, host, () => resolve(this.server.address()));
+        });
+    }
+
+    close() {
+        return new Promise((resolve) => this.server.close(() => resolve()));
+    }
+
+    // Route one request; every outcome is logged
+    async handle(req, res) {
+        const started = Date.now();
+        const entry = { time: new Date(started).toISOString(), method: req.method, path: req.url.split('?')[0], userId: null };
+
+        this.setCorsHeaders(req, res);
+        try {
+            if (req.method === 'OPTIONS') {
+                res.writeHead(204);
+                res.end();
+                return;
+            }
+            if (req.method === 'GET' && entry.path === '/health') {
+                this.sendJson(res, 200, { status: 'ok', upstream: this.config.upstream, model: this.config.model });
+                return;
+            }
+
+            this.checkOrigin(req);
+            entry.userId = this.getUserId(req);
+
+            if (req.method === 'GET' && entry.path === '/v1/usage') {
+                this.sendJson(res, 200, this.quota.describeUsage(entry.userId));
+            } else if (req.method === 'POST' && entry.path === '/v1/chat/completions') {
+                await this.handleChatCompletion(req, res, entry);
+            } else {
+                throw new RelayError(404, 'not_found', `No route for ${req.method} ${entry.path}`);
+            }
+        } catch (error) {
+            this.sendError(res, error, entry);
+        } finally {
+            entry.status = res.statusCode;
+            entry.durationMs = Date.now() - started;
+            this.log(entry);
+        }
+    }
+
+    // Check the user's limits, forward the request and stream the answer back
+    async handleChatCompletion(req, res, entry) {
+        const body = await this.readJsonBody(req);
+        if (!Array.isArray(body.messages) || body.messages.length === 0) {
+            throw new RelayError(400, 'bad_request', 'messages must be a non-empty array');
+        }
+
+        // The relay decides the model and caps the output length
+        const upstreamBody = Object.assign({}, body, {
+            model: this.config.model || body.model,
+            max_tokens: Math.min(body.max_tokens || this.config.maxOutputTokens, this.config.maxOutputTokens)
+        });
+        if (upstreamBody.stream) {
+            upstreamBody.stream_options = { include_usage: true };
+        }
+        Object.assign(entry, {
+            model: upstreamBody.model,
+            stream: Boolean(upstreamBody.stream),
+            messageCount: body.messages.length,
+            requestBytes: Buffer.byteLength(JSON.stringify(body.messages)),
+            tools: Array.isArray(body.tools) ? body.tools.length : 0
+        });
+
+        // Reserve the most this request can use (prompt estimate plus the output cap) until it settles
+        const check = this.quota.checkRequest(entry.userId, Math.ceil(entry.requestBytes / 4) + upstreamBody.max_tokens);
+        if (!check.allowed) {
+            throw new RelayError(429, check.code, check.message, check.retryAfter);
+        }
+
+        // Stop the upstream call when the add-in cancels
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        let tokens = null;
+        try {
+            const upstream = await this.callUpstream(upstreamBody, controller.signal);
+            tokens = upstreamBody.stream
+                ? await this.relayStream(upstream, res)
+                : await this.relayJson(upstream, res);
+        } finally {
+            // Streams without a usage record are estimated from the request and response sizes;
+            // a request that failed before any answer costs nothing
+            if (!tokens) {
+                entry.tokens = 0;
+            } else {
+                entry.tokens = tokens.total !== null ? tokens.total : Math.ceil((entry.requestBytes + tokens.responseChars) / 4);
+                entry.tokensEstimated = tokens.total === null;
+            }
+            this.quota.recordTokens(entry.userId, entry.tokens, check.reserved);
+        }
+    }
+
+    async callUpstream(body, signal) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.config.upstreamKey) {
+            headers.Authorization = `Bearer ${this.config.upstreamKey}`;
+        }
+
+        let response;
+        try {
+            response = await fetch(`${this.config.upstreamUrl}/chat/completions`, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify(body),
+                signal: signal
+            });
+        } catch (error) {
+            if (signal.aborted) throw new RelayError(499, 'cancelled', 'Request cancelled by the client');
+            throw new RelayError(502, 'upstream_unreachable', `Could not reach the model provider: ${error.message}`);
+        }
+
+        if (!response.ok) {
+            let detail = response.statusText;
+            try {
+                const errorBody = await response.json();
+                detail = (errorBody.error && errorBody.error.message) || detail;
+            } catch {
+                // Keep the status text
+            }
+            throw this.mapUpstreamError(response, detail);
+        }
+        return response;
+    }
+
+    // Upstream failures: key problems are the relay's, not the user's
+    mapUpstreamError(response, detail) {
+        const status = response.status;
+        if (status === 401 || status === 403) {
+            return new RelayError(502, 'upstream_auth', 'The relay\'s provider key was rejected - contact your administrator');
+        }
+        if (status === 429) {
+            const retryAfter = Number(response.headers.get('retry-after')) || 30;
+            return new RelayError(429, 'upstream_rate_limited', `The model provider is rate limiting the relay: ${detail}`, retryAfter);
+        }
+        if (status === 400) {
+            return new RelayError(400, 'upstream_rejected', `The model provider rejected the request: ${detail}`);
+        }
+        return new RelayError(502, 'upstream_error', `Model provider error ${status}: ${detail}`);
+    }
+
+    // Pass server-sent events through as they arrive, reading the usage record on the way
+    async relayStream(upstream, res) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let total = null;
+        let responseChars = 0;
+
+        const readLine = (line) => {
+            const payload = line.trim().startsWith('data:') ? line.trim().slice(5).trim() : null;
+            if (!payload || payload === '[DONE]') return;
+            try {
+                const parsed = JSON.parse(payload);
+                if (parsed.usage && parsed.usage.total_tokens !== undefined) total = parsed.usage.total_tokens;
+                const delta = parsed.choices && parsed.choices[0] && parsed.choices[0].delta;
+                if (delta && delta.content) responseChars += delta.content.length;
+            } catch {
+                // Not JSON - forwarded unchanged
+            }
+        };
+
+        try {
+            for await (const chunk of upstream.body) {
+                res.write(chunk);
+                buffer += decoder.decode(chunk, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                lines.forEach(readLine);
+            }
+            readLine(buffer);
+        } catch (error) {
+            // Client or upstream went away mid-stream; tokens streamed so far still count
+            console.warn('Stream interrupted:', error.message);
+        }
+        res.end();
+        return { total: total, responseChars: responseChars };
+    }
+
+    async relayJson(upstream, res) {
+        const result = await upstream.json();
+        this.sendJson(res, 200, result);
+        const content = result.choices && result.choices[0] && result.choices[0].message ? result.choices[0].message.content : '';
+        return {
+            total: result.usage && result.usage.total_tokens !== undefined ? result.usage.total_tokens : null,
+            responseChars: String(content || '').length
+        };
+    }
+
+    readJsonBody(req) {
+        return new Promise((resolve, reject) => {
+            let size = 0;
+            const chunks = [];
+            req.on('data', (chunk) => {
+                size += chunk.length;
+                if (size > MAX_BODY_BYTES) {
+                    reject(new RelayError(413, 'payload_too_large', `Request body exceeds ${MAX_BODY_BYTES} bytes`));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+                } catch {
+                    reject(new RelayError(400, 'bad_request', 'Request body is not valid JSON'));
+                }
+            });
+            req.on('error', (error) => reject(new RelayError(400, 'bad_request', error.message)));
+        });
+    }
+
+    // Per-user limits key on the user named in the signed access token (the caller's address when tokens are off)
+    getUserId(req) {
+        if (!this.config.tokenSecret) return `ip:${req.socket.remoteAddress}`;
+
+        const match = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+        const userId = match ? verifyUserToken(match[1], this.config.tokenSecret) : null;
+        if (!userId) {
+            throw new RelayError(401, 'unauthorized', 'Missing or invalid relay access token');
+        }
+        return userId;
+    }
+
+    checkOrigin(req) {
+        const origin = req.headers.origin;
+        if (origin && !this.config.allowedOrigins.includes(origin)) {
+            throw new RelayError(403, 'origin_not_allowed', `Origin ${origin} is not allowed to use this relay`);
+        }
+    }
+
+    setCorsHeaders(req, res) {
+        const origin = req.headers.origin;
+        if (origin && this.config.allowedOrigins.includes(origin)) {
+            res.setHeader('Access-Control-Allow-Origin', origin);
+            res.setHeader('Vary', 'Origin');
+            res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+            res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+            res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+        }
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    }
+
+    // Structured error body: { error: { code, message, retryAfter } }
+    sendError(res, error, entry) {
+        const relayError = error instanceof RelayError
+            ? error
+            : new RelayError(500, 'internal_error', 'The relay failed to handle the request');
+        if (!(error instanceof RelayError)) console.error('Relay error:', error);
+
+        entry.code = relayError.code;
+        if (res.headersSent) {
+            // Mid-stream: report the failure as a final event the add-in's stream parser understands
+            res.end(`data: ${JSON.stringify({ error: { code: relayError.code, message: relayError.message } })}\n\n`);
+            return;
+        }
+        if (relayError.retryAfter) {
+            res.setHeader('Retry-After', String(relayError.retryAfter));
+        }
+        this.sendJson(res, relayError.status, {
+            error: { code: relayError.code, message: relayError.message, retryAfter: relayError.retryAfter }
+        });
+    }
+
+    // One JSON line per request; prompt and answer text are never logged
+    writeLog(entry) {
+        const line = JSON.stringify(entry) + '\n';
+        if (this.config.logFile) {
+            fs.appendFile(this.config.logFile, line, (error) => {
+                if (error) console.error('Could not write the relay log:', error.message);
+            });
+        } else {
+            process.stdout.write(line);
+        }
+    }
+}
+
+module.exports = { RelayServer, RelayError, loadConfig, createUserToken, verifyUserToken };
+
+if (require.main === module) {
+    require('dotenv').config();
+
+    // node relay/server.js token <user id> - print an access token for one user
+    if (process.argv[2] === 'token') {
+        if (!process.env.RELAY_TOKEN_SECRET) {
+            console.error('Set RELAY_TOKEN_SECRET before issuing tokens');
+            process.exit(1);
+        }
+        console.log(createUserToken(process.argv[3], process.env.RELAY_TOKEN_SECRET));
+    } else {
+        const config = loadConfig();
+        new RelayServer(config).listen().then((address) => {
+            console.log(`Relay listening on http://localhost:${address.port}/v1 (upstream: ${config.upstream}, model: ${config.model || 'from request'})`);
+        });
+    }
+}
@@ -0,0 +1,88 @@
+/* eslint-env node */
+
+// Stub model - a tiny OpenAI-compatible chat completions server for running the relay offline
+// It streams a deterministic reply quoting the last user message and reports token usage, so the
+// relay's forwarding, limits and logging can be exercised on localhost without a provider key
+//   node relay/stubModel.js            (listens on STUB_MODEL_PORT, default 8788)
+//   RELAY_UPSTREAM=openai RELAY_UPSTREAM_URL=http://localhost:8788/v1 node relay/server.js
+const http = require('http');
+
+// Rough token count used for the stub's usage figures
+function countTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+// Reply text for a request: echoes the last user message
+function buildReply(body) {
+    const messages = Array.isArray(body.messages) ? body.messages : [];
+    const lastUser = messages.filter(msg => msg.role === 'user').pop();
+    const question = lastUser && typeof lastUser.content === 'string' ? lastUser.content : '';
+    const match = question.match(/CURRENT USER QUESTION: "([^"]*)"/);
+    const quoted = (match ? match[1] : question).replace(/\s+/g, ' ').substring(0, 120);
+    return `Stub model reply #${messages.filter(msg => msg.role === 'user').length}: "${quoted}"`;
+}
+
+// options.delayMs holds each answer back, so checks can keep several requests in flight
+function createStubModelServer(options = {}) {
+    const model = options.model || 'stub-model';
+
+    return http.createServer((req, res) => {
+        if (req.method !== 'POST' || !/\/chat\/completions$/.test(req.url)) {
+            res.writeHead(404, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ error: { message: 'Not found' } }));
+            return;
+        }
+
+        let raw = '';
+        req.on('data', (chunk) => {
+            raw += chunk;
+        });
+        req.on('end', () => setTimeout(() => {
+            let body;
+            try {
+                body = JSON.parse(raw);
+            } catch {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ error: { message: 'Invalid JSON' } }));
+                return;
+            }
+
+            const reply = buildReply(body);
+            const usage = {
+                prompt_tokens: countTokens(JSON.stringify(body.messages)),
+                completion_tokens: countTokens(reply)
+            };
+            usage.total_tokens = usage.prompt_tokens + usage.completion_tokens;
+
+            if (!body.stream) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    model: model,
+                    choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+                    usage: usage
+                }));
+                return;
+            }
+
+            // Stream the reply word by word as server-sent events
+            res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+            reply.split(/(?<= )/).forEach(word => {
+                res.write(`data: ${JSON.stringify({ model: model, choices: [{ index: 0, delta: { content: word } }] })}\n\n`);
+            });
+            res.write(`data: ${JSON.stringify({ model: model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }] })}\n\n`);
+            if (body.stream_options && body.stream_options.include_usage) {
+                res.write(`data: ${JSON.stringify({ model: model, choices: [], usage: usage })}\n\n`);
+            }
+            res.end('data: [DONE]\n\n');
+        }, options.delayMs || 0));
+    });
+}
+
+module.exports = { createStubModelServer };
+
+if (require.main === module) {
+    const port = Number(process.env.STUB_MODEL_PORT) || 8788;
+    createStubModelServer().listen(port, '127.0.0.1', () => {
+        console.log(`Stub model listening on http://localhost:${port}/v1`);
+    });
+}
@@ -1,35 +1,92 @@
-/*
- * Copyright (c) Microsoft Corporation. All rights reserved. Licensed under the MIT license.
- * See LICENSE in the project root for license information.
+/* global Office */
+
+// Ribbon and cell context-menu commands
+// Each command opens the task pane with a preset prompt and data scope; the task pane registers
+// the handler that runs it (commands and task pane share one runtime)
+export const COMMAND_PRESETS = {
+    explainSelection: {
+        prompt: 'Explain the selected range: what it contains, how the numbers are calculated and what stands out.',
+        useSelection: true
+    },
+    summarizeSheet: {
+        prompt: 'Summarize this sheet: the key figures, the main trends and anything unusual.',
+        useSelection: false
+    },
+    auditFormulas: {
+        prompt: 'Audit the formulas in this sheet and list the issues to fix first.',
+        useSelection: false
+    },
+    chartThis: {
+        prompt: 'Chart the selected data.',
+        useSelection: true
+    }
+};
+
+let commandHandler = null;
+let pendingCommand = null;
+
+// Called by the task pane once it is ready; delivers a command clicked before that
+export function setCommandHandler(handler) {
+    commandHandler = handler;
+    if (pendingCommand) {
+        const command = pendingCommand;
+        pendingCommand = null;
+        handler(command);
+    }
+}
+
+// Open the task pane and hand it the preset for a command
+async function runCommand(name, event) {
+    const command = Object.assign({ name: name }, COMMAND_PRESETS[name]);
+    try {
+        await Office.addin.showAsTaskpane();
+        if (commandHandler) {
+            commandHandler(command);
+        } else {
+            pendingCommand = command;
+        }
+    } catch (error) {
+        console.error(`Command ${name} failed:`, error);
+    }
+
+    // Be sure to indicate when the add-in command function is complete
+    event.completed();
+}
+
+/**
+ * Ribbon / context menu: explain the selected range.
+ * @param event {Office.AddinCommands.Event}
  */
+function explainSelection(event) {
+    runCommand('explainSelection', event);
+}
 
-/* global Office */
+/**
+ * Ribbon / context menu: summarize the active sheet.
+ * @param event {Office.AddinCommands.Event}
+ */
+function summarizeSheet(event) {
+    runCommand('summarizeSheet', event);
+}
 
-Office.onReady(() => {
-  // If needed, Office.js is ready to be called.
-});
+/**
+ * Ribbon / context menu: audit the active sheet's formulas.
+ * @param event {Office.AddinCommands.Event}
+ */
+function auditFormulas(event) {
+    runCommand('auditFormulas', event);
+}
 
 /**
- * Shows a notification when the add-in command is executed.
+ * Ribbon / context menu: chart the selected data.
  * @param event {Office.AddinCommands.Event}
  */
-function action(event) {
-  const message = {
-    type: Office.MailboxEnums.ItemNotificationMessageType.InformationalMessage,
-    message: "Performed action.",
-    icon: "Icon.80x80",
-    persistent: true,
-  };
-
-  // Show a notification message.
-  Office.context.mailbox.item.notificationMessages.replaceAsync(
-    "ActionPerformanceNotification",
-    message
-  );
-
-  // Be sure to indicate when the add-in command function is complete.
-  event.completed();
+function chartThis(event) {
+    runCommand('chartThis', event);
 }
 
-// Register the function with Office.
-Office.actions.associate("action", action);
+// Register the functions with Office
+Office.actions.associate('explainSelection', explainSelection);
+Office.actions.associate('summarizeSheet', summarizeSheet);
+Office.actions.associate('auditFormulas', auditFormulas);
+Office.actions.associate('chartThis', chartThis);
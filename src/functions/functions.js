@@ -0,0 +1,143 @@
+/* global CustomFunctions */
+
+// Import the AI service shared with the task pane (same runtime)
+import '../taskpane/dataService.js';
+import '../taskpane/aiService.js';
+import '../taskpane/redactionService.js';
+import '../taskpane/credentialStore.js';
+import '../taskpane/settingsStore.js';
+
+// =ASK.AI(instruction, [data]) - Excel custom function backed by AIService
+// Calls made during one recalculation are collected and answered in batches;
+// identical prompts share one in-flight request and are cached by AIService
+const CONFIG = {
+    BATCH_DELAY_MS: 150, // Wait this long for more calls before sending a batch
+    MAX_BATCH_SIZE: 20 // Requests answered per model call
+};
+
+let aiServicePromise = null;
+let redactor = null;
+let pendingCalls = [];
+let batchTimer = null;
+const inFlight = new Map();
+
+// Lazily create the AI service (the custom functions can run before the task pane is opened)
+// The user's API key and model settings are read from the same stores the task pane saves them to
+function getAIService() {
+    if (!aiServicePromise) {
+        const promise = (async () => {
+            const service = new window.AIService();
+            service.setCredentialStore(new window.CredentialStore());
+            await service.loadCredentials();
+            if (service.needsApiKey()) {
+                throw new Error('No API key - open the Excel Assistant task pane and add one');
+            }
+            service.applySettings(await new window.SettingsStore().load());
+            service.initializeProvider();
+            // Personal data in cell arguments is masked like task pane data, including the values
+            // of the columns the user marked as sensitive
+            redactor = new window.RedactionService(new window.DataService());
+            await redactor.load();
+            await redactor.learnSensitiveValues();
+            service.setRedactor(redactor);
+            return service;
+        })();
+        // A failed start is retried on the next call
+        promise.catch(() => {
+            if (aiServicePromise === promise) aiServicePromise = null;
+        });
+        aiServicePromise = promise;
+    }
+    return aiServicePromise;
+}
+
+// Called when the task pane changes the API key or the assistant settings
+export function resetAIService() {
+    aiServicePromise = null;
+}
+
+// Called when the task pane marks or unmarks sensitive columns
+export async function reloadSensitiveColumns() {
+    if (!aiServicePromise) return;
+    try {
+        await aiServicePromise;
+    } catch {
+        return; // Not started; the next start loads the new marks
+    }
+    redactor.reset();
+    await redactor.load();
+    await redactor.learnSensitiveValues();
+}
+
+// Ask the AI about a value or range
+async function ask(instruction, data) {
+    if (typeof instruction !== 'string' || instruction.trim() === '') {
+        throw new CustomFunctions.Error(CustomFunctions.ErrorCode.invalidValue, 'The instruction must be non-empty text');
+    }
+
+    let service;
+    try {
+        service = await getAIService();
+    } catch (error) {
+        throw new CustomFunctions.Error(CustomFunctions.ErrorCode.notAvailable, error.message);
+    }
+
+    const request = service.createCellRequest(instruction, data);
+    const cached = service.getCachedResponse(request.key);
+    if (cached !== undefined) return cached;
+
+    // Identical formulas recalculating together share one request
+    if (inFlight.has(request.key)) return inFlight.get(request.key);
+
+    const promise = new Promise((resolve, reject) => {
+        pendingCalls.push({ request, resolve, reject });
+        scheduleBatch();
+    });
+    const forget = () => inFlight.delete(request.key);
+    promise.then(forget, forget);
+    inFlight.set(request.key, promise);
+    return promise;
+}
+
+function scheduleBatch() {
+    if (pendingCalls.length >= CONFIG.MAX_BATCH_SIZE) {
+        clearTimeout(batchTimer);
+        batchTimer = null;
+        flushBatch();
+    } else if (!batchTimer) {
+        batchTimer = setTimeout(() => {
+            batchTimer = null;
+            flushBatch();
+        }, CONFIG.BATCH_DELAY_MS);
+    }
+}
+
+// Send the queued calls in batches and settle each cell
+async function flushBatch() {
+    const calls = pendingCalls;
+    pendingCalls = [];
+
+    for (let i = 0; i < calls.length; i += CONFIG.MAX_BATCH_SIZE) {
+        const batch = calls.slice(i, i + CONFIG.MAX_BATCH_SIZE);
+        try {
+            const service = await getAIService();
+            const results = await service.askCellBatch(batch.map(call => call.request));
+            batch.forEach((call, index) => {
+                const result = results[index];
+                if (result !== null && typeof result === 'object') {
+                    call.reject(new CustomFunctions.Error(CustomFunctions.ErrorCode.notAvailable, result.error));
+                } else {
+                    call.resolve(result);
+                }
+            });
+        } catch (error) {
+            console.error('ASK.AI batch failed:', error);
+            batch.forEach(call => call.reject(new CustomFunctions.Error(CustomFunctions.ErrorCode.notAvailable, error.message)));
+        }
+    }
+}
+
+// Register with Excel when the custom functions runtime is present
+if (typeof CustomFunctions !== 'undefined') {
+    CustomFunctions.associate('AI', ask);
+}
@@ -1,112 +1,748 @@
-// Import Gemini API
-import { GoogleGenerativeAI } from '@google/generative-ai';
+// Import the pluggable LLM provider layer
+import { createLLMProvider, estimateTokens, PROVIDER_ERROR_CODES } from './llmProviders.js';
+import { PeriodParser } from './periodParser.js';
+import {
+    AssistantError, AuthError, RateLimitError, SafetyBlockError, OfflineError,
+    ServiceUnavailableError, SessionError, ContextTooLongError
+} from './assistantErrors.js';
 
-// AIService - Advanced Gemini AI integration with enhanced Excel data understanding
+// AIService - Advanced AI integration with enhanced Excel data understanding
 class AIService {
     constructor() {
         this.CONFIG = {
-            // Get API key from environment variable
-            GEMINI_API_KEY: process.env.GEMINI_API_KEY,
+            // Provider selection: gemini | openai | local | relay | mock
+            LLM_PROVIDER: process.env.LLM_PROVIDER || 'gemini',
             GEMINI_MODEL: 'gemini-2.5-flash',
+            // OpenAI-compatible / local server settings
+            LLM_BASE_URL: process.env.LLM_BASE_URL,
+            LLM_MODEL: process.env.LLM_MODEL,
+            // Relay server that holds the provider key (see relay/server.js)
+            RELAY_URL: process.env.RELAY_URL,
+            // API keys are never built in: each user enters their own (see CredentialStore)
+            API_KEY_PROVIDERS: {
+                gemini: { label: 'Google Gemini', required: true, keyUrl: 'https://aistudio.google.com/apikey' },
+                openai: { label: 'OpenAI-compatible server', required: false, keyUrl: null },
+                relay: { label: 'Company relay (your personal access token from the administrator)', required: false, keyUrl: null }
+            },
+            GENERATION_CONFIG: {
+                maxOutputTokens: 3072, // Increased for more detailed responses
+                temperature: 0.7,
+                topP: 0.8,
+                topK: 40
+            },
             MAX_HISTORY: 12, // Increased for better context
-            MAX_CONTEXT_TOKENS: 32000 // Conservative limit for prompt size
+            MAX_CONTEXT_TOKENS: 32000, // Token budget the per-question prompt is packed into
+            USE_PROVIDER_TOKEN_COUNT: true, // Count with the provider's API where it has one (else estimate locally)
+            PROVIDER_COUNT_THRESHOLD: 0.85, // ...but only when the local estimate is this close to the budget
+            MAX_PROMPT_MATCHING_ROWS: 15, // Rows matching the question, listed with every value
+            MAX_PROMPT_KEY_ROWS: 25,
+            MAX_PROMPT_OTHER_ROWS: 40,
+            MAX_PROMPT_SERIES: 20,
+            MAX_TOOL_ROUNDS: 5, // Function-calling round trips per question
+            // Recovery from failed requests (see assistantErrors.js)
+            MAX_RETRIES: 3, // Automatic retries of rate-limited, dropped or busy requests
+            RETRY_BASE_DELAY_MS: 2000, // Doubled on each retry
+            MAX_RETRY_DELAY_MS: 60000, // Longer waits (e.g. a used-up daily quota) are reported instead
+            MAX_CONTEXT_SHRINKS: 2, // Repacks at a smaller budget when the model says the prompt is too long
+            CONTEXT_SHRINK_FACTOR: 0.5,
+            // =ASK.AI() cell function settings
+            CELL_GENERATION_CONFIG: {
+                maxOutputTokens: 2048,
+                temperature: 0.2
+            },
+            CELL_MAX_DATA_CELLS: 400, // Cells of a range argument included in the prompt
+            CELL_CACHE_SIZE: 500, // Cached cell answers (identical prompts are never re-billed)
+            CELL_CACHE_MAX_AGE_MS: 7 * 24 * 60 * 60 * 1000, // Older answers are asked again
+            CELL_CACHE_STORAGE_KEY: 'excelChat.cellCache',
+            // Persona and answer-length choices offered in Settings (see SettingsStore)
+            PERSONAS: {
+                financial: 'You are an elite Excel Financial Data Assistant with advanced capabilities for analyzing complex workbooks and financial models.',
+                analyst: 'You are an expert Excel Data Analyst who helps people understand, summarize and compare the data in their workbooks.',
+                tutor: 'You are a patient Excel Tutor who answers questions about the user\'s workbook and explains the Excel techniques behind each answer in plain language.'
+            },
+            VERBOSITY: {
+                concise: {
+                    guideline: '**Be CONCISE by default** - Provide brief, direct answers unless user asks for elaboration',
+                    length: 'Keep responses short and focused - only expand when explicitly requested',
+                    instruction: '**CONCISE RESPONSES**: Provide brief, focused answers - only elaborate when user asks for more detail',
+                    closing: 'Please provide a CONCISE analysis addressing the user\'s question. Keep it brief unless they specifically ask for more detail.'
+                },
+                balanced: {
+                    guideline: '**Be CLEAR and complete** - Give the direct answer first, then the key supporting figures',
+                    length: 'Keep responses to a few short paragraphs or one compact table',
+                    instruction: '**BALANCED RESPONSES**: Answer directly, then add the supporting figures and a brief explanation',
+                    closing: 'Please provide a clear analysis addressing the user\'s question, with the key supporting figures.'
+                },
+                detailed: {
+                    guideline: '**Be THOROUGH** - Give a full analysis with supporting figures, comparisons and caveats',
+                    length: 'Structure longer answers with headings and tables',
+                    instruction: '**DETAILED RESPONSES**: Cover the answer, supporting figures, trends, comparisons and caveats',
+                    closing: 'Please provide a detailed analysis addressing the user\'s question, including the supporting figures, trends and caveats.'
+                }
+            }
         };
         
-        this.genAI = null;
-        this.model = null;
+        this.provider = null;
+        this.toolkit = null;
+        this.redactor = null;
+        this.credentialStore = null;
+        this.apiKeys = {}; // Loaded at runtime by loadCredentials()
+        this.modelOverride = null; // Model chosen in Settings (null = the provider's default)
+        this.assistantSettings = { verbosity: 'concise', persona: 'financial', promptAddendum: '' };
         this.conversationHistory = [];
         this.chatSession = null;
+        this.responseCache = null; // Loaded lazily from localStorage
+        this.periodParser = new PeriodParser();
+        this.lastContextUsage = null; // Token usage of the last packed prompt (for the context meter)
+        this.QUESTION_STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'what', 'which', 'how', 'why', 'does', 'did',
+            'are', 'was', 'were', 'this', 'that', 'these', 'those', 'from', 'into', 'over', 'per', 'show', 'tell',
+            'give', 'about', 'explain', 'compare', 'between', 'sheet', 'data', 'row', 'rows', 'value', 'values', 'please']);
     }
 
-    // Initialize Gemini AI with chat session
-    initializeGemini() {
+    // Build the provider-specific config from CONFIG
+    getProviderConfig(providerName) {
+        if (providerName === 'gemini') {
+            return { apiKey: this.apiKeys.gemini, model: this.modelOverride || this.CONFIG.GEMINI_MODEL };
+        }
+        // The relay picks the model; the access token identifies the user for its per-user limits
+        if (providerName === 'relay') {
+            const config = {};
+            if (this.CONFIG.RELAY_URL) config.baseUrl = this.CONFIG.RELAY_URL;
+            if (this.apiKeys.relay) config.apiKey = this.apiKeys.relay;
+            return config;
+        }
+        // Only pass values that are set so local/mock providers keep their own defaults
+        const config = {};
+        if (this.CONFIG.LLM_BASE_URL) config.baseUrl = this.CONFIG.LLM_BASE_URL;
+        if (this.apiKeys[providerName]) config.apiKey = this.apiKeys[providerName];
+        const model = this.modelOverride || this.CONFIG.LLM_MODEL;
+        if (model) config.model = model;
+        return config;
+    }
+
+    // Model used when Settings leaves it blank (null when the provider or relay decides)
+    getDefaultModel(providerName = this.CONFIG.LLM_PROVIDER) {
+        if (providerName === 'gemini') return this.CONFIG.GEMINI_MODEL;
+        if (providerName === 'relay') return null;
+        return this.CONFIG.LLM_MODEL || null;
+    }
+
+    // Apply the user's assistant settings (see SettingsStore)
+    // The provider and chat session are rebuilt so the new model, generation settings and prompt take effect
+    applySettings(settings) {
+        this.CONFIG.GENERATION_CONFIG = Object.assign({}, this.CONFIG.GENERATION_CONFIG, {
+            temperature: settings.temperature,
+            maxOutputTokens: settings.maxOutputTokens
+        });
+        this.CONFIG.MAX_HISTORY = settings.maxHistory;
+        this.CONFIG.MAX_CONTEXT_TOKENS = settings.maxContextTokens;
+        this.modelOverride = settings.model || null;
+        this.assistantSettings = {
+            verbosity: this.CONFIG.VERBOSITY[settings.verbosity] ? settings.verbosity : 'concise',
+            persona: this.CONFIG.PERSONAS[settings.persona] ? settings.persona : 'financial',
+            promptAddendum: settings.promptAddendum || ''
+        };
+        
+        if (this.provider) {
+            this.restartProvider();
+        } else {
+            this.chatSession = null;
+        }
+    }
+
+    // Initialize the configured LLM provider
+    initializeProvider(providerName = this.CONFIG.LLM_PROVIDER, providerConfig = null) {
         try {
-            if (!this.CONFIG.GEMINI_API_KEY || this.CONFIG.GEMINI_API_KEY === 'YOUR_GEMINI_API_KEY_HERE') {
-                throw new Error('Please configure your Gemini API key in the .env file');
-            }
-            
-            this.genAI = new GoogleGenerativeAI(this.CONFIG.GEMINI_API_KEY);
-            this.model = this.genAI.getGenerativeModel({ model: this.CONFIG.GEMINI_MODEL });
+            this.provider = createLLMProvider(providerName, providerConfig || this.getProviderConfig(providerName));
             
             this.conversationHistory = [];
             this.chatSession = null;
             
-            console.log('Gemini AI initialized with model:', this.CONFIG.GEMINI_MODEL);
+            console.log('AI provider initialized:', this.provider.describe());
             return true;
         } catch (error) {
-            console.error('Error initializing Gemini AI:', error);
-            throw new Error('Failed to initialize AI service. Please check your API key.');
+            console.error('Error initializing AI provider:', error);
+            throw new Error(`Failed to initialize AI service. Please check your API key. (${error.message})`);
         }
     }
 
-    // Ask Gemini with comprehensive enhanced context
-    async askGeminiWithContext(userQuestion, currentWorksheetData) {
-        if (!this.model) {
-            throw new Error('Gemini AI not initialized');
+    // Initialize Gemini AI with chat session
+    initializeGemini() {
+        return this.initializeProvider('gemini');
+    }
+
+    // Register where API keys are stored; loadCredentials() reads them
+    setCredentialStore(credentialStore) {
+        this.credentialStore = credentialStore;
+    }
+
+    // Read the user's saved key for the configured provider
+    async loadCredentials(providerName = this.CONFIG.LLM_PROVIDER) {
+        if (!this.credentialStore || !this.CONFIG.API_KEY_PROVIDERS[providerName]) return;
+        this.apiKeys[providerName] = await this.credentialStore.getApiKey(providerName);
+    }
+
+    // True when the provider cannot start until the user enters a key
+    needsApiKey(providerName = this.CONFIG.LLM_PROVIDER) {
+        const keyInfo = this.CONFIG.API_KEY_PROVIDERS[providerName];
+        return Boolean(keyInfo && keyInfo.required && !this.apiKeys[providerName]);
+    }
+
+    // What the settings view shows about the configured provider's key
+    getApiKeyStatus(providerName = this.CONFIG.LLM_PROVIDER) {
+        const keyInfo = this.CONFIG.API_KEY_PROVIDERS[providerName] || null;
+        const apiKey = this.apiKeys[providerName] || null;
+        return {
+            provider: providerName,
+            label: keyInfo ? keyInfo.label : providerName,
+            usesKey: Boolean(keyInfo),
+            required: Boolean(keyInfo && keyInfo.required),
+            keyUrl: keyInfo ? keyInfo.keyUrl : null,
+            hasKey: Boolean(apiKey),
+            maskedKey: apiKey && this.credentialStore ? this.credentialStore.maskKey(apiKey) : ''
+        };
+    }
+
+    // Save a new key and restart the provider with it (the conversation is kept)
+    async saveApiKey(apiKey, providerName = this.CONFIG.LLM_PROVIDER) {
+        if (!this.credentialStore) {
+            throw new Error('No credential store configured');
+        }
+        await this.credentialStore.setApiKey(providerName, apiKey);
+        await this.loadCredentials(providerName);
+        this.restartProvider(providerName);
+    }
+
+    // Forget the saved key; a provider that requires one stops until a new key is entered
+    async removeApiKey(providerName = this.CONFIG.LLM_PROVIDER) {
+        if (!this.credentialStore) return;
+        await this.credentialStore.removeApiKey(providerName);
+        this.apiKeys[providerName] = null;
+        if (this.needsApiKey(providerName)) {
+            this.provider = null;
+            this.chatSession = null;
+        } else {
+            this.restartProvider(providerName);
+        }
+    }
+
+    // Re-create the provider without clearing the conversation history
+    restartProvider(providerName = this.CONFIG.LLM_PROVIDER) {
+        const history = this.conversationHistory;
+        this.initializeProvider(providerName);
+        this.conversationHistory = history;
+    }
+
+    // Register the function-calling toolkit (takes effect on the next chat session)
+    setToolkit(toolkit) {
+        this.toolkit = toolkit;
+        this.chatSession = null;
+    }
+
+    // Register the redaction layer (see RedactionService); the session is rebuilt so its history is masked too
+    setRedactor(redactor) {
+        this.redactor = redactor;
+        this.chatSession = null;
+    }
+
+    // Mask personal data in text bound for the provider (unchanged when no redactor is set)
+    redactText(text) {
+        return this.redactor ? this.redactor.redactText(text) : text;
+    }
+
+    // Swap placeholders in the model's text back to the real values
+    restoreText(text) {
+        return this.redactor ? this.redactor.restoreText(text) : text;
+    }
+
+    // Ask Gemini with comprehensive enhanced context, streaming the answer as it arrives
+    // options.onChunk(text) receives the accumulated text; options.signal cancels the request
+    // options.onToolCall(call) is notified before each data tool runs
+    // options.onContextPacked(usage) receives the token usage of the packed prompt (again after each shrink)
+    // options.onRetry({ error, attempt, maxAttempts, secondsLeft }) ticks once a second while waiting to retry
+    async askGeminiWithContext(userQuestion, currentWorksheetData, options = {}) {
+        if (!this.provider) {
+            throw new Error('AI provider not initialized');
         }
         
         if (!currentWorksheetData) {
             throw new Error('No Excel data available');
         }
         
+        // Personal data is masked before anything is packed into the prompt; the data goes first so
+        // sensitive-column values typed into the question are already known and masked there too
+        const data = this.redactor ? this.redactor.redactWorksheetData(currentWorksheetData) : currentWorksheetData;
+        const question = this.redactText(userQuestion);
+        
+        // Pack the context into the token budget by priority and report what was left out
+        // If the model still rejects it as too long, repack against a smaller budget and ask again
+        let budget = this.CONFIG.MAX_CONTEXT_TOKENS;
+        for (let shrinks = 0; ; shrinks++) {
+            const { prompt, usage } = await this.packContext(question, data, budget, options.signal);
+            usage.redacted = data.redaction ? data.redaction.count : 0;
+            usage.shrunk = shrinks > 0;
+            this.lastContextUsage = usage;
+            if (usage.dropped.length > 0 || usage.trimmed.length > 0) {
+                console.log('Context packed to budget:', usage);
+            }
+            if (options.onContextPacked) options.onContextPacked(usage);
+            
+            try {
+                return await this.sendPrompt(prompt, options);
+            } catch (error) {
+                if (!(error instanceof ContextTooLongError) || shrinks >= this.CONFIG.MAX_CONTEXT_SHRINKS) {
+                    throw error;
+                }
+                budget = Math.floor(budget * this.CONFIG.CONTEXT_SHRINK_FACTOR);
+                console.warn(`Prompt too long for the model - repacking to ${budget} tokens`);
+            }
+        }
+    }
+
+    // Explain the selected cell's calculation from its precedent trace (see FormulaTraceService)
+    async explainFormula(trace, userQuestion = '', options = {}) {
+        if (!this.provider) {
+            throw new Error('AI provider not initialized');
+        }
+        
+        return this.sendPrompt(this.redactText(this.createFormulaExplanationPrompt(trace, userQuestion)), options);
+    }
+
+    // Send a prepared prompt on the chat session (created on first use) and run the tool loop
+    // Accepts the same options as askGeminiWithContext and returns { text, isPartial, toolCalls }
+    // Retryable failures are retried with exponential backoff (or the wait the service asked for)
+    async sendPrompt(prompt, options = {}) {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await this.sendPromptOnce(prompt, options);
+            } catch (error) {
+                const delay = this.getRetryDelay(error, attempt);
+                if (delay === null) throw error;
+                
+                console.warn(`${error.name}: retrying in ${Math.ceil(delay / 1000)}s (attempt ${attempt} of ${this.CONFIG.MAX_RETRIES})`);
+                const waited = await this.waitToRetry(delay, error, attempt, options);
+                if (!waited) return { text: '', isPartial: true, toolCalls: [] };
+            }
+        }
+    }
+
+    // One attempt at sendPrompt; failures are thrown as typed errors (see assistantErrors.js)
+    async sendPromptOnce(prompt, options = {}) {
+        const { onChunk = null, onToolCall = null, signal = null } = options;
+        
         try {
             if (!this.chatSession) {
                 const systemPrompt = this.createAdvancedSystemPrompt();
-                this.chatSession = this.model.startChat({
-                    history: [],
-                    generationConfig: {
-                        maxOutputTokens: 3072, // Increased for more detailed responses
-                        temperature: 0.7,
-                        topP: 0.8,
-                        topK: 40
-                    }
+                const priorTurns = this.buildSessionHistory();
+                
+                // Rebuild a restored conversation in one step instead of replaying it turn by turn
+                const history = priorTurns.length > 0
+                    ? [
+                        { role: 'user', content: systemPrompt },
+                        { role: 'assistant', content: 'Advanced Excel Analysis System Ready!' },
+                        ...priorTurns
+                    ]
+                    : [];
+                
+                this.chatSession = this.provider.startChat({
+                    history: history,
+                    generationConfig: this.CONFIG.GENERATION_CONFIG,
+                    tools: this.toolkit ? this.toolkit.getDeclarations() : []
                 });
                 
-                await this.chatSession.sendMessage(systemPrompt);
-            }
-            
-            const contextualPrompt = this.createAdvancedContextualPrompt(userQuestion, currentWorksheetData);
-            
-            // Check prompt size to avoid token limit issues
-            if (contextualPrompt.length > this.CONFIG.MAX_CONTEXT_TOKENS * 3) {
-                console.log('Large prompt detected, applying compression...');
-                const compressedPrompt = this.compressPrompt(contextualPrompt, currentWorksheetData);
-                const result = await this.chatSession.sendMessage(compressedPrompt);
-                const response = await result.response;
-                return response.text().trim();
+                if (priorTurns.length === 0) {
+                    await this.chatSession.sendMessage(systemPrompt, { signal });
+                }
             }
             
-            const result = await this.chatSession.sendMessage(contextualPrompt);
-            const response = await result.response;
-            const text = response.text();
+            // Placeholders are swapped back as the text streams in
+            const result = await this.runToolLoop(prompt, onChunk ? (text) => onChunk(this.restoreText(text)) : null, onToolCall, signal);
+            result.text = this.restoreText(result.text);
             
-            if (!text || text.trim().length === 0) {
+            if (!result.isPartial && result.text.length === 0) {
                 throw new Error('Empty response from AI');
             }
             
-            return text.trim();
+            return result;
             
         } catch (error) {
-            console.error('Gemini API error:', error);
+            // Cancelled before the first chunk arrived
+            if (this.isAbortError(error, signal)) {
+                return { text: '', isPartial: true, toolCalls: [] };
+            }
+            
+            const providerError = this.provider.mapError(error);
+            console.error(`${this.provider.displayName} API error:`, error);
             
-            if (error.message.includes('chat') || error.message.includes('session')) {
+            if (providerError.code === PROVIDER_ERROR_CODES.SESSION) {
                 this.chatSession = null;
-                throw new Error('Chat session reset. Please try your question again.');
             }
+            throw this.createTypedError(providerError);
+        }
+    }
+
+    // Delay before the next attempt in ms, or null when the error should be reported instead
+    getRetryDelay(error, attempt) {
+        if (!(error instanceof AssistantError) || !error.retryable || attempt > this.CONFIG.MAX_RETRIES) {
+            return null;
+        }
+        if (error.retryAfter) {
+            const requested = error.retryAfter * 1000;
+            return requested <= this.CONFIG.MAX_RETRY_DELAY_MS ? requested : null;
+        }
+        return Math.min(this.CONFIG.RETRY_BASE_DELAY_MS * Math.pow(2, attempt - 1), this.CONFIG.MAX_RETRY_DELAY_MS);
+    }
+
+    // Count down to the next attempt, reporting each second to options.onRetry
+    // Resolves true when the wait is over, false if the request was stopped meanwhile
+    waitToRetry(delay, error, attempt, options = {}) {
+        const { onRetry = null, signal = null } = options;
+        
+        return new Promise(resolve => {
+            if (signal && signal.aborted) {
+                resolve(false);
+                return;
+            }
+            
+            const endsAt = Date.now() + delay;
+            let timer = null;
+            const finish = (completed) => {
+                clearTimeout(timer);
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve(completed);
+            };
+            const onAbort = () => finish(false);
+            const tick = () => {
+                const remaining = endsAt - Date.now();
+                if (remaining <= 0) {
+                    finish(true);
+                    return;
+                }
+                if (onRetry) {
+                    onRetry({ error, attempt, maxAttempts: this.CONFIG.MAX_RETRIES, secondsLeft: Math.ceil(remaining / 1000) });
+                }
+                timer = setTimeout(tick, Math.min(1000, remaining));
+            };
             
-            if (error.message.includes('API key')) {
-                throw new Error('Invalid API key. Please check your Gemini API configuration.');
-            } else if (error.message.includes('quota') || error.message.includes('limit')) {
-                throw new Error('API quota exceeded. Please try again later.');
+            if (signal) signal.addEventListener('abort', onAbort);
+            tick();
+        });
+    }
+
+    // Turn a mapped provider error into a typed error carrying the message shown to the user
+    createTypedError(providerError) {
+        const name = this.provider.displayName;
+        const details = { cause: providerError };
+        
+        switch (providerError.code) {
+            case PROVIDER_ERROR_CODES.SESSION:
+                return new SessionError('The chat session was reset.', details);
+            case PROVIDER_ERROR_CODES.AUTH:
+                return new AuthError(`Invalid API key. Update your ${name} key in Settings.`, details);
+            case PROVIDER_ERROR_CODES.QUOTA:
+                return new RateLimitError(providerError.retryAfter
+                    ? `${name} rate limit reached. It will accept requests again in ${this.formatWait(providerError.retryAfter)}.`
+                    : `${name} quota or rate limit reached.`, Object.assign(details, { retryAfter: providerError.retryAfter }));
+            case PROVIDER_ERROR_CODES.SAFETY:
+                return new SafetyBlockError(`${name} blocked this request or its answer.`, details);
+            case PROVIDER_ERROR_CODES.CONTEXT_LENGTH:
+                return new ContextTooLongError(`The question and its data are more than ${name} can read at once.`, details);
+            case PROVIDER_ERROR_CODES.NETWORK:
+                return new OfflineError(this.isOffline() ? 'You appear to be offline.' : `Could not reach ${name}.`, details);
+            case PROVIDER_ERROR_CODES.UNAVAILABLE:
+                return new ServiceUnavailableError(`${name} is unavailable: ${providerError.message}`, details);
+            default:
+                return new AssistantError('AI service error: ' + providerError.message, details);
+        }
+    }
+
+    isOffline() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    }
+
+    // Wait time for messages, e.g. "45 seconds", "12 minutes", "3 h 20 min"
+    formatWait(seconds) {
+        if (seconds < 90) return `${Math.ceil(seconds)} seconds`;
+        if (seconds < 3600) return `${Math.ceil(seconds / 60)} minutes`;
+        return `${Math.floor(seconds / 3600)} h ${Math.floor((seconds % 3600) / 60)} min`;
+    }
+
+    // Normalise one =ASK.AI(instruction, data) call; the key identifies identical prompts to the same
+    // model and settings, so changing the model in Settings asks again instead of serving old answers
+    createCellRequest(instruction, data = null) {
+        const grid = Array.isArray(data) ? (Array.isArray(data[0]) ? data : [data]) : (data === null || data === undefined ? [] : [[data]]);
+        const cells = grid.map(row => row.map(cell => (cell === null || cell === undefined ? '' : cell)));
+        const text = String(instruction).trim();
+        const model = this.provider ? `${this.provider.name}:${this.provider.config.model || ''}` : '';
+        return {
+            instruction: text,
+            data: cells,
+            key: this.hashText(`${model}\u0001${JSON.stringify(this.CONFIG.CELL_GENERATION_CONFIG)}\u0001${text}\u0001${JSON.stringify(cells)}`)
+        };
+    }
+
+    // Answer a batch of cell requests with one model call; returns one result (or { error }) per request
+    // Answers are cached, so recalculating identical formulas never calls the model again
+    async askCellBatch(requests) {
+        if (!this.provider) {
+            throw new Error('AI provider not initialized');
+        }
+        
+        const results = new Array(requests.length);
+        const uncached = [];
+        requests.forEach((request, index) => {
+            const cached = this.getCachedResponse(request.key);
+            if (cached !== undefined) {
+                results[index] = cached;
             } else {
-                throw new Error('AI service error: ' + error.message);
+                uncached.push(index);
             }
+        });
+        if (uncached.length === 0) return results;
+        
+        let replies;
+        let answers;
+        try {
+            const session = this.provider.startChat({
+                history: [],
+                generationConfig: this.CONFIG.CELL_GENERATION_CONFIG,
+                tools: []
+            });
+            const reply = await session.sendMessage(this.redactText(this.createCellFunctionPrompt(uncached.map(index => requests[index]))));
+            replies = this.parseCellAnswers(reply, uncached.length);
+            answers = replies.map(answer => (typeof answer === 'string' ? this.restoreText(answer) : answer));
+        } catch (error) {
+            const providerError = this.provider.mapError(error);
+            console.error(`${this.provider.displayName} cell function error:`, error);
+            throw this.createTypedError(providerError);
         }
+        
+        uncached.forEach((requestIndex, answerIndex) => {
+            const answer = answers[answerIndex];
+            results[requestIndex] = answer;
+            // Per-cell failures are retried on the next recalculation; answers with masked values
+            // put back are kept for this session only, so personal data is never saved to storage
+            if (typeof answer !== 'object') {
+                this.cacheResponse(requests[requestIndex].key, answer, answer === replies[answerIndex]);
+            }
+        });
+        
+        return results;
+    }
+
+    // Prompt for a batch of cell requests; the model answers with a JSON array, one entry per request
+    createCellFunctionPrompt(requests) {
+        let prompt = `You are evaluating Excel =ASK.AI() formulas. Answer each numbered request independently.
+Return ONLY a JSON array of ${requests.length} strings or numbers, in request order, with no other text.
+Each answer goes into a single cell: no markdown, keep it under 200 characters unless the instruction asks for more.
+Use a number (not a string) when the instruction asks for a count, score or amount.
+
+`;
+        
+        requests.forEach((request, index) => {
+            prompt += `REQUEST ${index + 1}\nInstruction: ${request.instruction}\n`;
+            prompt += this.formatCellData(request.data);
+            prompt += '\n';
+        });
+        
+        return prompt;
+    }
+
+    // Range argument as pipe-separated rows, capped at CELL_MAX_DATA_CELLS cells
+    formatCellData(grid) {
+        if (grid.length === 0) return 'Data: (none)\n';
+        
+        const columns = grid[0].length;
+        const maxRows = Math.max(1, Math.floor(this.CONFIG.CELL_MAX_DATA_CELLS / Math.max(1, columns)));
+        const format = (cell) => (typeof cell === 'number' ? this.formatExact(cell) : String(cell));
+        
+        if (grid.length === 1 && columns === 1) {
+            return `Data: ${format(grid[0][0])}\n`;
+        }
+        
+        let text = `Data (${grid.length} rows x ${columns} columns):\n`;
+        grid.slice(0, maxRows).forEach(row => {
+            text += row.map(format).join(' | ') + '\n';
+        });
+        if (grid.length > maxRows) {
+            text += `... ${grid.length - maxRows} more rows not shown\n`;
+        }
+        return text;
+    }
+
+    // Parse the JSON array reply; missing entries become per-cell errors
+    parseCellAnswers(reply, expectedCount) {
+        const jsonText = reply.replace(/^[\s\S]*?(\[[\s\S]*\])[\s\S]*$/, '$1');
+        let parsed;
+        try {
+            parsed = JSON.parse(jsonText);
+        } catch {
+            throw new Error('AI service error: the model did not return a JSON array');
+        }
+        if (!Array.isArray(parsed)) {
+            throw new Error('AI service error: the model did not return a JSON array');
+        }
+        
+        return Array.from({ length: expectedCount }, (value, index) => {
+            const answer = parsed[index];
+            if (answer === undefined || answer === null) return { error: 'No answer returned for this cell' };
+            return typeof answer === 'number' ? answer : String(answer);
+        });
+    }
+
+    // Cached cell answer, or undefined
+    getCachedResponse(key) {
+        const cache = this.loadResponseCache();
+        const entry = cache.get(key);
+        if (!entry) return undefined;
+        if (Date.now() - entry.time > this.CONFIG.CELL_CACHE_MAX_AGE_MS) {
+            cache.delete(key);
+            return undefined;
+        }
+        return entry.value;
+    }
+
+    // persist = false keeps the answer in memory only
+    cacheResponse(key, value, persist = true) {
+        const cache = this.loadResponseCache();
+        cache.delete(key);
+        cache.set(key, { value: value, time: Date.now(), persist: persist });
+        while (cache.size > this.CONFIG.CELL_CACHE_SIZE) {
+            cache.delete(cache.keys().next().value);
+        }
+        
+        try {
+            const saved = Array.from(cache.entries()).filter(([, entry]) => entry.persist);
+            window.localStorage.setItem(this.CONFIG.CELL_CACHE_STORAGE_KEY, JSON.stringify(saved));
+        } catch (error) {
+            console.warn('Could not persist cell answer cache:', error);
+        }
+    }
+
+    // Stored answers past CELL_CACHE_MAX_AGE_MS (or in an older format) are dropped on load
+    loadResponseCache() {
+        if (!this.responseCache) {
+            this.responseCache = new Map();
+            try {
+                const stored = window.localStorage.getItem(this.CONFIG.CELL_CACHE_STORAGE_KEY);
+                const now = Date.now();
+                (stored ? JSON.parse(stored) : []).forEach(([key, entry]) => {
+                    if (entry && typeof entry === 'object' && now - entry.time <= this.CONFIG.CELL_CACHE_MAX_AGE_MS) {
+                        this.responseCache.set(key, entry);
+                    }
+                });
+            } catch (error) {
+                console.warn('Could not load cell answer cache:', error);
+            }
+        }
+        return this.responseCache;
+    }
+
+    // Short stable hash for cache keys (FNV-1a)
+    hashText(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${(hash >>> 0).toString(16)}-${text.length}`;
+    }
+
+    // Stream the answer, running any data tools the model asks for and sending the results back
+    // Returns { text, isPartial, toolCalls } where toolCalls logs every lookup that was made
+    async runToolLoop(prompt, onChunk, onToolCall, signal) {
+        const toolCalls = [];
+        const parts = [];
+        let message = prompt;
+        
+        for (let round = 0; round <= this.CONFIG.MAX_TOOL_ROUNDS; round++) {
+            const previousText = parts.join('\n\n');
+            const result = await this.streamMessage(message, onChunk ? (text) => {
+                onChunk(previousText ? `${previousText}\n\n${text}` : text);
+            } : null, signal);
+            
+            if (result.text) parts.push(result.text);
+            if (result.isPartial) {
+                return { text: parts.join('\n\n'), isPartial: true, toolCalls };
+            }
+            
+            const calls = this.chatSession.consumeToolCalls();
+            if (calls.length === 0 || !this.toolkit) {
+                return { text: parts.join('\n\n'), isPartial: false, toolCalls };
+            }
+            
+            if (round === this.CONFIG.MAX_TOOL_ROUNDS) {
+                parts.push(`_Stopped after ${this.CONFIG.MAX_TOOL_ROUNDS} data lookups - ask a narrower question for more detail._`);
+                break;
+            }
+            
+            // Arguments may name redacted values; results are masked before they go back to the model
+            const toolResults = [];
+            for (const modelCall of calls) {
+                const call = this.redactor ? Object.assign({}, modelCall, { args: this.redactor.restoreValue(modelCall.args) }) : modelCall;
+                if (onToolCall) onToolCall(call);
+                console.log('Running tool:', call.name, call.args);
+                const toolResult = await this.toolkit.execute(call);
+                toolResults.push(this.redactor ? this.redactor.redactToolResult(toolResult) : toolResult);
+                toolCalls.push({ name: call.name, args: call.args, response: toolResult.response });
+            }
+            
+            if (signal && signal.aborted) {
+                return { text: parts.join('\n\n'), isPartial: true, toolCalls };
+            }
+            
+            message = { toolResults };
+        }
+        
+        return { text: parts.join('\n\n'), isPartial: false, toolCalls };
+    }
+
+    // Send a message on the chat session and accumulate the streamed chunks
+    // Returns { text, isPartial } - isPartial is true when the stream was cancelled
+    async streamMessage(message, onChunk, signal) {
+        let text = '';
+        
+        try {
+            for await (const delta of this.chatSession.sendMessageStream(message, { signal })) {
+                text += delta;
+                if (onChunk) {
+                    onChunk(text);
+                }
+            }
+        } catch (error) {
+            if (this.isAbortError(error, signal)) {
+                console.log(`Response stopped by user after ${text.length} characters`);
+                return { text: text.trim(), isPartial: true };
+            }
+            throw error;
+        }
+        
+        return { text: text.trim(), isPartial: false };
+    }
+
+    // Check whether an error was caused by cancelling the request
+    isAbortError(error, signal) {
+        if (signal && signal.aborted) return true;
+        return error && (error.name === 'AbortError' || /aborted/i.test(error.message || ''));
     }
 
     // Advanced system prompt with comprehensive Excel understanding
     createAdvancedSystemPrompt() {
-        return `You are an elite Excel Financial Data Assistant with advanced capabilities for analyzing complex workbooks and financial models.
+        const toolsSection = this.toolkit ? `
+DATA TOOLS:
+- Each request includes a partial SNAPSHOT of the sheet; it may not contain the numbers you need
+- Call readRange, listSheets, getTable or findLabel to fetch exact cells instead of guessing or extrapolating
+- Prefer one precise readRange over several broad ones; cite the addresses you read in your answer
+` : '';
+        
+        const verbosity = this.CONFIG.VERBOSITY[this.assistantSettings.verbosity];
+        const addendum = this.assistantSettings.promptAddendum;
+        const userContextSection = addendum ? `
+USER CONTEXT (from the user's settings - apply it to every answer):
+${addendum}
+` : '';
+        
+        return `${this.CONFIG.PERSONAS[this.assistantSettings.persona]}
 
 ENHANCED CAPABILITIES:
 1. **Advanced Data Structure Understanding**
@@ -118,7 +754,7 @@ ENHANCED CAPABILITIES:
 2. **Financial Expertise**
    - Deep understanding of financial statements (P&L, Balance Sheet, Cash Flow)
    - Recognition of financial metrics, ratios, and KPIs
-   - Quarterly/annual data analysis and trending
+   - Period data analysis and trending (monthly, quarterly, half-year, fiscal and calendar years)
    - Revenue recognition, expense categorization, and profitability analysis
 
 3. **Data Type Intelligence**
@@ -141,100 +777,158 @@ ANALYSIS APPROACH:
 - **Cross-Sheet Relationships**: Understand how different worksheets relate to each other
 
 RESPONSE GUIDELINES:
-- **Be CONCISE by default** - Provide brief, direct answers unless user asks for elaboration
+- ${verbosity.guideline}
 - Always specify the exact source of data (row labels, column headers)
 - When data is sampled, indicate this and provide appropriate caveats
 - Use clear formatting (tables, bullet points) for complex analysis
 - Provide actionable insights, not just data regurgitation
 - Ask clarifying questions when user intent is ambiguous
-- Keep responses short and focused - only expand when explicitly requested
+- ${verbosity.length}
+${userContextSection}${toolsSection}
+WORKBOOK EDITS:
+- Only when the user asks you to change the workbook (enter numbers, add formulas, add rows, create a sheet), append ONE fenced block after your explanation:
+\`\`\`excel-edits
+{"edits": [
+  {"action": "setValues", "sheet": "Sheet1", "address": "B5", "values": [[1200, 1350]]},
+  {"action": "insertFormula", "address": "D2", "values": [["=SUM(B2:C2)"]]},
+  {"action": "addRows", "address": "A20", "values": [["New item", 0, 0]]},
+  {"action": "createSheet", "name": "Summary", "values": [["Metric", "Value"]]}
+]}
+\`\`\`
+- "address" is the top-left cell; "values" is a 2D array (rows of cells); omit "sheet" for the active sheet
+- Never claim the edits are done - the user reviews a preview and clicks Apply
+
+CHARTS:
+- When the user asks for a chart or plot, the add-in offers a native Excel chart preview built from the rows they name
+- Describe what the chart will show (series, periods, notable trends); do not produce ASCII charts or edit blocks for charts
 
 Respond with "Advanced Excel Analysis System Ready!" to confirm initialization.`;
     }
 
-    // Create comprehensive contextual prompt with all enhanced data features
+    // Create comprehensive contextual prompt with all enhanced data features (every section, unpacked)
     createAdvancedContextualPrompt(userQuestion, currentWorksheetData) {
+        return this.buildPromptSections(userQuestion, currentWorksheetData)
+            .map(section => this.renderSection(section))
+            .join('');
+    }
+
+    // Prompt sections in document order. Lower priority numbers are packed first:
+    //   0 overview and question (always sent), 1 rows matching the question, 2 key rows, 3 schema,
+    //   4 conversation history, 5 audit and related sheets, 6 other rows, 7 formatting detail
+    // Sections with lines can be trimmed to their leading lines when the budget runs out
+    buildPromptSections(userQuestion, currentWorksheetData) {
         const data = currentWorksheetData;
+        const sections = [];
+        const add = (label, priority, content) => {
+            const section = typeof content === 'string' ? { text: content } : content;
+            if (section.text === '' || (section.lines && section.lines.length === 0)) return;
+            sections.push(Object.assign({ label: label, priority: priority }, section));
+        };
         
-        let prompt = `ADVANCED EXCEL DATA ANALYSIS REQUEST:
+        let overview = `ADVANCED EXCEL DATA ANALYSIS REQUEST:
 
 WORKSHEET OVERVIEW:
 - Name: "${data.worksheetName}"
 - Range: ${data.address} (${data.totalRows} rows × ${data.totalCols} columns)
-- Data Source: ${data.isSelection ? 'Selected Range' : 'Full Worksheet'}`;
+- Data Source: ${data.table ? `Excel Table "${data.table.name}"` : (data.isSelection ? 'Selected Range' : 'Full Worksheet')}`;
 
         // Add sampling information if applicable
         if (data.isSampled) {
-            prompt += `
-- IMPORTANT: This is SAMPLED data for performance (intelligent sampling applied)
+            overview += `
+- IMPORTANT: This is SAMPLED data for performance (intelligent sampling applied)`;
+            if (data.samplingPlan) {
+                overview += `
+- Sample: ${data.samplingPlan.sampledRows} of ${data.samplingPlan.totalRows} rows, ${data.samplingPlan.sampledCols} of ${data.samplingPlan.totalCols} columns
+- ${data.samplingPlan.description}
+- Row numbers below are real worksheet rows; rows not listed were NOT seen`;
+            } else {
+                overview += `
 - Original data may be much larger - extrapolate insights accordingly`;
+            }
         }
-
-        prompt += '\n\n';
+        add('Overview', 0, { text: overview + '\n\n', required: true });
 
         // Enhanced metadata section
         if (data.dataMetadata) {
             const meta = data.dataMetadata;
             if (meta.tables?.length > 0 || meta.pivotTables?.length > 0 || meta.charts?.length > 0) {
-                prompt += `EXCEL OBJECTS DETECTED:`;
+                let objects = `EXCEL OBJECTS DETECTED:`;
                 if (meta.tables?.length > 0) {
-                    prompt += `\n- Excel Tables: ${meta.tables.map(t => t.name).join(', ')}`;
+                    objects += `\n- Excel Tables: ${meta.tables.map(t => t.name).join(', ')}`;
                 }
                 if (meta.pivotTables?.length > 0) {
-                    prompt += `\n- Pivot Tables: ${meta.pivotTables.map(p => p.name).join(', ')}`;
+                    objects += `\n- Pivot Tables: ${meta.pivotTables.map(p => p.name).join(', ')}`;
                 }
                 if (meta.charts?.length > 0) {
-                    prompt += `\n- Charts: ${meta.charts.map(c => c.name).join(', ')}`;
+                    objects += `\n- Charts: ${meta.charts.map(c => c.name).join(', ')}`;
                 }
                 if (meta.hasNamedRanges) {
-                    prompt += `\n- Named Ranges: Present`;
+                    objects += `\n- Named Ranges: Present`;
                 }
-                prompt += '\n\n';
+                add('Excel objects', 3, objects + '\n\n');
             }
+            
+            add('Table schemas', 3, this.formatTableSchemas(meta.tables));
+            add('Pivot tables', 3, this.formatPivotSchemas(meta.pivotTables));
         }
 
         // Multi-sheet information
         if (data.workbookData) {
             const wb = data.workbookData;
-            prompt += `WORKBOOK STRUCTURE:
+            add('Workbook structure', 6, `WORKBOOK STRUCTURE:
 - Total Sheets: ${wb.totalSheets}
 - Total Data Cells: ${wb.totalDataCells.toLocaleString()}
 - Other Sheets: ${wb.sheets.filter(s => s.name !== data.worksheetName).map(s => `${s.name} (${s.totalCells} cells)`).join(', ')}
 
-`;
+`);
         }
 
         // Enhanced structured data analysis
         if (data.structuredData) {
             const struct = data.structuredData;
             
-            prompt += `TABLE STRUCTURE ANALYSIS:
+            add('Table structure', 3, `TABLE STRUCTURE ANALYSIS:
 - Data Type: ${struct.type}
+- Layout: ${struct.layout === 'record' ? 'record table (one record per row, fields across the top)' : 'matrix (row labels in the first column, values across)'}
 - Column Headers: ${struct.columnHeaders?.filter(h => h && h !== '').join(' | ') || 'Not detected'}
-- Data Rows: ${struct.dataRows?.length || 0}
+- Data Rows: ${struct.layout === 'record' ? struct.recordCount : struct.dataRows?.length || 0}
 - Key Financial Rows: ${struct.keyRows?.length || 0}
 - Total/Summary Rows: ${struct.totalRows?.length || 0}
 
-`;
+`);
+
+            // Rows whose labels mention the question's terms, with every value
+            add('Matching rows', 1, this.formatMatchingRows(userQuestion, struct, data.isSampled));
+
+            // Exact statistics computed locally over every row
+            add('Column statistics', 3, this.formatColumnAggregates(data.columnAggregates, data.isSampled));
+
+            // Record tables: describe the fields and grouped totals instead of labelled rows
+            if (struct.layout === 'record') {
+                add('Column schema', 3, this.formatColumnSchema(struct.columnSchema));
+                add('Grouped totals', 3, this.formatGroupedAggregates(data.columnAggregates));
+                add('Sample records', 6, this.formatSampleRecords(data.rawData, struct));
+            }
 
             // Formula and format analysis
             if (struct.formulaAnalysis) {
                 const formulas = struct.formulaAnalysis;
                 if (formulas.hasFormulas) {
-                    prompt += `FORMULA ANALYSIS:
+                    add('Formula analysis', 5, `FORMULA ANALYSIS:
 - Total Formulas: ${formulas.formulaCount}
 - Formula Types: ${formulas.types.join(', ')}
 
-`;
+`);
                 }
+                add('Formula audit', 5, this.formatFormulaAudit(formulas.audit, data.isSampled));
             }
 
             if (struct.formatAnalysis?.hasFormatting) {
                 const formats = struct.formatAnalysis;
-                prompt += `NUMBER FORMATTING:
+                add('Number formats', 7, `NUMBER FORMATTING:
 - Custom Formats: ${formats.types.slice(0, 5).join(', ')}${formats.types.length > 5 ? '...' : ''}
 
-`;
+`);
             }
 
             // Data type distribution
@@ -242,88 +936,95 @@ WORKSHEET OVERVIEW:
                 const types = struct.dataTypes;
                 const totalCells = Object.values(types).reduce((sum, count) => sum + count, 0);
                 if (totalCells > 0) {
-                    prompt += `DATA TYPE DISTRIBUTION:`;
+                    let distribution = `DATA TYPE DISTRIBUTION:`;
                     Object.entries(types).forEach(([type, count]) => {
                         if (count > 0) {
                             const percentage = ((count / totalCells) * 100).toFixed(1);
-                            prompt += `\n- ${type}: ${count} cells (${percentage}%)`;
+                            distribution += `\n- ${type}: ${count} cells (${percentage}%)`;
                         }
                     });
-                    prompt += '\n\n';
+                    add('Data types', 7, distribution + '\n\n');
                 }
             }
 
-            // Quarterly data with enhanced context
-            if (struct.quarterlyData?.length > 0) {
-                prompt += `QUARTERLY/TIME-SERIES DATA:\n`;
-                struct.quarterlyData.slice(0, 8).forEach(qData => {
-                    if (qData.quarters.length > 0) {
-                        prompt += `${qData.label}${qData.isTotal ? ' [TOTAL]' : ''}: `;
-                        const quarterValues = qData.quarters.map(q => `${q.quarter}=${this.formatValue(q.value)}`).join(', ');
-                        prompt += quarterValues + '\n';
-                    }
-                });
-                if (struct.quarterlyData.length > 8) {
-                    prompt += `... and ${struct.quarterlyData.length - 8} more quarterly series\n`;
+            // Time-series data along the detected period axis
+            if (struct.timeSeries?.length > 0) {
+                const axis = struct.timeAxis;
+                let header = `TIME-SERIES DATA (${axis.granularity}, ${axis.periodCount} periods ${axis.first} to ${axis.last}`;
+                if (axis.order !== 'ascending') {
+                    header += `; columns are ${axis.order === 'descending' ? 'newest first' : 'not in date order'}, values below are listed oldest first`;
                 }
-                prompt += '\n';
+                header += `):\n`;
+                add('Time series', 3, {
+                    header: header,
+                    lines: struct.timeSeries.slice(0, this.CONFIG.MAX_PROMPT_SERIES).map(series =>
+                        `${series.label}${series.isTotal ? ' [TOTAL]' : ''}: ` +
+                        series.points.map(point => `${point.period}=${this.formatValue(point.value)}`).join(', ') + '\n'
+                    ),
+                    footer: (axis.otherPeriods.length > 0
+                        ? `Other period columns (not part of the series): ${axis.otherPeriods.join(', ')}\n`
+                        : '') + '\n'
+                });
             }
             
             // Key financial rows with enhanced formatting
             if (struct.keyRows?.length > 0) {
-                prompt += `KEY FINANCIAL METRICS:\n`;
-                struct.keyRows.slice(0, 10).forEach(row => {
-                    prompt += `"${row.label}"${row.isTotal ? ' [TOTAL]' : ''}${row.hasFormulas ? ' [CALCULATED]' : ''}: `;
-                    const nonEmptyValues = row.values.filter(v => v !== null && v !== undefined && v !== '');
-                    prompt += nonEmptyValues.slice(0, 8).map(v => this.formatValue(v)).join(', ');
-                    if (nonEmptyValues.length > 8) prompt += `, ... (${nonEmptyValues.length - 8} more)`;
-                    prompt += '\n';
+                add('Key rows', 2, {
+                    header: `KEY FINANCIAL METRICS:\n`,
+                    lines: struct.keyRows.slice(0, this.CONFIG.MAX_PROMPT_KEY_ROWS).map(row =>
+                        `"${row.label}"${data.isSampled && row.rowNumber ? ` (row ${row.rowNumber})` : ''}${row.isTotal ? ' [TOTAL]' : ''}${row.hasFormulas ? ' [CALCULATED]' : ''}: ` +
+                        this.formatRowValues(row, 8) + '\n'
+                    ),
+                    footer: '\n'
                 });
-                if (struct.keyRows.length > 10) {
-                    prompt += `... and ${struct.keyRows.length - 10} more key rows\n`;
-                }
-                prompt += '\n';
             }
             
             // Sample of other data rows
             if (struct.dataRows && struct.dataRows.length > (struct.keyRows?.length || 0)) {
                 const otherRows = struct.dataRows.filter(row => 
                     !(struct.keyRows || []).find(keyRow => keyRow.label === row.label)
-                ).slice(0, 6);
+                ).slice(0, this.CONFIG.MAX_PROMPT_OTHER_ROWS);
                 
-                if (otherRows.length > 0) {
-                    prompt += `OTHER DATA ROWS (sample):\n`;
-                    otherRows.forEach(row => {
-                        prompt += `"${row.label}"${row.hasFormulas ? ' [CALCULATED]' : ''}: `;
-                        const nonEmptyValues = row.values.filter(v => v !== null && v !== undefined && v !== '');
-                        prompt += nonEmptyValues.slice(0, 4).map(v => this.formatValue(v)).join(', ');
-                        if (nonEmptyValues.length > 4) prompt += `, ... (${nonEmptyValues.length - 4} more)`;
-                        prompt += '\n';
-                    });
-                    prompt += '\n';
-                }
+                add('Other rows', 6, {
+                    header: `OTHER DATA ROWS (sample):\n`,
+                    lines: otherRows.map(row =>
+                        `"${row.label}"${row.hasFormulas ? ' [CALCULATED]' : ''}: ${this.formatRowValues(row, 4)}\n`
+                    ),
+                    footer: '\n'
+                });
             }
         }
         
+        // Other sheets read for this question (sheet scope picker)
+        if (data.relatedSheets?.length > 0) {
+            add('Related sheets', 5, this.formatRelatedSheets(data.relatedSheets, data.sheetScope));
+        }
+        
         // Add conversation context with enhanced formatting
         if (this.conversationHistory.length > 2) {
-            prompt += `CONVERSATION HISTORY:\n`;
             const recentHistory = this.conversationHistory.slice(-6);
-            recentHistory.forEach((msg, index) => {
+            add('Conversation history', 4, recentHistory.reduce((text, msg, index) => {
+                const content = this.redactText(msg.content);
                 if (msg.role === 'user') {
-                    prompt += `[${index + 1}] User: "${msg.content}"\n`;
-                } else {
-                    const truncated = msg.content.length > 120 ? msg.content.substring(0, 120) + '...' : msg.content;
-                    prompt += `[${index + 1}] Assistant: "${truncated}"\n`;
+                    return text + `[${index + 1}] User: "${content}"\n`;
                 }
-            });
-            prompt += '\n';
+                const truncated = content.length > 120 ? content.substring(0, 120) + '...' : content;
+                return text + `[${index + 1}] Assistant${msg.partial ? ' (stopped early)' : ''}: "${truncated}"\n`;
+            }, `CONVERSATION HISTORY:\n`) + '\n');
+        }
+        
+        // Placeholders stand in for masked personal data (see RedactionService)
+        if (data.redaction && data.redaction.count > 0) {
+            add('Privacy note', 0, { required: true, text: `PRIVACY NOTE: ${data.redaction.count} personal values in this data are replaced by placeholders such as [EMAIL_1] or [PHONE_2]. The same value always has the same placeholder. Write placeholders exactly as given when you refer to them and never guess the underlying values.
+
+` });
         }
         
-        prompt += `CURRENT USER QUESTION: "${userQuestion}"
+        const verbosity = this.CONFIG.VERBOSITY[this.assistantSettings.verbosity];
+        add('Question', 0, { required: true, text: `CURRENT USER QUESTION: "${userQuestion}"
 
 ANALYSIS INSTRUCTIONS:
-1. **CONCISE RESPONSES**: Provide brief, focused answers - only elaborate when user asks for more detail
+1. ${verbosity.instruction}
 2. **Data Source Precision**: Always specify exact row labels and column headers when referencing data
 3. **Context Utilization**: Use conversation history and business context for deeper insights
 4. **Sampling Awareness**: ${data.isSampled ? 'Remember this is sampled data - provide appropriate caveats' : 'You have access to the complete dataset'}
@@ -332,67 +1033,374 @@ ANALYSIS INSTRUCTIONS:
 7. **Multi-dimensional Analysis**: Consider time trends, cross-sectional comparisons, and ratio analysis
 8. **Actionable Insights**: Provide business-relevant conclusions, not just data summaries
 
-Please provide a CONCISE analysis addressing the user's question. Keep it brief unless they specifically ask for more detail.`;
+${verbosity.closing}` });
 
-        return prompt;
+        return sections;
     }
 
-    // Compress prompt for very large datasets
-    compressPrompt(originalPrompt, currentWorksheetData) {
-        const data = currentWorksheetData;
+    renderSection(section) {
+        return section.lines ? section.header + section.lines.join('') + section.footer : section.text;
+    }
+
+    // Fit the prompt into the token budget by priority; returns { prompt, usage }
+    // Sections are sized with the local estimate; a prompt close to the budget is then counted by
+    // the provider (when it can) and repacked against a tighter budget if the estimate was low
+    async packContext(userQuestion, currentWorksheetData, budget = this.CONFIG.MAX_CONTEXT_TOKENS, signal = null) {
+        const sections = this.buildPromptSections(userQuestion, currentWorksheetData);
         
-        let compressedPrompt = `COMPRESSED EXCEL ANALYSIS (Large Dataset):
+        let packed = this.packSections(sections, budget);
+        let count = await this.countTokens(packed.prompt, budget, signal);
+        if (count.method === 'provider' && count.tokens > budget) {
+            packed = this.packSections(sections, Math.floor(packed.estimatedTokens * (budget / count.tokens) * 0.95));
+            count = await this.countTokens(packed.prompt, budget, signal);
+        }
+        
+        return {
+            prompt: packed.prompt,
+            usage: {
+                budget: budget,
+                used: count.tokens,
+                method: count.method,
+                included: packed.included,
+                trimmed: packed.trimmed,
+                dropped: packed.dropped
+            }
+        };
+    }
 
-WORKSHEET: "${data.worksheetName}" | Range: ${data.address} (${data.totalRows}×${data.totalCols})`;
+    // Greedy packing by priority (document order kept in the output)
+    packSections(sections, budget) {
+        const order = sections
+            .map((section, index) => ({ section, index }))
+            .sort((a, b) => a.section.priority - b.section.priority || a.index - b.index);
+        
+        const chosen = new Map();
+        const included = [];
+        const trimmed = [];
+        const dropped = [];
+        let used = 0;
+        
+        order.forEach(({ section, index }) => {
+            const text = this.renderSection(section);
+            const tokens = estimateTokens(text);
+            if (section.required || used + tokens <= budget) {
+                chosen.set(index, text);
+                included.push(section.label);
+                used += tokens;
+                return;
+            }
+            
+            // Keep as many leading lines as fit
+            if (section.lines) {
+                const omitted = (count) => `... ${count} more omitted to fit the context budget\n`;
+                let partTokens = estimateTokens(section.header + section.footer + omitted(section.lines.length));
+                let kept = 0;
+                for (const line of section.lines) {
+                    const lineTokens = estimateTokens(line);
+                    if (used + partTokens + lineTokens > budget) break;
+                    partTokens += lineTokens;
+                    kept++;
+                }
+                if (kept > 0) {
+                    chosen.set(index, section.header + section.lines.slice(0, kept).join('') +
+                        omitted(section.lines.length - kept) + section.footer);
+                    trimmed.push({ label: section.label, kept: kept, total: section.lines.length });
+                    used += partTokens;
+                    return;
+                }
+            }
+            
+            dropped.push({ label: section.label, tokens: tokens });
+        });
+        
+        return {
+            prompt: sections.map((section, index) => chosen.get(index) || '').join(''),
+            estimatedTokens: used,
+            included: included,
+            trimmed: trimmed,
+            dropped: dropped
+        };
+    }
 
-        if (data.isSampled) {
-            compressedPrompt += ` | SAMPLED DATA`;
+    // Local estimate, checked with the provider's count (a round trip) only when it is near the budget
+    async countTokens(text, budget = this.CONFIG.MAX_CONTEXT_TOKENS, signal = null) {
+        const estimate = { tokens: estimateTokens(text), method: 'estimate' };
+        if (!this.CONFIG.USE_PROVIDER_TOKEN_COUNT || !this.provider || (signal && signal.aborted) ||
+            estimate.tokens < budget * this.CONFIG.PROVIDER_COUNT_THRESHOLD) {
+            return estimate;
         }
+        return this.provider.countTokens(text, { signal: signal });
+    }
 
-        // Only include essential structure information
-        if (data.structuredData) {
-            const struct = data.structuredData;
-            
-            compressedPrompt += `
+    // Rows whose labels contain a word from the question, listed with their column headers
+    formatMatchingRows(userQuestion, struct, isSampled) {
+        const terms = (String(userQuestion).toLowerCase().match(/[a-z0-9&%]+/g) || [])
+            .filter(term => term.length > 2 && !this.QUESTION_STOP_WORDS.has(term));
+        if (terms.length === 0 || !struct.dataRows) return '';
+        
+        const matches = struct.dataRows.filter(row => {
+            if (row.rowIndex === struct.headerRowIndex) return false;
+            const label = String(row.label).toLowerCase();
+            return terms.some(term => label.includes(term));
+        }).slice(0, this.CONFIG.MAX_PROMPT_MATCHING_ROWS);
+        if (matches.length === 0) return '';
+        
+        const headers = struct.columnHeaders || [];
+        return {
+            header: `ROWS MATCHING THE QUESTION (all values):\n`,
+            lines: matches.map(row => {
+                const values = row.values
+                    .map((value, index) => ({ header: headers[index + 1], value: value }))
+                    .filter(cell => cell.value !== null && cell.value !== undefined && cell.value !== '')
+                    .map(cell => (cell.header !== undefined && cell.header !== '' ? `${cell.header}=` : '') + this.formatValue(cell.value));
+                return `"${row.label}"${isSampled && row.rowNumber ? ` (row ${row.rowNumber})` : ''}${row.hasFormulas ? ' [CALCULATED]' : ''}: ${values.join(', ')}\n`;
+            }),
+            footer: '\n'
+        };
+    }
 
-KEY STRUCTURE:
-- Headers: ${struct.columnHeaders?.slice(0, 10).join(' | ') || 'N/A'}
-- Key Rows: ${struct.keyRows?.length || 0} | Data Rows: ${struct.dataRows?.length || 0}`;
+    // First non-empty values of a row, with a count of the rest
+    formatRowValues(row, maxValues) {
+        const nonEmptyValues = row.values.filter(v => v !== null && v !== undefined && v !== '');
+        let text = nonEmptyValues.slice(0, maxValues).map(v => this.formatValue(v)).join(', ');
+        if (nonEmptyValues.length > maxValues) text += `, ... (${nonEmptyValues.length - maxValues} more)`;
+        return text;
+    }
 
-            // Only show top financial metrics
-            if (struct.keyRows?.length > 0) {
-                compressedPrompt += `
+    // Structured schema for each Excel Table
+    formatTableSchemas(tables) {
+        const withSchema = (tables || []).filter(table => table.columns);
+        if (withSchema.length === 0) return '';
+        
+        let section = 'EXCEL TABLE SCHEMAS:\n';
+        withSchema.forEach(table => {
+            section += `- Table "${table.name}" (${table.address}): ${table.rowCount} data rows${table.hasTotalsRow ? ', totals row' : ''}\n`;
+            table.columns.forEach(col => {
+                section += `  • ${col.name} [${col.dataType}]`;
+                if (col.totalFunction) {
+                    section += ` total(${col.totalFunction})=${this.formatValue(col.totalValue)}`;
+                }
+                section += '\n';
+            });
+            if (table.activeFilters.length > 0) {
+                section += `  ACTIVE FILTERS: ${table.activeFilters.join('; ')} - hidden rows are excluded from the totals row\n`;
+            }
+        });
+        return section + '\n';
+    }
 
-TOP METRICS:`;
-                struct.keyRows.slice(0, 5).forEach(row => {
-                    const values = row.values.filter(v => v !== null && v !== undefined && v !== '').slice(0, 4);
-                    compressedPrompt += `\n${row.label}: ${values.map(v => this.formatValue(v)).join(', ')}`;
-                });
+    // PivotTable structure and rendered layout
+    formatPivotSchemas(pivotTables) {
+        const withLayout = (pivotTables || []).filter(pivot => pivot.renderedValues);
+        if (withLayout.length === 0) return '';
+        
+        const MAX_ROWS = 25;
+        const MAX_COLS = 12;
+        let section = 'PIVOT TABLES:\n';
+        withLayout.forEach(pivot => {
+            section += `- Pivot "${pivot.name}" at ${pivot.address} (${pivot.layoutType} layout)\n`;
+            section += `  Rows: ${pivot.rows.join(', ') || 'none'} | Columns: ${pivot.columns.join(', ') || 'none'}\n`;
+            section += `  Values: ${pivot.values.map(v => `${v.name} (${v.summarizeBy})`).join(', ') || 'none'}\n`;
+            if (pivot.filters.length > 0) {
+                section += `  Filters: ${pivot.filters.map(f => `${f.name} = ${f.selectedItems.join(', ')}`).join('; ')}\n`;
             }
+            
+            section += '  Rendered values:\n';
+            pivot.renderedValues.slice(0, MAX_ROWS).forEach(row => {
+                const cells = row.slice(0, MAX_COLS).map(v => (typeof v === 'number' ? this.formatExact(v) : String(v ?? '')));
+                section += `  | ${cells.join(' | ')}${row.length > MAX_COLS ? ' | ...' : ''} |\n`;
+            });
+            if (pivot.renderedRowCount > MAX_ROWS) {
+                section += `  ... ${pivot.renderedRowCount - MAX_ROWS} more pivot rows\n`;
+            }
+        });
+        return section + 'Explain pivot figures using this layout: which row/column items and filters produce each value.\n\n';
+    }
 
-            // Quarterly data summary
-            if (struct.quarterlyData?.length > 0) {
-                compressedPrompt += `
+    // Findings of the local formula audit (DataService.auditFormulas), most severe first
+    formatFormulaAudit(audit, isSampled) {
+        if (!audit || audit.issueCount === 0) return '';
+        
+        const MAX_FINDINGS = 20;
+        const rank = { high: 0, medium: 1, low: 2 };
+        const findings = audit.findings.slice().sort((a, b) => rank[a.severity] - rank[b.severity]);
+        
+        let section = `FORMULA AUDIT (local checks, ${audit.issueCount} issue(s) across ${audit.formulaCells} formulas${isSampled ? ', sampled rows only' : ''}):\n`;
+        section += `- Counts: ${Object.entries(audit.counts).map(([type, count]) => `${type}=${count}`).join(', ')}\n`;
+        findings.slice(0, MAX_FINDINGS).forEach(finding => {
+            section += `- [${finding.severity}] ${finding.address}: ${finding.message}`;
+            if (finding.formula) section += ` | ${finding.formula}`;
+            section += '\n';
+        });
+        if (audit.issueCount > MAX_FINDINGS) {
+            section += `... and ${audit.issueCount - Math.min(MAX_FINDINGS, findings.length)} more\n`;
+        }
+        
+        return section + 'Mention any of these that affect the answer, citing the cell address; do not re-derive them.\n\n';
+    }
 
-QUARTERLY: ${struct.quarterlyData.length} series | Example: ${struct.quarterlyData[0].label}`;
+    // Exact per-column statistics section; numeric columns only
+    formatColumnAggregates(aggregates, isSampled) {
+        if (!aggregates || !aggregates.columns) return '';
+        
+        const numericColumns = aggregates.columns.filter(col => col.count > 0);
+        if (numericColumns.length === 0) return '';
+        
+        const MAX_COLUMNS = 25;
+        let section = `EXACT COLUMN STATISTICS (${aggregates.rowsScanned.toLocaleString()} data rows below header row ${aggregates.headerRow}`;
+        section += isSampled ? ', computed over the FULL range, not the sample' : '';
+        section += aggregates.isComplete ? ')' : `; stopped at ${aggregates.rowsScanned.toLocaleString()} of ${aggregates.dataRows.toLocaleString()} rows)`;
+        section += ':\n';
+        
+        numericColumns.slice(0, MAX_COLUMNS).forEach(col => {
+            const name = col.header ? `"${col.header}" (col ${col.column})` : `Column ${col.column}`;
+            const distinct = col.distinctCount !== null ? col.distinctCount : `>${col.distinctAtLeast}`;
+            section += `- ${name}: sum=${this.formatExact(col.sum)}`;
+            if (col.sumExcludingTotalRows !== null) {
+                section += ` (excl. total rows=${this.formatExact(col.sumExcludingTotalRows)})`;
             }
+            section += `, count=${col.count}, mean=${this.formatExact(col.mean)}, min=${this.formatExact(col.min)}, max=${this.formatExact(col.max)}, distinct=${distinct}, blanks=${col.nullCount}`;
+            if (col.textCount > 0) section += `, text=${col.textCount}`;
+            section += '\n';
+        });
+        
+        if (numericColumns.length > MAX_COLUMNS) {
+            section += `... and ${numericColumns.length - MAX_COLUMNS} more numeric columns\n`;
         }
+        
+        if (aggregates.totalRowsExcluded > 0) {
+            section += `Note: ${aggregates.totalRowsExcluded} rows are labelled total/subtotal - use the "excl. total rows" sums to avoid double counting\n`;
+        }
+        
+        return section + 'Use these exact figures for totals, averages, counts and extremes instead of estimating from the sample.\n\n';
+    }
 
-        // Essential conversation context
-        if (this.conversationHistory.length > 0) {
-            const lastExchange = this.conversationHistory.slice(-2);
-            compressedPrompt += `
-
-RECENT: ${lastExchange.map(msg => `${msg.role}: ${msg.content.substring(0, 50)}...`).join(' | ')}`;
+    // Compact view of the extra sheets read for a cross-sheet question
+    formatRelatedSheets(relatedSheets, sheetScope) {
+        const MAX_ROWS = 8;
+        const MAX_VALUES = 8;
+        const matched = sheetScope?.ranking?.filter(sheet => sheet.matches.length > 0) || [];
+        
+        let section = `RELATED SHEETS (read in the background for this question`;
+        if (sheetScope?.mode === 'auto' && matched.length > 0) {
+            section += `; chosen by matching ${matched.map(sheet => `${sheet.name}: ${sheet.matches.join(', ')}`).join('; ')}`;
         }
+        section += '):\n';
+        
+        relatedSheets.forEach(sheet => {
+            section += `\n[Sheet "${sheet.worksheetName}"]`;
+            if (sheet.error) {
+                section += ` could not be read: ${sheet.error}\n`;
+                return;
+            }
+            section += ` ${sheet.summary}\n`;
+            
+            const struct = sheet.structuredData || {};
+            if (struct.columnHeaders?.some(h => h !== '')) {
+                section += `Headers: ${struct.columnHeaders.filter(h => h !== '').slice(0, 12).join(' | ')}\n`;
+            }
+            
+            if (struct.layout === 'record') {
+                section += struct.columnSchema.filter(col => col.role !== 'empty')
+                    .map(col => `${col.header || col.column} (${col.role})`).join(', ') + '\n';
+                section += this.formatGroupedAggregates(sheet.columnAggregates);
+                return;
+            }
+            
+            // Key rows first, then other labelled rows, with real row numbers for cross-sheet references
+            const rows = (struct.keyRows || []).concat((struct.dataRows || []).filter(row =>
+                row.rowIndex !== struct.headerRowIndex && !(struct.keyRows || []).includes(row)
+            )).slice(0, MAX_ROWS);
+            rows.forEach(row => {
+                const values = row.values.filter(v => v !== null && v !== undefined && v !== '');
+                section += `"${row.label}"${row.rowNumber ? ` (row ${row.rowNumber})` : ''}${row.hasFormulas ? ' [CALCULATED]' : ''}: `;
+                section += values.slice(0, MAX_VALUES).map(v => this.formatValue(v)).join(', ');
+                if (values.length > MAX_VALUES) section += `, ... (${values.length - MAX_VALUES} more)`;
+                section += '\n';
+            });
+            if ((struct.dataRows?.length || 0) > rows.length) {
+                section += `... ${struct.dataRows.length - rows.length} more rows (use readRange on "${sheet.worksheetName}" for exact cells)\n`;
+            }
+        });
+        
+        return section + '\nWhen a figure comes from another sheet, name the sheet it came from.\n\n';
+    }
+
+    // Field list for record tables: type, role, cardinality and sample values per column
+    formatColumnSchema(columnSchema) {
+        const columns = (columnSchema || []).filter(col => col.role !== 'empty');
+        if (columns.length === 0) return '';
+        
+        let section = 'COLUMN SCHEMA (roles: dimension = group by, measure = aggregate, time = date/period axis, identifier = unique key):\n';
+        columns.forEach(col => {
+            const name = col.header ? `"${col.header}" (col ${col.column})` : `Column ${col.column}`;
+            section += `- ${name}: ${col.type}, ${col.role}, ${col.distinctCount} distinct of ${col.nonEmpty}`;
+            if (col.blanks > 0) section += `, ${col.blanks} blank`;
+            if (col.dateRange) section += `, ${col.dateRange.min} to ${col.dateRange.max}`;
+            if (col.samples.length > 0) section += `, e.g. ${col.samples.map(value => this.formatFieldValue(col, value)).join(', ')}`;
+            section += '\n';
+        });
+        return section + '\n';
+    }
 
-        compressedPrompt += `
+    // Measure totals per dimension/time value, computed locally over the full range
+    formatGroupedAggregates(aggregates) {
+        const groups = aggregates && aggregates.groups ? aggregates.groups : [];
+        if (groups.length === 0) return '';
+        
+        let section = `GROUPED TOTALS (exact, ${aggregates.rowsScanned.toLocaleString()} records${aggregates.isComplete ? '' : ', partial scan'}; total/subtotal rows excluded):\n`;
+        groups.forEach(group => {
+            const name = group.header || `Column ${group.column}`;
+            const by = group.granularity && group.granularity !== 'period' ? `${name} (by ${group.granularity})` : name;
+            if (group.groupCount === null) {
+                section += `- By ${by}: more than ${group.groupsAtLeast} distinct values, not grouped\n`;
+                return;
+            }
+            
+            section += `- By ${by} (${group.groupCount} groups${group.groupCount > group.rows.length ? `, top ${group.rows.length} shown` : ''}):\n`;
+            group.rows.forEach(row => {
+                const sums = group.measures.map((measure, index) => `${measure.header || measure.column}=${this.formatExact(row.sums[index])}`);
+                section += `  ${row.key}: count=${row.count}, ${sums.join(', ')}\n`;
+            });
+        });
+        return section + 'Use these grouped totals for "by region/product/month" questions instead of adding up sample rows.\n\n';
+    }
 
-QUESTION: "${userQuestion}"
+    // First few records as field=value pairs so the model sees real rows
+    formatSampleRecords(rawData, struct) {
+        const MAX_RECORDS = 5;
+        const start = Math.max(0, struct.headerRowIndex) + 1;
+        const records = (rawData || []).slice(start, start + MAX_RECORDS);
+        if (records.length === 0) return '';
+        
+        let section = `SAMPLE RECORDS (first ${records.length}):\n`;
+        records.forEach(record => {
+            const fields = struct.columnSchema
+                .filter(col => col.role !== 'empty')
+                .map(col => {
+                    return `${col.header || col.column}=${this.formatFieldValue(col, record[col.index])}`;
+                });
+            section += `- ${fields.join(', ')}\n`;
+        });
+        return section + '\n';
+    }
 
-Note: Provide focused analysis due to large dataset. Request specific details if needed.`;
+    // Dates as ISO dates and identifiers verbatim; other values use the usual K/M formatting
+    formatFieldValue(col, value) {
+        if (col.isDateSerial && typeof value === 'number') {
+            return this.periodParser.serialToDate(value).toISOString().slice(0, 10);
+        }
+        if (col.role === 'identifier' && value !== null && value !== undefined && value !== '') {
+            return String(value);
+        }
+        return this.formatValue(value);
+    }
 
-        return compressedPrompt;
+    // Exact number formatting for statistics (no K/M abbreviation)
+    formatExact(value) {
+        if (value === null || value === undefined) return 'N/A';
+        if (Number.isInteger(value)) return String(value);
+        return String(Math.round(value * 10000) / 10000);
     }
 
     // Format values for display
@@ -410,24 +1418,104 @@ Note: Provide focused analysis due to large dataset. Request specific details if
         return String(value).substring(0, 20);
     }
 
+    // Prompt asking for a step-by-step, business-level explanation of a traced formula
+    createFormulaExplanationPrompt(trace, userQuestion = '') {
+        const root = trace.root;
+        let prompt = `FORMULA EXPLANATION REQUEST
+
+SELECTED CELL: ${root.address}${root.label ? ` (row "${root.label}")` : ''}
+FORMULA: ${root.formula || '(no formula - this is an input value)'}
+RESULT: ${this.formatTraceValue(root)}
+
+PRECEDENT TREE (${trace.nodeCount} cells/ranges, up to ${trace.maxDepth} levels${trace.truncated ? ', truncated' : ''}):
+`;
+        
+        const visit = (node) => {
+            const indent = '  '.repeat(node.depth);
+            prompt += `${indent}- ${node.address}${node.label ? ` "${node.label}"` : ''} = ${this.formatTraceValue(node)}`;
+            prompt += node.formula ? ` | ${node.formula}` : (node.isRange ? '' : ' | input');
+            if (node.truncated) prompt += ' | (more precedents not shown)';
+            prompt += '\n';
+            node.children.forEach(visit);
+        };
+        visit(root);
+        
+        prompt += `
+INSTRUCTIONS:
+1. Say in one sentence what the selected cell represents in business terms (use the row labels)
+2. Walk through the calculation step by step, from the inputs up to the result, using the actual values shown
+3. Distinguish inputs (typed values) from calculated cells, and name the sheet when a step comes from another sheet
+4. Point out anything risky: hard-coded constants inside formulas, error values, very long chains, or precedents that look out of place
+5. Use readRange if you need cells beyond the tree
+`;
+        
+        if (userQuestion) {
+            prompt += `
+USER QUESTION: "${userQuestion}"
+`;
+        }
+        
+        return prompt;
+    }
+
+    // Display value of a trace node (ranges are summarised)
+    formatTraceValue(node) {
+        if (node.isRange) {
+            if (!node.summary) return `${node.cellCount} cells`;
+            if (node.summary.count === 0) return `${node.cellCount} cells, no numbers`;
+            return `${node.cellCount} cells, sum ${this.formatExact(node.summary.sum)}, min ${this.formatExact(node.summary.min)}, max ${this.formatExact(node.summary.max)}`;
+        }
+        if (typeof node.value === 'number' && node.text && node.text !== String(node.value)) {
+            return `${this.formatExact(node.value)} (shown as ${node.text})`;
+        }
+        return node.value === '' || node.value === null ? '(empty)' : String(node.value);
+    }
+
     // Conversation history management
-    addToConversationHistory(role, content) {
-        this.conversationHistory.push({
+    // isPartial marks an assistant answer that was stopped before it finished
+    // dataRange records the range the answer was based on (used by exports)
+    // Returns the message so callers can persist it
+    addToConversationHistory(role, content, isPartial = false, dataRange = null) {
+        const message = {
             role: role,
             content: content,
+            partial: isPartial,
+            dataRange: dataRange,
             timestamp: new Date().toISOString()
-        });
-        
-        // Trim history if it gets too long
-        if (this.conversationHistory.length > this.CONFIG.MAX_HISTORY * 2) {
-            this.conversationHistory = this.conversationHistory.slice(-this.CONFIG.MAX_HISTORY * 2);
+        };
+        this.conversationHistory.push(message);
+        return message;
+    }
+
+    // Replace the history with a saved conversation; the chat session is rebuilt on the next question
+    restoreConversation(messages) {
+        this.conversationHistory = messages.slice();
+        this.chatSession = null;
+        console.log(`Restored ${this.getConversationLength()} saved exchanges`);
+    }
+
+    // Completed user/assistant pairs for seeding a new chat session, limited to the last MAX_HISTORY
+    // The question being asked right now (a trailing user message) is sent separately
+    buildSessionHistory() {
+        const turns = [];
+        for (let i = 0; i < this.conversationHistory.length - 1; i++) {
+            const question = this.conversationHistory[i];
+            const answer = this.conversationHistory[i + 1];
+            if (question.role !== 'user' || answer.role !== 'assistant') continue;
+            
+            const content = this.redactText(answer.content);
+            turns.push({ role: 'user', content: this.redactText(question.content) });
+            turns.push({ role: 'assistant', content: answer.partial ? `${content}\n\n(stopped early)` : content });
+            i++;
         }
+        return turns.slice(-this.CONFIG.MAX_HISTORY * 2);
     }
 
     // Clear conversation and start fresh
     clearConversation() {
         this.conversationHistory = [];
         this.chatSession = null;
+        if (this.redactor) this.redactor.reset();
         console.log('AI conversation history cleared');
     }
 
@@ -443,7 +1531,7 @@ Note: Provide focused analysis due to large dataset. Request specific details if
 
     // Check if AI is initialized
     isInitialized() {
-        return this.model !== null;
+        return this.provider !== null;
     }
 }
 
@@ -0,0 +1,411 @@
+// AnswerVerifier - Checks the figures an AI answer quotes against the data that was read for the question
+// Each number is attributed to the row and column labels nearest to it (the same sentence, or the row and
+// header of a markdown table) and compared with the sheet's cells, column totals and group sums, allowing
+// for the rounding of K/M formatting (see AIService.formatValue). Every figure ends up as:
+//   verified     - a cell with those labels (or, for a specific number without labels, any cell) holds it
+//   mismatched   - the labelled cell holds a different value, or a labelled value is close but not equal
+//   unverifiable - nothing to compare with, e.g. a growth rate or difference the model worked out
+class AnswerVerifier {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.CONFIG = {
+            MAX_FIGURES: 40, // Figures checked per answer
+            MAX_LABEL_DISTANCE: 80, // Characters between a figure and a label it is attributed to
+            NEAR_MISS_RATIO: 0.25, // A labelled value this close that does not match is reported as a mismatch
+            MIN_SIGNIFICANT_DIGITS: 3, // Unlabelled figures need this many to be matched anywhere in the data
+            MIN_LABEL_LENGTH: 2
+        };
+        // Optional sign and currency, digits with optional thousands separators and decimals, optional scale or %
+        this.NUMBER_PATTERN = /([-−–]?)([$€£¥]\s?)?(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)(\s?(?:%|[KkMmBb](?![A-Za-z])|bn\b|thousand\b|million\b|billion\b))?/g;
+        this.SCALES = { k: 1e3, thousand: 1e3, m: 1e6, million: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+        // Words that usually mean a figure was calculated rather than read from a cell
+        this.DERIVED_PATTERN = /\b(grew|growth|increase[ds]?|decrease[ds]?|declin\w*|change[ds]?|differen\w*|rose|fell|up|down|margin|ratio|share|per|cagr|vs|versus|compared|more|less|higher|lower)\b/i;
+    }
+
+    // Verify an answer against the worksheet data it was given and the ranges its tool calls read
+    // Returns null when it quotes no figures, else
+    // { figures: [{ text, value, status, rowLabel, columnLabel, source, expected }], verified, mismatched, unverifiable, level }
+    verifyAnswer(answerText, worksheetData, toolCalls = []) {
+        if (!answerText || !worksheetData) return null;
+
+        const figures = this.extractFigures(answerText);
+        if (figures.length === 0) return null;
+
+        const index = this.buildIndex(worksheetData, toolCalls);
+        const results = figures.map(figure => this.checkFigure(figure, index));
+
+        const count = (status) => results.filter(result => result.status === status).length;
+        const summary = {
+            figures: results,
+            verified: count('verified'),
+            mismatched: count('mismatched'),
+            unverifiable: count('unverifiable')
+        };
+        summary.level = this.getTrustLevel(summary);
+        return summary;
+    }
+
+    // 'mismatch' if any figure disagrees, 'verified' if all agree, 'partial' if some could not be checked
+    getTrustLevel(summary) {
+        if (summary.mismatched > 0) return 'mismatch';
+        if (summary.verified === 0) return 'unverified';
+        return summary.unverifiable > 0 ? 'partial' : 'verified';
+    }
+
+    // Numbers quoted in the answer with the text they sit in (sentence, or table row and column header)
+    extractFigures(answerText) {
+        const text = answerText.replace(/\*\*|__|`/g, '');
+        const lines = text.split('\n');
+        const figures = [];
+        let tableHeader = null;
+
+        lines.forEach((line, lineIndex) => {
+            if (figures.length >= this.CONFIG.MAX_FIGURES) return;
+
+            const trimmed = line.trim();
+            if (/^\|?[\s:|-]+\|[\s:|-]*$/.test(trimmed) && trimmed.includes('-')) return; // Table separator
+
+            if (trimmed.startsWith('|')) {
+                const cells = this.splitTableRow(trimmed);
+                const nextLine = (lines[lineIndex + 1] || '').trim();
+                if (/^\|?[\s:|-]+\|[\s:|-]*$/.test(nextLine) && nextLine.includes('-')) {
+                    tableHeader = cells;
+                    return;
+                }
+                // Row context: the row's text cells; column context: the header above the figure
+                const rowText = cells.filter(cell => !this.isNumericText(cell)).join(' | ');
+                cells.forEach((cell, cellIndex) => {
+                    const header = tableHeader ? tableHeader[cellIndex] || '' : '';
+                    this.findNumbers(cell).forEach(number => {
+                        figures.push(Object.assign(number, { contexts: [rowText, header], position: null }));
+                    });
+                });
+                return;
+            }
+
+            tableHeader = null;
+            if (/^\s*(#{1,6}\s*)?\d+\.\s/.test(line)) {
+                line = line.replace(/^(\s*(#{1,6}\s*)?)\d+\./, '$1  '); // Numbered-list markers are not figures
+            }
+            this.splitSentences(line).forEach(sentence => {
+                this.findNumbers(sentence).forEach(number => {
+                    figures.push(Object.assign(number, { contexts: [sentence], position: number.index }));
+                });
+            });
+        });
+
+        return figures.slice(0, this.CONFIG.MAX_FIGURES);
+    }
+
+    splitTableRow(line) {
+        return line.replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+    }
+
+    // Sentences of one line; decimal points and "e.g." are not boundaries
+    splitSentences(line) {
+        return line.split(/(?<=[.!?;])\s+(?=[A-Z(])/).filter(sentence => sentence.trim() !== '');
+    }
+
+    isNumericText(cell) {
+        return /^[-−–$€£¥(]*\s?[\d,.]+\s?(%|[KkMmBb]|bn|thousand|million|billion)?\)?$/.test(cell.trim());
+    }
+
+    // Parse the figures in a piece of text, skipping years, dates, times, labels like Q1 or FY2024 and small counts
+    findNumbers(text) {
+        const numbers = [];
+        this.NUMBER_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = this.NUMBER_PATTERN.exec(text)) !== null) {
+            const before = text.charAt(match.index - 1);
+            const after = text.charAt(match.index + match[0].length);
+            const next = text.substring(match.index + match[0].length, match.index + match[0].length + 2);
+            if (/[A-Za-z0-9_.\]]/.test(before) || /^[/:]\d/.test(next) || /^[/:]/.test(before) || /[A-Za-z_]/.test(after)) {
+                continue;
+            }
+
+            const figure = this.parseFigure(match);
+            if (!figure.hasFormatting && Number.isInteger(figure.value)) {
+                if (figure.value < 10) continue; // Counts and list positions
+                if (figure.value >= 1900 && figure.value <= 2100) continue; // Years
+            }
+            figure.index = match.index;
+            numbers.push(figure);
+        }
+        return numbers;
+    }
+
+    // { text, value, tolerance, isPercent, hasFormatting, significantDigits } - tolerance is half the last shown digit
+    parseFigure(match) {
+        const digits = match[3].replace(/,/g, '');
+        const suffix = (match[4] || '').trim().toLowerCase();
+        const isPercent = suffix === '%';
+        const scale = this.SCALES[suffix] || 1;
+        const decimals = digits.includes('.') ? digits.split('.')[1].length : 0;
+
+        // "1,235,000" is a rounded figure: trailing zeros of numbers over 1,000 are not taken as precise
+        const trailingZeros = decimals === 0 && digits.length >= 4 ? (digits.match(/0+$/) || [''])[0].length : 0;
+        const precision = decimals > 0 ? Math.pow(10, -decimals) : Math.pow(10, Math.min(trailingZeros, digits.length - 2));
+        let significant = digits.replace('.', '').replace(/^0+/, '');
+        if (decimals === 0) significant = significant.replace(/0+$/, '');
+
+        return {
+            text: match[0].trim(),
+            value: parseFloat(digits) * scale,
+            tolerance: (precision / 2) * scale,
+            isPercent: isPercent,
+            hasFormatting: Boolean(match[2] || suffix || match[3].includes(',') || decimals > 0),
+            significantDigits: significant.length
+        };
+    }
+
+    // Cells, totals and group sums of the sheet (and related sheets) with the labels that describe them
+    buildIndex(worksheetData, toolCalls = []) {
+        const index = { cells: [], rowLabels: new Map(), columnLabels: new Map() };
+        const sheets = [worksheetData].concat(worksheetData.relatedSheets || [], this.getToolGrids(toolCalls));
+        sheets.forEach(sheet => {
+            if (sheet && !sheet.error) this.indexSheet(sheet, index);
+        });
+
+        // Longest labels first, so "Gross profit" wins over "Profit"
+        index.labels = Array.from(index.rowLabels.values()).map(label => Object.assign({ kind: 'row' }, label))
+            .concat(Array.from(index.columnLabels.values()).map(label => Object.assign({ kind: 'column' }, label)))
+            .sort((a, b) => b.key.length - a.key.length);
+        return index;
+    }
+
+    indexSheet(sheet, index) {
+        const grid = sheet.rawData || [];
+        const struct = sheet.structuredData || {};
+        const sheetName = sheet.worksheetName || '';
+        const headerRowIndex = typeof struct.headerRowIndex === 'number' ? struct.headerRowIndex : -1;
+        const headerLabels = this.getHeaderLabels(grid, struct, headerRowIndex);
+        const addressOf = this.createAddressLookup(sheet);
+
+        grid.forEach((row, rowIndex) => {
+            if (rowIndex === headerRowIndex) return;
+            const rowLabel = row.find(cell => typeof cell === 'string' && cell.trim().length >= this.CONFIG.MIN_LABEL_LENGTH) || null;
+            row.forEach((cell, columnIndex) => {
+                if (typeof cell !== 'number' || !isFinite(cell)) return;
+                this.addCell(index, {
+                    value: cell,
+                    rowLabel: rowLabel,
+                    columnLabel: headerLabels[columnIndex] || null,
+                    address: addressOf(rowIndex, columnIndex),
+                    sheet: sheetName
+                });
+            });
+        });
+
+        // Exact column statistics (totals, averages, extremes) and group sums for record tables
+        const aggregates = sheet.columnAggregates;
+        if (aggregates) {
+            (aggregates.columns || []).forEach(column => {
+                ['sum', 'sumExcludingTotalRows', 'mean', 'min', 'max'].forEach(stat => {
+                    if (typeof column[stat] !== 'number') return;
+                    this.addCell(index, { value: column[stat], rowLabel: null, columnLabel: column.header, address: null, sheet: sheetName, stat: stat });
+                });
+            });
+            (aggregates.groups || []).forEach(group => {
+                group.rows.forEach(groupRow => {
+                    group.measures.forEach((measure, measureIndex) => {
+                        this.addCell(index, {
+                            value: groupRow.sums[measureIndex],
+                            rowLabel: String(groupRow.key),
+                            columnLabel: measure.header,
+                            address: null,
+                            sheet: sheetName,
+                            stat: 'sum'
+                        });
+                    });
+                });
+            });
+        }
+    }
+
+    // Ranges the model read with data tools (readRange results), shaped like sheets
+    getToolGrids(toolCalls) {
+        return (toolCalls || [])
+            .map(call => call.response)
+            .filter(response => response && response.address && Array.isArray(response.values) && Array.isArray(response.values[0]))
+            .map(response => ({
+                worksheetName: this.dataService ? this.dataService.parseSheetAddress(response.address).sheetName : null,
+                address: response.address,
+                rawData: response.values,
+                // Text above the first column's labels means the first row is a header
+                structuredData: { headerRowIndex: response.values[0].slice(1).some(cell => typeof cell === 'string' && cell !== '') ? 0 : -1 }
+            }));
+    }
+
+    // Column labels: the header text, or the period label for date and number headers
+    getHeaderLabels(grid, struct, headerRowIndex) {
+        const labels = [];
+        const header = headerRowIndex >= 0 ? grid[headerRowIndex] || [] : [];
+        header.forEach((cell, columnIndex) => {
+            if (typeof cell === 'string' && cell.trim() !== '') labels[columnIndex] = cell.trim();
+        });
+        (struct.periodColumns || []).forEach(period => {
+            if (!labels[period.columnIndex] || /^\d+$/.test(labels[period.columnIndex])) {
+                labels[period.columnIndex] = period.label;
+            }
+        });
+        return labels;
+    }
+
+    // Worksheet address of a grid cell (sampled grids map rows and columns through the sampling plan)
+    createAddressLookup(sheet) {
+        const plan = sheet.samplingPlan;
+        const sheetName = sheet.worksheetName;
+        if (!this.dataService || !sheet.address) return () => null;
+
+        const origin = this.dataService.parseRangeStart(sheet.address);
+        return (rowIndex, columnIndex) => {
+            const row = plan && plan.rowNumbers ? plan.rowNumbers[rowIndex] : origin.row + rowIndex;
+            const letter = plan && plan.columnLetters
+                ? plan.columnLetters[columnIndex]
+                : this.dataService.getColumnLetter(origin.col + columnIndex);
+            if (!row || !letter) return null;
+            return sheetName ? `${sheetName}!${letter}${row}` : `${letter}${row}`;
+        };
+    }
+
+    addCell(index, cell) {
+        cell.rowKey = this.normalizeLabel(cell.rowLabel);
+        cell.columnKey = this.normalizeLabel(cell.columnLabel);
+        index.cells.push(cell);
+        this.addLabel(index.rowLabels, cell.rowLabel, cell.rowKey);
+        this.addLabel(index.columnLabels, cell.columnLabel, cell.columnKey);
+    }
+
+    addLabel(labels, text, key) {
+        if (!key || key.length < this.CONFIG.MIN_LABEL_LENGTH || /^[\d\s.,%-]+$/.test(key) || labels.has(key)) return;
+        labels.set(key, {
+            text: String(text).trim(),
+            key: key,
+            pattern: new RegExp(`(?<![a-z0-9])${key.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![a-z0-9])`, 'g')
+        });
+    }
+
+    normalizeLabel(label) {
+        if (label === null || label === undefined) return null;
+        return String(label).toLowerCase().replace(/[*_`]/g, '').replace(/\s+/g, ' ').trim();
+    }
+
+    // Row and column labels nearest to the figure in its context(s)
+    findLabels(figure, index) {
+        const occurrences = [];
+        figure.contexts.forEach((context, contextIndex) => {
+            const text = this.normalizeLabel(context);
+            if (!text) return;
+            const taken = [];
+            index.labels.forEach(label => {
+                if (!text.includes(label.key)) return;
+                label.pattern.lastIndex = 0;
+                let match;
+                while ((match = label.pattern.exec(text)) !== null) {
+                    const start = match.index;
+                    const end = start + label.key.length;
+                    // A shorter label inside a longer one that already matched is not a separate mention
+                    if (taken.some(span => start < span.end && end > span.start && span.kind === label.kind)) continue;
+                    taken.push({ start, end, kind: label.kind });
+                    occurrences.push({ label, distance: this.getDistance(figure, start, end, contextIndex) });
+                }
+            });
+        });
+
+        const nearest = (kind, exclude) => occurrences
+            .filter(occurrence => occurrence.label.kind === kind && occurrence.distance <= this.CONFIG.MAX_LABEL_DISTANCE &&
+                (!exclude || occurrence.label.key !== exclude.key))
+            .sort((a, b) => a.distance - b.distance)[0];
+
+        const row = nearest('row');
+        const column = nearest('column', row ? row.label : null);
+        return { row: row ? row.label : null, column: column ? column.label : null };
+    }
+
+    // Labels before the figure count by the gap; labels after it count a little further away
+    getDistance(figure, start, end, contextIndex) {
+        if (figure.position === null) return contextIndex; // Table row / header: always in range
+        if (end <= figure.position) return figure.position - end;
+        return start - (figure.position + figure.text.length) + 10;
+    }
+
+    checkFigure(figure, index) {
+        const labels = this.findLabels(figure, index);
+        const result = {
+            text: figure.text,
+            value: figure.value,
+            status: 'unverifiable',
+            rowLabel: labels.row ? labels.row.text : null,
+            columnLabel: labels.column ? labels.column.text : null,
+            source: null,
+            expected: null
+        };
+
+        const byRow = labels.row ? index.cells.filter(cell => cell.rowKey === labels.row.key) : [];
+        const byColumn = labels.column ? index.cells.filter(cell => cell.columnKey === labels.column.key) : [];
+        const both = labels.row && labels.column ? byRow.filter(cell => cell.columnKey === labels.column.key) : [];
+        const labelled = both.length > 0 ? both : byRow.concat(byColumn);
+
+        const hit = labelled.find(cell => this.matches(figure, cell.value));
+        if (hit) {
+            return Object.assign(result, { status: 'verified', source: this.describeSource(hit) });
+        }
+
+        // A clearly labelled cell that says something else, or a labelled value that is nearly the same
+        const nearest = this.findNearest(figure, labelled);
+        const derived = figure.isPercent || figure.contexts.some(context => this.DERIVED_PATTERN.test(context));
+        if (nearest && ((both.length > 0 && !derived && nearest.ratio <= 1) || nearest.ratio <= this.CONFIG.NEAR_MISS_RATIO)) {
+            return Object.assign(result, {
+                status: 'mismatched',
+                source: this.describeSource(nearest.cell),
+                expected: nearest.cell.value
+            });
+        }
+
+        // Specific numbers quoted without usable labels can still be found anywhere in the data
+        if (figure.significantDigits >= this.CONFIG.MIN_SIGNIFICANT_DIGITS) {
+            const anywhere = index.cells.find(cell => this.matches(figure, cell.value));
+            if (anywhere) {
+                return Object.assign(result, { status: 'verified', source: this.describeSource(anywhere) });
+            }
+        }
+        return result;
+    }
+
+    // Does a cell value round to the figure as written? Signs are ignored ("a loss of 1.2M")
+    matches(figure, value) {
+        const cellValue = Math.abs(value);
+        const tolerance = figure.tolerance + Math.abs(figure.value) * 1e-9;
+        if (figure.isPercent) {
+            return Math.abs(cellValue * 100 - figure.value) <= tolerance || Math.abs(cellValue - figure.value) <= tolerance;
+        }
+        return Math.abs(cellValue - figure.value) <= tolerance;
+    }
+
+    // Closest labelled value by relative difference; percentages compare with ratios as shown (0.25 -> 25%)
+    findNearest(figure, cells) {
+        let best = null;
+        cells.forEach(cell => {
+            const shown = figure.isPercent && Math.abs(cell.value) <= 1.5 ? Math.abs(cell.value) * 100 : Math.abs(cell.value);
+            if (shown === 0 && figure.value === 0) return;
+            const ratio = Math.abs(shown - figure.value) / Math.max(shown, figure.value);
+            if (!best || ratio < best.ratio) best = { cell, ratio };
+        });
+        return best;
+    }
+
+    describeSource(cell) {
+        const statNames = { sum: 'total', sumExcludingTotalRows: 'total excluding total rows', mean: 'average', min: 'minimum', max: 'maximum' };
+        const labels = [cell.rowLabel, cell.columnLabel].filter(Boolean).join(' / ');
+        return {
+            address: cell.address,
+            value: cell.value,
+            description: cell.stat ? `${statNames[cell.stat]} of ${labels || 'column'}` : labels || cell.address || cell.sheet
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.AnswerVerifier = AnswerVerifier;
+}
@@ -0,0 +1,126 @@
+// Typed errors for the assistant - each kind tells the caller how to recover and the user what to do
+//   retryable   - AIService retries it automatically with exponential backoff
+//   retryAfter  - seconds the service asked us to wait (rate limits), or null
+//   title       - short label for the status bar
+//   hint        - what the user can do about it
+// AIService turns provider errors into these (see createTypedError); Excel failures are wrapped with ExcelApiError.from
+
+// Base class - also used for failures that fit no specific kind
+export class AssistantError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = 'AssistantError';
+        this.title = 'Something went wrong';
+        this.hint = details.hint || 'Please try again.';
+        this.retryable = false;
+        this.retryAfter = null;
+        this.cause = details.cause || null;
+    }
+}
+
+// The API key (or relay access token) was missing or rejected
+export class AuthError extends AssistantError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'AuthError';
+        this.title = 'API key problem';
+        this.hint = details.hint || 'Open Settings (the gear icon) and save a valid key.';
+    }
+}
+
+// Too many requests or the quota is used up; retryAfter comes from the service when it sends one
+export class RateLimitError extends AssistantError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'RateLimitError';
+        this.title = 'Rate limit reached';
+        this.hint = details.hint || 'Wait a little, then ask again.';
+        this.retryable = true;
+        this.retryAfter = details.retryAfter || null;
+    }
+}
+
+// The provider refused the prompt or the answer
+export class SafetyBlockError extends AssistantError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'SafetyBlockError';
+        this.title = 'Blocked by safety filters';
+        this.hint = details.hint || 'Rephrase the question, or mark columns with personal data as sensitive.';
+    }
+}
+
+// No connection, or the request did not reach the service
+export class OfflineError extends AssistantError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'OfflineError';
+        this.title = 'Connection problem';
+        this.hint = details.hint || 'Check your internet connection, then ask again.';
+        this.retryable = true;
+    }
+}
+
+// The service is overloaded or down (5xx)
+export class ServiceUnavailableError extends AssistantError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ServiceUnavailableError';
+        this.title = 'AI service unavailable';
+        this.hint = details.hint || 'The service is busy or down. Try again in a few minutes.';
+        this.retryable = true;
+    }
+}
+
+// The chat session was lost; the next attempt starts a new one
+export class SessionError extends AssistantError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'SessionError';
+        this.title = 'Chat session reset';
+        this.hint = details.hint || 'Ask your question again.';
+        this.retryable = true;
+    }
+}
+
+// The prompt is larger than the model accepts
+export class ContextTooLongError extends AssistantError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ContextTooLongError';
+        this.title = 'Too much data for the model';
+        this.hint = details.hint || 'Select a smaller range, choose "This sheet", or clear the conversation.';
+    }
+}
+
+// An Excel (Office.js) call failed while reading or changing the workbook
+export class ExcelApiError extends AssistantError {
+    constructor(message, details = {}) {
+        super(message, details);
+        this.name = 'ExcelApiError';
+        this.title = 'Excel could not complete the request';
+        this.hint = details.hint || 'Check the workbook is not busy, then try again.';
+        this.code = details.code || null;
+    }
+
+    // Wrap an Office.js failure (the services already describe what failed), with a hint for the causes users can fix
+    static from(error) {
+        if (error instanceof AssistantError) return error;
+
+        const message = (error && error.message) || String(error);
+        const code = (error && error.code) || null;
+        let hint = null;
+        if (code === 'InvalidOperationInCellEditMode' || /cell.?edit|edit mode/i.test(message)) {
+            hint = 'Finish editing the cell (press Enter or Esc), then try again.';
+        } else if (code === 'ItemNotFound' || /not found|does not exist|no longer exists/i.test(message)) {
+            hint = 'The sheet, table or range may have been renamed or deleted. Check the name and try again.';
+        } else if (/payload|too large|response size/i.test(message)) {
+            hint = 'Select a smaller range, then try again.';
+        } else if (/no excel data|no data/i.test(message)) {
+            hint = 'Select a data range, or check the worksheet contains data.';
+        }
+
+        return new ExcelApiError(message, { cause: error, code: code, hint: hint });
+    }
+}
+
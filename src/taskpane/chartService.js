@@ -0,0 +1,206 @@
+/* global Excel */
+
+// ChartService - Builds native Excel charts from chat requests
+// Uses the row/series detection from DataService (timeSeries, keyRows, dataRows)
+class ChartService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.CONFIG = {
+            MAX_SERIES: 6,
+            DEFAULT_SERIES: 3
+        };
+        this.CHART_TYPES = [
+            { value: 'ColumnClustered', label: 'Column' },
+            { value: 'BarClustered', label: 'Bar' },
+            { value: 'Line', label: 'Line' },
+            { value: 'Area', label: 'Area' },
+            { value: 'Pie', label: 'Pie' }
+        ];
+        this.CATEGORY_NAMES = { month: 'Month', quarter: 'Quarter', half: 'Half-year', year: 'Year' };
+        this.STOP_WORDS = new Set(['plot', 'chart', 'graph', 'show', 'visualize', 'visualise', 'draw', 'make', 'create',
+            'the', 'and', 'for', 'with', 'over', 'time', 'per', 'by', 'of', 'vs', 'versus', 'against', 'a', 'an', 'me',
+            'quarter', 'quarters', 'quarterly', 'month', 'months', 'monthly', 'year', 'years', 'yearly', 'annual',
+            'trend', 'please', 'this', 'that', 'data', 'sheet']);
+    }
+
+    // Does the question ask for a chart?
+    isChartRequest(question) {
+        return /\b(plot|chart|graph|visuali[sz]e)\b/i.test(question);
+    }
+
+    // Choose source rows, categories, chart type and titles for a question
+    // Returns null when the data has no numeric series to chart
+    buildChartSpec(question, worksheetData) {
+        const struct = worksheetData && worksheetData.structuredData;
+        if (!struct || !struct.dataRows || struct.dataRows.length === 0 || !worksheetData.address) return null;
+
+        const isTimeSeries = struct.timeSeries && struct.timeSeries.length > 0;
+        const candidates = isTimeSeries
+            ? struct.dataRows.filter(row => struct.timeSeries.some(series => series.rowIndex === row.rowIndex))
+            : struct.dataRows.filter(row => row.rowIndex !== struct.headerRowIndex && row.values.some(v => typeof v === 'number'));
+        if (candidates.length === 0) return null;
+
+        const columnLetter = (index) => this.columnLetterAt(worksheetData, index);
+        const seriesRows = this.selectSeriesRows(question, candidates, struct.keyRows || []);
+        const categoryIndices = this.longestContiguousRun(
+            this.selectCategoryColumns(struct, seriesRows, isTimeSeries),
+            index => this.dataService.getColumnNumber(columnLetter(index))
+        );
+        if (seriesRows.length === 0 || categoryIndices.length === 0 || !struct.headerRowNumber) return null;
+
+        const firstCol = columnLetter(categoryIndices[0]);
+        const lastCol = columnLetter(categoryIndices[categoryIndices.length - 1]);
+        const labelCol = columnLetter(0);
+
+        const seriesNames = seriesRows.map(row => String(row.label));
+        const categoryName = isTimeSeries ? this.CATEGORY_NAMES[struct.timeAxis.granularity] : 'Category';
+
+        return {
+            sheet: worksheetData.worksheetName,
+            chartType: this.chooseChartType(question, isTimeSeries, seriesRows.length),
+            title: `${seriesNames.slice(0, 3).join(', ')}${seriesNames.length > 3 ? ' and more' : ''} by ${categoryName.toLowerCase()}`,
+            categoryAxisTitle: categoryName,
+            valueAxisTitle: seriesRows.length === 1 ? seriesNames[0] : 'Value',
+            categories: {
+                address: `${firstCol}${struct.headerRowNumber}:${lastCol}${struct.headerRowNumber}`,
+                labels: categoryIndices.map(index => struct.columnHeaders[index])
+            },
+            series: seriesRows.map(row => ({
+                name: String(row.label),
+                nameAddress: `${labelCol}${row.rowNumber}`,
+                address: `${firstCol}${row.rowNumber}:${lastCol}${row.rowNumber}`
+            })),
+            // Place the chart to the right of the analysed data
+            anchorAddress: `${this.dataService.getColumnLetter(this.lastColumnNumber(worksheetData) + 2)}${struct.headerRowNumber}`
+        };
+    }
+
+    // Rows whose labels match words in the question, else the leading key rows
+    selectSeriesRows(question, candidates, keyRows) {
+        const words = question.toLowerCase().match(/[a-z0-9&%]+/g) || [];
+        const terms = words.filter(word => word.length > 2 && !this.STOP_WORDS.has(word));
+
+        const matched = candidates.filter(row => {
+            const label = String(row.label).toLowerCase();
+            return terms.some(term => label.includes(term));
+        });
+        if (matched.length > 0) {
+            // Prefer exact-ish matches (shortest labels) and drop duplicates of the same label
+            return this.uniqueByLabel(matched.sort((a, b) => String(a.label).length - String(b.label).length))
+                .slice(0, this.CONFIG.MAX_SERIES);
+        }
+
+        const keyCandidates = candidates.filter(row => keyRows.some(key => key.rowIndex === row.rowIndex));
+        return this.uniqueByLabel(keyCandidates.length > 0 ? keyCandidates : candidates).slice(0, this.CONFIG.DEFAULT_SERIES);
+    }
+
+    uniqueByLabel(rows) {
+        const seen = new Set();
+        return rows.filter(row => {
+            if (seen.has(row.label)) return false;
+            seen.add(row.label);
+            return true;
+        });
+    }
+
+    // Column indices that hold category values for the chosen series
+    selectCategoryColumns(struct, seriesRows, isTimeSeries) {
+        let indices;
+        if (isTimeSeries) {
+            const periodColumns = new Set();
+            struct.timeSeries
+                .filter(series => seriesRows.some(row => row.rowIndex === series.rowIndex))
+                .forEach(series => series.points.forEach(point => periodColumns.add(point.columnIndex)));
+            indices = Array.from(periodColumns);
+        } else {
+            indices = struct.columnHeaders
+                .map((header, index) => index)
+                .filter(index => index > 0 && struct.columnHeaders[index] !== '' &&
+                    seriesRows.some(row => typeof row.values[index - 1] === 'number'));
+        }
+        return indices.sort((a, b) => a - b);
+    }
+
+    // Longest run of indices whose worksheet columns are adjacent (chart ranges must be contiguous)
+    longestContiguousRun(indices, columnNumberOf) {
+        let best = [];
+        let current = [];
+        indices.forEach(index => {
+            const previous = current[current.length - 1];
+            if (current.length > 0 && columnNumberOf(index) !== columnNumberOf(previous) + 1) {
+                if (current.length > best.length) best = current;
+                current = [];
+            }
+            current.push(index);
+        });
+        return current.length > best.length ? current : best;
+    }
+
+    chooseChartType(question, isTimeSeries, seriesCount) {
+        if (/\b(pie|share|mix|breakdown|composition)\b/i.test(question) && seriesCount === 1) return 'Pie';
+        if (/\bbar\b/i.test(question)) return 'BarClustered';
+        if (/\barea\b/i.test(question)) return 'Area';
+        if (/\b(line|trend|over time|growth)\b/i.test(question)) return 'Line';
+        return isTimeSeries && seriesCount > 3 ? 'Line' : 'ColumnClustered';
+    }
+
+    // Worksheet column letter for a column index within the analysed data (sampling-aware)
+    columnLetterAt(worksheetData, index) {
+        if (worksheetData.samplingPlan) {
+            return worksheetData.samplingPlan.columnLetters[index];
+        }
+        const origin = this.dataService.parseRangeStart(worksheetData.address);
+        return this.dataService.getColumnLetter(origin.col + index);
+    }
+
+    lastColumnNumber(worksheetData) {
+        const lastCell = String(worksheetData.address).split('!').pop().split(':').pop();
+        return this.dataService.parseRangeStart(lastCell).col;
+    }
+
+    // Insert the chart described by a spec
+    async insertChart(spec, chartType = spec.chartType) {
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const sheet = context.workbook.worksheets.getItem(spec.sheet);
+                    const categoryRange = sheet.getRange(spec.categories.address);
+                    const [firstSeries, ...otherSeries] = spec.series;
+
+                    const chart = sheet.charts.add(chartType, sheet.getRange(firstSeries.address), Excel.ChartSeriesBy.rows);
+                    chart.title.text = spec.title;
+
+                    const first = chart.series.getItemAt(0);
+                    first.name = firstSeries.name;
+                    first.setXAxisValues(categoryRange);
+
+                    // Pie charts show a single series
+                    if (chartType !== 'Pie') {
+                        otherSeries.forEach(seriesSpec => {
+                            const series = chart.series.add(seriesSpec.name);
+                            series.setValues(sheet.getRange(seriesSpec.address));
+                            series.setXAxisValues(categoryRange);
+                        });
+
+                        chart.axes.categoryAxis.title.text = spec.categoryAxisTitle;
+                        chart.axes.valueAxis.title.text = spec.valueAxisTitle;
+                    }
+
+                    chart.legend.visible = chartType === 'Pie' || spec.series.length > 1;
+                    chart.setPosition(spec.anchorAddress);
+                    chart.load('name');
+                    await context.sync();
+
+                    resolve({ name: chart.name, chartType: chartType });
+                } catch (error) {
+                    reject(new Error('Failed to insert chart: ' + error.message));
+                }
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ChartService = ChartService;
+}
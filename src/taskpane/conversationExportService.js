@@ -0,0 +1,196 @@
+/* global Excel */
+
+// Import Markdown parser
+import { marked } from 'marked';
+
+// ConversationExportService - Exports a chat thread to a "Chat Log" sheet or a Markdown/HTML file
+// Messages use the AIService history shape: { role, content, partial, timestamp, dataRange }
+class ConversationExportService {
+    constructor() {
+        this.CONFIG = {
+            SHEET_NAME: 'Chat Log',
+            MAX_CELL_LENGTH: 32000, // Excel cells hold at most 32,767 characters
+            COLUMN_WIDTHS: [130, 70, 260, 420, 150]
+        };
+        this.SHEET_HEADERS = ['Timestamp', 'Role', 'Question', 'Answer', 'Data Range'];
+    }
+
+    // One sheet row per message; answer rows repeat the question they answer
+    buildRows(messages) {
+        let lastQuestion = '';
+        return messages.map(msg => {
+            const isUser = msg.role === 'user';
+            if (isUser) lastQuestion = msg.content;
+            const answer = isUser ? '' : msg.content + (msg.partial ? '\n\n(stopped early)' : '');
+            return [
+                this.formatTimestamp(msg.timestamp),
+                isUser ? 'User' : 'Assistant',
+                this.truncateCell(lastQuestion),
+                this.truncateCell(answer),
+                msg.dataRange || ''
+            ];
+        });
+    }
+
+    // Write the thread to a new "Chat Log" sheet and activate it
+    async exportToSheet(messages) {
+        if (messages.length === 0) {
+            throw new Error('There is no conversation to export');
+        }
+
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const worksheets = context.workbook.worksheets;
+                    worksheets.load('items/name');
+                    await context.sync();
+
+                    const sheetName = this.getUniqueSheetName(worksheets.items.map(ws => ws.name));
+                    const sheet = worksheets.add(sheetName);
+                    const rows = [this.SHEET_HEADERS, ...this.buildRows(messages)];
+
+                    const range = sheet.getRangeByIndexes(0, 0, rows.length, this.SHEET_HEADERS.length);
+                    range.numberFormat = rows.map(row => row.map(() => '@')); // Keep answers as text
+                    range.values = rows;
+                    range.format.verticalAlignment = 'Top';
+
+                    const header = sheet.getRangeByIndexes(0, 0, 1, this.SHEET_HEADERS.length);
+                    header.format.font.bold = true;
+                    header.format.fill.color = '#F2F2F2';
+                    sheet.freezePanes.freezeRows(1);
+
+                    this.CONFIG.COLUMN_WIDTHS.forEach((width, index) => {
+                        const column = sheet.getRangeByIndexes(0, index, rows.length, 1);
+                        column.format.columnWidth = width;
+                        column.format.wrapText = index === 2 || index === 3;
+                    });
+
+                    sheet.activate();
+                    await context.sync();
+
+                    resolve({ sheetName: sheetName, rowsWritten: rows.length - 1 });
+                } catch (error) {
+                    reject(new Error('Failed to export conversation: ' + error.message));
+                }
+            });
+        });
+    }
+
+    // "Chat Log", then "Chat Log 2", "Chat Log 3", ...
+    getUniqueSheetName(existingNames) {
+        const taken = new Set(existingNames.map(name => name.toLowerCase()));
+        let name = this.CONFIG.SHEET_NAME;
+        for (let i = 2; taken.has(name.toLowerCase()); i++) {
+            name = `${this.CONFIG.SHEET_NAME} ${i}`;
+        }
+        return name;
+    }
+
+    // Markdown document for review packs
+    toMarkdown(messages) {
+        let markdown = `# Excel Assistant conversation\n\nExported ${this.formatTimestamp(new Date().toISOString())}\n`;
+
+        messages.forEach(msg => {
+            if (msg.role === 'user') {
+                markdown += `\n---\n\n## Question\n\n_${this.formatTimestamp(msg.timestamp)}_\n\n> ${msg.content.replace(/\n/g, '\n> ')}\n`;
+            } else {
+                markdown += `\n## Answer\n\n`;
+                if (msg.dataRange) markdown += `_Data range: ${msg.dataRange}_\n\n`;
+                markdown += `${msg.content}\n`;
+                if (msg.partial) markdown += `\n_(stopped early)_\n`;
+            }
+        });
+
+        return markdown;
+    }
+
+    // Standalone HTML document (inline styles, no external assets)
+    toHtml(messages) {
+        const body = messages.map(msg => {
+            const time = this.escapeHtml(this.formatTimestamp(msg.timestamp));
+            if (msg.role === 'user') {
+                return `<section class="question"><div class="meta">Question · ${time}</div><p>${this.escapeHtml(msg.content)}</p></section>`;
+            }
+            const range = msg.dataRange ? ` · ${this.escapeHtml(msg.dataRange)}` : '';
+            const partial = msg.partial ? '<p class="meta">(stopped early)</p>' : '';
+            return `<section class="answer"><div class="meta">Answer · ${time}${range}</div>${marked.parse(msg.content)}${partial}</section>`;
+        }).join('\n');
+
+        return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<title>Excel Assistant conversation</title>
+<style>
+body { font-family: "Segoe UI", Arial, sans-serif; max-width: 860px; margin: 32px auto; padding: 0 16px; color: #222; line-height: 1.5; }
+section { padding: 12px 16px; margin: 12px 0; border-radius: 6px; }
+.question { background: #fff4ec; border-left: 4px solid #ff6b35; }
+.answer { background: #f6f6f6; border-left: 4px solid #999; }
+.meta { font-size: 12px; color: #777; margin-bottom: 6px; }
+table { border-collapse: collapse; } th, td { border: 1px solid #ccc; padding: 4px 8px; }
+</style>
+</head>
+<body>
+<h1>Excel Assistant conversation</h1>
+<p class="meta">Exported ${this.escapeHtml(this.formatTimestamp(new Date().toISOString()))}</p>
+${body}
+</body>
+</html>
+`;
+    }
+
+    // Trigger a browser download of the exported text
+    download(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    // Export as 'markdown' or 'html' and download the file
+    exportToFile(messages, format) {
+        if (messages.length === 0) {
+            throw new Error('There is no conversation to export');
+        }
+
+        const stamp = new Date().toISOString().slice(0, 16).replace(/[-:T]/g, '');
+        if (format === 'html') {
+            const fileName = `excel-chat-${stamp}.html`;
+            this.download(this.toHtml(messages), fileName, 'text/html');
+            return { fileName };
+        }
+
+        const fileName = `excel-chat-${stamp}.md`;
+        this.download(this.toMarkdown(messages), fileName, 'text/markdown');
+        return { fileName };
+    }
+
+    formatTimestamp(timestamp) {
+        if (!timestamp) return '';
+        const date = new Date(timestamp);
+        return isNaN(date.getTime()) ? String(timestamp) : date.toLocaleString();
+    }
+
+    truncateCell(text) {
+        if (!text || text.length <= this.CONFIG.MAX_CELL_LENGTH) return text || '';
+        return text.substring(0, this.CONFIG.MAX_CELL_LENGTH) + '... [truncated]';
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ConversationExportService = ConversationExportService;
+}
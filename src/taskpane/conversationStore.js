@@ -0,0 +1,78 @@
+// Import the per-workbook storage shared with RedactionService
+import { DocumentSettings } from './documentSettings.js';
+
+// ConversationStore - Persists chat threads per workbook across task pane reloads
+// Threads are saved in the workbook's document settings so they travel with the file
+// (localStorage when document settings are unavailable - see DocumentSettings)
+class ConversationStore {
+    constructor() {
+        this.storage = new DocumentSettings('excelChat.conversations', 'excelChat.conversations:', 'conversation');
+        this.CONFIG = {
+            MAX_THREADS: 10, // Older threads are dropped when a new one starts
+            VERSION: 1
+        };
+        this.state = { version: this.CONFIG.VERSION, activeThreadId: null, threads: [] };
+    }
+
+    // Load saved threads for this workbook
+    async load() {
+        try {
+            const saved = this.storage.read();
+            if (saved && saved.version === this.CONFIG.VERSION && Array.isArray(saved.threads)) {
+                this.state = saved;
+            }
+        } catch (error) {
+            console.warn('Could not load saved conversations:', error);
+        }
+        return this.state;
+    }
+
+    // Thread shown when the task pane opens (the most recent one)
+    getActiveThread() {
+        return this.state.threads.find(thread => thread.id === this.state.activeThreadId) || null;
+    }
+
+    // Append messages to the active thread, creating it on first save
+    // The thread keeps every message; only the AI session is limited to recent ones
+    async appendMessages(messages) {
+        if (messages.length === 0) return;
+        const thread = this.getActiveThread() || this.createThread();
+
+        thread.messages.push(...messages.map(msg => ({
+            role: msg.role,
+            content: msg.content,
+            partial: msg.partial || false,
+            dataRange: msg.dataRange || null,
+            timestamp: msg.timestamp
+        })));
+        thread.updatedAt = new Date().toISOString();
+
+        await this.storage.write(this.state);
+    }
+
+    // Start a fresh thread; the previous one stays in storage
+    async startNewThread() {
+        this.state.activeThreadId = null;
+        await this.storage.write(this.state);
+    }
+
+    createThread() {
+        const now = new Date().toISOString();
+        const thread = {
+            id: `thread-${Date.now()}`,
+            startedAt: now,
+            updatedAt: now,
+            messages: []
+        };
+
+        this.state.threads.push(thread);
+        this.state.threads = this.state.threads.slice(-this.CONFIG.MAX_THREADS);
+        this.state.activeThreadId = thread.id;
+        return thread;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ConversationStore = ConversationStore;
+}
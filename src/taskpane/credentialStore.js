@@ -0,0 +1,69 @@
+/* global OfficeRuntime */
+
+// CredentialStore - Keeps each user's provider API keys out of the bundle and out of the workbook
+// Keys are saved in OfficeRuntime.storage, which belongs to the add-in and the signed-in user and is
+// shared by the task pane and the custom functions; localStorage is used where it is unavailable
+class CredentialStore {
+    constructor() {
+        this.CONFIG = {
+            STORAGE_PREFIX: 'excelChat.apiKey.'
+        };
+    }
+
+    // Saved key for a provider, or null
+    async getApiKey(providerName) {
+        const storage = this.getStorage();
+        const key = this.getStorageKey(providerName);
+        const value = storage ? await storage.getItem(key) : window.localStorage.getItem(key);
+        return value || null;
+    }
+
+    async setApiKey(providerName, apiKey) {
+        const value = String(apiKey || '').trim();
+        if (value === '') {
+            throw new Error('Enter an API key');
+        }
+
+        const storage = this.getStorage();
+        const key = this.getStorageKey(providerName);
+        try {
+            if (storage) {
+                await storage.setItem(key, value);
+            } else {
+                window.localStorage.setItem(key, value);
+            }
+        } catch (error) {
+            throw new Error('Failed to save the API key: ' + error.message);
+        }
+    }
+
+    async removeApiKey(providerName) {
+        const storage = this.getStorage();
+        const key = this.getStorageKey(providerName);
+        if (storage) {
+            await storage.removeItem(key);
+        } else {
+            window.localStorage.removeItem(key);
+        }
+    }
+
+    // Shortened form for display, e.g. "AIza…x9Q2"
+    maskKey(apiKey) {
+        if (!apiKey) return '';
+        return apiKey.length <= 8 ? '••••' : `${apiKey.substring(0, 4)}…${apiKey.substring(apiKey.length - 4)}`;
+    }
+
+    getStorage() {
+        if (typeof OfficeRuntime === 'undefined' || !OfficeRuntime.storage) return null;
+        return OfficeRuntime.storage;
+    }
+
+    getStorageKey(providerName) {
+        return this.CONFIG.STORAGE_PREFIX + String(providerName || 'gemini').toLowerCase();
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.CredentialStore = CredentialStore;
+}
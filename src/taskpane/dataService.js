@@ -1,5 +1,8 @@
 /* global Excel */
 
+// Import the period/time-axis parser used for header detection
+import { PeriodParser } from './periodParser.js';
+
 // DataService - Advanced Excel data reading with full Office.js capabilities
 class DataService {
     constructor() {
@@ -8,6 +11,33 @@ class DataService {
             MAX_ANALYSIS_CELLS: 100000, // Safety limit for performance (100k cells)
             CHUNK_SIZE: 10000, // For processing large datasets in chunks
             SAMPLE_RATIO: 0.1, // 10% sampling for very large datasets
+            MAX_AGGREGATE_CELLS: 5000000, // Upper bound for the exact full-range statistics pass
+            MAX_DISTINCT_TRACKED: 10000, // Distinct values tracked per column before reporting a lower bound
+            MAX_TOOL_CELLS: 2000, // Cap on cells returned to the model per tool call
+            MAX_FIND_RESULTS: 10, // Cap on label matches returned by findLabel
+            MAX_PIVOT_CELLS: 1500, // Cap on rendered pivot cells read per PivotTable
+            MAX_AUDIT_FINDINGS: 100, // Findings listed by the formula audit (counts stay exact)
+            MAX_GROUP_KEYS: 500, // Distinct values grouped per dimension before giving up on that dimension
+            MAX_GROUP_DIMENSIONS: 4, // Dimension/time columns grouped for record tables
+            MAX_GROUP_MEASURES: 3, // Measure columns summed per group
+            MAX_GROUPS_REPORTED: 15, // Groups listed per dimension
+            MAX_SCOPE_SHEETS: 4, // Sheets read alongside the primary one for cross-sheet questions
+            SCOPE_HEADER_ROWS: 5, // Top rows scanned for headers when ranking sheets
+            SCOPE_HEADER_COLUMNS: 30,
+            SCOPE_LABEL_ROWS: 300, // Left-hand label columns scanned when ranking sheets
+            SCOPE_LABEL_COLUMNS: 3
+        };
+        this.periodParser = new PeriodParser();
+        this.SCOPE_STOP_WORDS = new Set(['the', 'and', 'for', 'with', 'what', 'which', 'how', 'why', 'does', 'are', 'was',
+            'were', 'this', 'that', 'these', 'those', 'from', 'into', 'over', 'per', 'show', 'tell', 'give', 'about',
+            'sheet', 'sheets', 'tab', 'tabs', 'workbook', 'data', 'value', 'values', 'total', 'please', 'can', 'you']);
+        this.AUDIT_ERROR_VALUES = ['#REF!', '#DIV/0!', '#N/A', '#VALUE!', '#NAME?', '#NUM!', '#NULL!'];
+        this.AUDIT_SEVERITY = {
+            errorValue: 'high',
+            brokenReference: 'high',
+            inconsistentFormula: 'high',
+            hardcodedInRun: 'medium',
+            hardcodedConstant: 'low'
         };
         this.currentWorksheetData = null;
         this.workbookStructure = null;
@@ -18,190 +48,1064 @@ class DataService {
         return new Promise((resolve, reject) => {
             Excel.run(async (context) => {
                 try {
-                    const worksheet = context.workbook.worksheets.getActiveWorksheet();
+                    const worksheet = context.workbook.worksheets.getActiveWorksheet();
+                    this.currentWorksheetData = await this.readWorksheetInContext(context, worksheet, {
+                        shouldUseSelection: shouldUseSelection,
+                        includeAllSheets: includeAllSheets,
+                        isActive: true
+                    });
+                    resolve(this.currentWorksheetData);
+                } catch (error) {
+                    reject(new Error('Failed to read Excel data: ' + error.message));
+                }
+            });
+        });
+    }
+
+    // Read one worksheet without activating it; the selection is only used for the active sheet
+    async readWorksheetInContext(context, worksheet, options = {}) {
+        const { shouldUseSelection = false, includeAllSheets = false, isActive = false } = options;
+        worksheet.load('name');
+        
+        let range;
+        let isSelection = false;
+        let isSampled = false;
+        let sourceRange = null; // Full range behind a sample, for the exact statistics pass
+        let dataMetadata = {};
+        
+        // First, gather advanced worksheet information
+        const tables = worksheet.tables;
+        const pivotTables = worksheet.pivotTables;
+        const charts = worksheet.charts;
+        tables.load(['name', 'id', 'showTotals']);
+        pivotTables.load(['name', 'id']);
+        charts.load(['name', 'id']);
+        
+        if (shouldUseSelection && isActive) {
+            // Try to use selected range
+            // Size first: a range over the cap is sampled and never loaded in one payload
+            const selectedRange = context.workbook.getSelectedRange();
+            selectedRange.load(['rowCount', 'columnCount', 'address']);
+            await context.sync();
+            
+            const totalCells = selectedRange.rowCount * selectedRange.columnCount;
+            if (totalCells > this.CONFIG.MAX_ANALYSIS_CELLS) {
+                console.log(`Selection too large (${totalCells} cells), using smart sampling instead`);
+                range = await this.getSmartSampledRange(context, worksheet, selectedRange);
+                sourceRange = selectedRange;
+                isSelection = true;
+                isSampled = true;
+            } else {
+                this.loadCellContents(selectedRange);
+                await context.sync();
+                
+                // A single empty cell means "no selection": fall back to the used range
+                if (selectedRange.rowCount > 1 || selectedRange.columnCount > 1 || 
+                    (selectedRange.values[0][0] !== null && selectedRange.values[0][0] !== "")) {
+                    range = selectedRange;
+                    isSelection = true;
+                    console.log(`Using selection: ${range.address} (${totalCells} cells)`);
+                }
+            }
+        }
+        
+        // If not using selection, use dynamic used range detection
+        if (!range) {
+            const usedRange = worksheet.getUsedRangeOrNullObject();
+            usedRange.load(['rowCount', 'columnCount', 'address']);
+            await context.sync();
+            
+            if (!usedRange.isNullObject) {
+                const totalCells = usedRange.rowCount * usedRange.columnCount;
+                console.log(`Detected used range: ${usedRange.address} (${totalCells} cells)`);
+                
+                if (totalCells <= this.CONFIG.MAX_ANALYSIS_CELLS) {
+                    this.loadCellContents(usedRange);
+                    await context.sync();
+                    range = usedRange;
+                } else {
+                    // For very large ranges, use smart sampling
+                    console.log(`Used range too large (${totalCells} cells), applying smart sampling`);
+                    range = await this.getSmartSampledRange(context, worksheet, usedRange);
+                    sourceRange = usedRange;
+                    isSampled = true;
+                }
+            }
+        }
+        
+        // Collect metadata about worksheet objects
+        await context.sync();
+        dataMetadata = {
+            tables: await this.loadTableSchemas(context, tables.items),
+            pivotTables: await this.loadPivotSchemas(context, pivotTables.items),
+            charts: charts.items.map(c => ({ name: c.name, id: c.id })),
+            hasNamedRanges: await this.detectNamedRanges(context)
+        };
+        
+        if (!range || range.rowCount === 0 || range.columnCount === 0) {
+            return {
+                worksheetName: worksheet.name,
+                structuredData: { type: 'empty', headers: [], dataRows: [], keyRows: [] },
+                dataMetadata: dataMetadata,
+                summary: `The worksheet "${worksheet.name}" appears to be empty.`
+            };
+        }
+        
+        return this.buildWorksheetData(context, worksheet, range, {
+            isSelection: isSelection,
+            isSampled: isSampled,
+            sourceRange: sourceRange,
+            dataMetadata: dataMetadata,
+            includeAllSheets: includeAllSheets
+        });
+    }
+
+    // Read the data for a question according to the sheet scope picker:
+    //   'active' - the active sheet (or selection), as before
+    //   'auto'   - the active sheet plus the sheets whose labels and headers match the question
+    //   'all'    - the active sheet plus the other sheets, most relevant first (up to MAX_SCOPE_SHEETS)
+    //   'sheet:<name>' - that sheet, read as the primary sheet
+    // No sheet is activated; extra sheets are attached as relatedSheets
+    async readSheetScope(question, scope = 'active', shouldUseSelection = true) {
+        if (scope === 'active') {
+            return this.readCurrentWorksheetDataEnhanced(shouldUseSelection);
+        }
+        
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const activeSheet = context.workbook.worksheets.getActiveWorksheet();
+                    activeSheet.load('name');
+                    const worksheets = context.workbook.worksheets;
+                    worksheets.load('items/name');
+                    await context.sync();
+                    
+                    const isMultiSheet = scope === 'auto' || scope === 'all';
+                    const primaryName = isMultiSheet ? activeSheet.name : scope.replace(/^sheet:/, '');
+                    if (!worksheets.items.some(sheet => sheet.name === primaryName)) {
+                        throw new Error(`The sheet "${primaryName}" no longer exists`);
+                    }
+                    
+                    let ranking = [];
+                    let relatedNames = [];
+                    if (isMultiSheet) {
+                        ranking = await this.rankSheetsByRelevance(context, question, worksheets.items);
+                        relatedNames = ranking
+                            .filter(sheet => sheet.name !== primaryName && (scope === 'all' || sheet.score > 0))
+                            .slice(0, this.CONFIG.MAX_SCOPE_SHEETS)
+                            .map(sheet => sheet.name);
+                    }
+                    
+                    const primary = await this.readWorksheetInContext(context, worksheets.getItem(primaryName), {
+                        shouldUseSelection: shouldUseSelection,
+                        includeAllSheets: isMultiSheet,
+                        isActive: primaryName === activeSheet.name
+                    });
+                    
+                    const relatedSheets = [];
+                    for (const name of relatedNames) {
+                        try {
+                            relatedSheets.push(await this.readWorksheetInContext(context, worksheets.getItem(name)));
+                        } catch (error) {
+                            console.log(`Error reading sheet ${name}:`, error);
+                            relatedSheets.push({ worksheetName: name, error: error.message, structuredData: { type: 'error' } });
+                        }
+                    }
+                    
+                    primary.relatedSheets = relatedSheets;
+                    primary.sheetScope = {
+                        mode: isMultiSheet ? scope : 'sheet',
+                        sheets: [primaryName].concat(relatedNames),
+                        ranking: ranking.filter(sheet => sheet.score > 0)
+                    };
+                    
+                    this.currentWorksheetData = primary;
+                    resolve(primary);
+                } catch (error) {
+                    reject(new Error('Failed to read Excel data: ' + error.message));
+                }
+            });
+        });
+    }
+
+    // Worksheet names in tab order (for the sheet scope picker)
+    async getSheetNames() {
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const worksheets = context.workbook.worksheets;
+                    worksheets.load('items/name');
+                    await context.sync();
+                    resolve(worksheets.items.map(sheet => sheet.name));
+                } catch (error) {
+                    reject(new Error('Failed to list worksheets: ' + error.message));
+                }
+            });
+        });
+    }
+
+    // Columns of the current selection with their header text (first row of the used range)
+    // Returns { sheetName, columns: [{ letter, header }] } - used to mark sensitive columns
+    async getSelectedColumns() {
+        const MAX_COLUMNS = 50;
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const selection = context.workbook.getSelectedRange();
+                    selection.load(['columnIndex', 'columnCount']);
+                    const worksheet = selection.worksheet;
+                    worksheet.load('name');
+                    const usedRange = worksheet.getUsedRangeOrNullObject(true);
+                    usedRange.load('rowIndex');
+                    await context.sync();
+                    
+                    if (selection.columnCount > MAX_COLUMNS) {
+                        throw new Error(`Select at most ${MAX_COLUMNS} columns`);
+                    }
+                    
+                    const headerRow = usedRange.isNullObject ? 0 : usedRange.rowIndex;
+                    const headerRange = worksheet.getRangeByIndexes(headerRow, selection.columnIndex, 1, selection.columnCount);
+                    headerRange.load('values');
+                    await context.sync();
+                    
+                    resolve({
+                        sheetName: worksheet.name,
+                        columns: headerRange.values[0].map((header, i) => ({
+                            letter: this.getColumnLetter(selection.columnIndex + i + 1),
+                            header: header === null || header === undefined ? '' : String(header).trim()
+                        }))
+                    });
+                } catch (error) {
+                    reject(new Error('Failed to read the selected columns: ' + error.message));
+                }
+            });
+        });
+    }
+
+    // Values below the header row of the given columns (letters) of one sheet's used range, as { letter: values }
+    async readColumnValues(sheetName, letters, maxRows = 20000) {
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const worksheet = context.workbook.worksheets.getItem(sheetName);
+                    const usedRange = worksheet.getUsedRangeOrNullObject(true);
+                    usedRange.load(['rowIndex', 'rowCount']);
+                    await context.sync();
+                    
+                    const result = {};
+                    if (usedRange.isNullObject || usedRange.rowCount < 2) {
+                        resolve(result);
+                        return;
+                    }
+                    
+                    const rowCount = Math.min(usedRange.rowCount - 1, maxRows);
+                    const ranges = letters.map(letter => {
+                        const range = worksheet.getRangeByIndexes(usedRange.rowIndex + 1, this.getColumnNumber(letter) - 1, rowCount, 1);
+                        range.load('values');
+                        return range;
+                    });
+                    await context.sync();
+                    
+                    letters.forEach((letter, i) => {
+                        result[letter] = ranges[i].values.map(row => row[0]);
+                    });
+                    resolve(result);
+                } catch (error) {
+                    reject(new Error(`Failed to read columns on "${sheetName}": ${error.message}`));
+                }
+            });
+        });
+    }
+
+    // Score each sheet by how many question terms appear in its name, headers and row labels
+    // Returns [{ name, score, matches }] sorted by score (empty sheets are left out)
+    async rankSheetsByRelevance(context, question, sheets) {
+        const lowerQuestion = String(question || '').toLowerCase();
+        const terms = Array.from(new Set(lowerQuestion.match(/[a-z0-9&%]+/g) || []))
+            .filter(term => term.length > 2 && !this.SCOPE_STOP_WORDS.has(term));
+        
+        const probes = sheets.map(sheet => {
+            const usedRange = sheet.getUsedRangeOrNullObject(true);
+            usedRange.load(['rowCount', 'columnCount']);
+            return { name: sheet.name, usedRange: usedRange };
+        });
+        await context.sync();
+        
+        // Header rows across the top and label columns down the left of each sheet
+        const windows = probes.filter(probe => !probe.usedRange.isNullObject).map(probe => {
+            const { rowCount, columnCount } = probe.usedRange;
+            const topLeft = probe.usedRange.getCell(0, 0);
+            const headerRange = topLeft.getResizedRange(
+                Math.min(rowCount, this.CONFIG.SCOPE_HEADER_ROWS) - 1,
+                Math.min(columnCount, this.CONFIG.SCOPE_HEADER_COLUMNS) - 1
+            );
+            const labelRange = topLeft.getResizedRange(
+                Math.min(rowCount, this.CONFIG.SCOPE_LABEL_ROWS) - 1,
+                Math.min(columnCount, this.CONFIG.SCOPE_LABEL_COLUMNS) - 1
+            );
+            headerRange.load('values');
+            labelRange.load('values');
+            return { name: probe.name, headerRange: headerRange, labelRange: labelRange };
+        });
+        await context.sync();
+        
+        return windows.map(area => {
+            const text = area.headerRange.values.flat().concat(area.labelRange.values.flat())
+                .filter(value => typeof value === 'string' && value.trim() !== '')
+                .join(' | ')
+                .toLowerCase();
+            return this.scoreSheet(area.name, text, terms, lowerQuestion);
+        }).sort((a, b) => b.score - a.score);
+    }
+
+    scoreSheet(name, text, terms, lowerQuestion) {
+        const lowerName = name.toLowerCase();
+        const matches = [];
+        let score = 0;
+        
+        // Naming the sheet outright ("on the Assumptions tab") is the strongest signal
+        if (lowerName.length > 2 && lowerQuestion.includes(lowerName)) score += 5;
+        
+        terms.forEach(term => {
+            if (lowerName.includes(term)) {
+                score += 3;
+                matches.push(term);
+            } else if (new RegExp(`(^|[^a-z0-9])${term}`).test(text)) {
+                score += 1;
+                matches.push(term);
+            }
+        });
+        
+        return { name: name, score: score, matches: matches };
+    }
+
+    // Analyse a loaded (or sampled) range into the worksheet data object used by the prompt
+    // options: { isSelection, isSampled, sourceRange, dataMetadata, includeAllSheets, table }
+    async buildWorksheetData(context, worksheet, range, options = {}) {
+        const { isSelection = false, isSampled = false, sourceRange = null, dataMetadata = {}, includeAllSheets = false, table = null } = options;
+        
+        // Get comprehensive data including formulas and formatting
+        const rawValues = range.values;
+        const rawFormulas = range.formulas;
+        const numberFormats = range.numberFormat;
+        const finalAddress = range.address;
+        
+        console.log(`Processing range: ${finalAddress} (${range.rowCount} rows × ${range.columnCount} columns)`);
+        
+        // Real worksheet row numbers for every row we hold (sampled rows are not contiguous)
+        const { row: firstRow, col: firstColumn } = this.parseRangeStart(finalAddress);
+        const rowNumbers = range.samplingPlan
+            ? range.samplingPlan.rowNumbers
+            : rawValues.map((row, i) => firstRow + i);
+        const columnNumbers = range.samplingPlan
+            ? range.samplingPlan.columnLetters.map(letter => this.getColumnNumber(letter))
+            : rawValues[0].map((cell, c) => firstColumn + c);
+        
+        // Advanced data structure analysis with formulas and formatting
+        const structuredData = this.analyzeAdvancedTableStructure(rawValues, rawFormulas, numberFormats, rowNumbers,
+            columnNumbers.map(number => this.getColumnLetter(number)));
+        
+        // Local formula audit (no AI call): inconsistent formulas, hard-coded numbers, error cells
+        structuredData.formulaAnalysis.audit = this.auditFormulas(rawValues, rawFormulas, range.formulasR1C1, {
+            sheetName: worksheet.name,
+            rowNumbers: rowNumbers,
+            columnNumbers: columnNumbers
+        });
+        
+        // Exact per-column statistics over every row, not just the sample
+        // (record tables also get measure totals grouped by their dimension and time columns)
+        // The header index is a row of the sampled grid; the exact pass needs its offset in the source range
+        const groupSpec = structuredData.layout === 'record' ? this.buildGroupSpec(structuredData.columnSchema) : null;
+        const sourceHeaderOffset = sourceRange && structuredData.headerRowIndex !== -1
+            ? rowNumbers[structuredData.headerRowIndex] - this.parseRangeStart(sourceRange.address).row
+            : structuredData.headerRowIndex;
+        const columnAggregates = sourceRange
+            ? await this.computeColumnAggregates(context, worksheet, sourceRange, sourceHeaderOffset, groupSpec)
+            : this.computeColumnAggregatesFromValues(rawValues, finalAddress, structuredData.headerRowIndex, groupSpec);
+        
+        // A sample holds only some of the records; count them in the source range
+        if (structuredData.layout === 'record' && sourceRange) {
+            structuredData.recordCount = Math.max(0, sourceRange.rowCount - Math.max(0, sourceHeaderOffset) - 1);
+        }
+        
+        // Collect additional workbook structure if requested
+        let workbookData = null;
+        if (includeAllSheets) {
+            workbookData = await this.analyzeWorkbookStructure(context);
+        }
+        
+        return {
+            worksheetName: worksheet.name,
+            address: finalAddress,
+            totalRows: range.rowCount,
+            totalCols: range.columnCount,
+            rawData: rawValues,
+            rawFormulas: rawFormulas,
+            numberFormats: numberFormats,
+            structuredData: structuredData,
+            dataMetadata: dataMetadata,
+            workbookData: workbookData,
+            isSelection: isSelection,
+            isSampled: isSampled,
+            samplingPlan: range.samplingPlan || null,
+            columnAggregates: columnAggregates,
+            table: table,
+            summary: this.generateDataSummary(worksheet.name, finalAddress, range, isSelection, isSampled, structuredData, dataMetadata, table)
+        };
+    }
+
+    // Queue loading the cell contents the analysis reads; only for ranges within MAX_ANALYSIS_CELLS,
+    // larger ones are sampled block by block (getSmartSampledRange) and totalled in chunks.
+    // formulasR1C1 feeds the formula audit, so it is only ever read within the same bounds
+    loadCellContents(range) {
+        range.load(['values', 'formulas', 'formulasR1C1', 'numberFormat']);
+    }
+
+    // Smart sampling for very large datasets
+    // Loads a stratified sample (header rows, evenly spaced middle rows, footer rows) across the
+    // leftmost and rightmost columns, stitches it into one grid and records the sampling plan
+    async getSmartSampledRange(context, worksheet, originalRange) {
+        const totalRows = originalRange.rowCount;
+        const totalCols = originalRange.columnCount;
+        const origin = this.parseRangeStart(originalRange.address);
+        
+        // Calculate sampling strategy
+        const maxSampleRows = Math.min(Math.floor(Math.sqrt(this.CONFIG.MAX_ANALYSIS_CELLS)), totalRows);
+        const maxSampleCols = Math.min(Math.floor(this.CONFIG.MAX_ANALYSIS_CELLS / maxSampleRows), totalCols);
+        
+        // Always include first few rows (headers) and last few rows (totals)
+        const headerRows = Math.min(5, totalRows);
+        const footerRows = Math.min(3, totalRows - headerRows);
+        const availableMiddleRows = totalRows - headerRows - footerRows;
+        const middleRows = Math.min(availableMiddleRows, Math.max(0, maxSampleRows - headerRows - footerRows));
+        
+        // Sample columns proportionally, keeping the rightmost columns (totals, latest periods)
+        const sampleCols = Math.min(maxSampleCols, totalCols);
+        const rightCols = sampleCols < totalCols ? Math.max(1, Math.min(5, Math.floor(sampleCols / 4))) : 0;
+        const leftCols = sampleCols - rightCols;
+        
+        console.log(`Smart sampling: ${headerRows + middleRows + footerRows} rows × ${sampleCols} cols from ${totalRows} × ${totalCols}`);
+        
+        // Row plan as 0-based offsets within the original range
+        const rowOffsets = [];
+        const segments = [];
+        
+        // Headers
+        if (headerRows > 0) {
+            for (let i = 0; i < headerRows; i++) rowOffsets.push(i);
+            segments.push({ type: 'header', startRow: origin.row, endRow: origin.row + headerRows - 1, count: headerRows });
+        }
+        
+        // Sample middle rows
+        if (middleRows > 0) {
+            const step = Math.max(1, Math.floor(availableMiddleRows / middleRows));
+            for (let i = 0; i < middleRows; i++) {
+                rowOffsets.push(headerRows + (i * step));
+            }
+            segments.push({
+                type: 'middle',
+                startRow: origin.row + headerRows,
+                endRow: origin.row + headerRows + (middleRows - 1) * step,
+                step: step,
+                count: middleRows
+            });
+        }
+        
+        // Footer rows
+        if (footerRows > 0) {
+            const firstFooter = totalRows - footerRows;
+            for (let i = firstFooter; i < totalRows; i++) rowOffsets.push(i);
+            segments.push({ type: 'footer', startRow: origin.row + firstFooter, endRow: origin.row + totalRows - 1, count: footerRows });
+        }
+        
+        // Column plan as 0-based offsets within the original range
+        const columnBlocks = [{ offset: 0, count: leftCols }];
+        if (rightCols > 0) {
+            columnBlocks.push({ offset: totalCols - rightCols, count: rightCols });
+        }
+        
+        // Coalesce consecutive rows into blocks so each block is one Excel range per column block
+        const rowBlocks = [];
+        rowOffsets.forEach(offset => {
+            const last = rowBlocks[rowBlocks.length - 1];
+            if (last && last.offset + last.count === offset) {
+                last.count++;
+            } else {
+                rowBlocks.push({ offset, count: 1 });
+            }
+        });
+        
+        const loadedBlocks = rowBlocks.map(rowBlock => columnBlocks.map(colBlock => {
+            const blockRange = worksheet.getRangeByIndexes(
+                origin.row - 1 + rowBlock.offset,
+                origin.col - 1 + colBlock.offset,
+                rowBlock.count,
+                colBlock.count
+            );
+            this.loadCellContents(blockRange);
+            return blockRange;
+        }));
+        await context.sync();
+        
+        // Stitch blocks back into a single grid, row by row
+        const values = [];
+        const formulas = [];
+        const formulasR1C1 = [];
+        const numberFormat = [];
+        loadedBlocks.forEach((columnRanges, blockIndex) => {
+            for (let r = 0; r < rowBlocks[blockIndex].count; r++) {
+                values.push([].concat(...columnRanges.map(range => range.values[r])));
+                formulas.push([].concat(...columnRanges.map(range => range.formulas[r])));
+                formulasR1C1.push([].concat(...columnRanges.map(range => range.formulasR1C1[r])));
+                numberFormat.push([].concat(...columnRanges.map(range => range.numberFormat[r])));
+            }
+        });
+        
+        const columnLetters = [];
+        columnBlocks.forEach(block => {
+            for (let c = 0; c < block.count; c++) {
+                columnLetters.push(this.getColumnLetter(origin.col + block.offset + c));
+            }
+        });
+        
+        const samplingPlan = {
+            totalRows: totalRows,
+            totalCols: totalCols,
+            sampledRows: rowOffsets.length,
+            sampledCols: sampleCols,
+            segments: segments,
+            rowNumbers: rowOffsets.map(offset => origin.row + offset),
+            columnLetters: columnLetters,
+            columnRanges: columnBlocks.map(block =>
+                `${this.getColumnLetter(origin.col + block.offset)}-${this.getColumnLetter(origin.col + block.offset + block.count - 1)}`
+            ),
+            skippedColumns: rightCols > 0
+                ? `${this.getColumnLetter(origin.col + leftCols)}-${this.getColumnLetter(origin.col + totalCols - rightCols - 1)}`
+                : null
+        };
+        samplingPlan.description = this.describeSamplingPlan(samplingPlan);
+        
+        return {
+            values: values,
+            formulas: formulas,
+            formulasR1C1: formulasR1C1,
+            numberFormat: numberFormat,
+            address: originalRange.address,
+            rowCount: values.length,
+            columnCount: sampleCols,
+            samplingPlan: samplingPlan,
+            _isSampled: true,
+            _originalSize: { rows: totalRows, cols: totalCols }
+        };
+    }
+
+    // Human-readable description of exactly which rows and columns a sample contains
+    describeSamplingPlan(plan) {
+        const rowParts = plan.segments.map(segment => {
+            const span = segment.startRow === segment.endRow ? `row ${segment.startRow}` : `rows ${segment.startRow}-${segment.endRow}`;
+            if (segment.type === 'middle') {
+                return segment.step > 1
+                    ? `every ${this.ordinal(segment.step)} row from ${segment.startRow} to ${segment.endRow} (${segment.count} rows)`
+                    : `${span} (middle)`;
+            }
+            return `${span} (${segment.type})`;
+        });
+        
+        let description = `Rows seen: ${rowParts.join('; ')}. Columns seen: ${plan.columnRanges.join(', ')}`;
+        if (plan.skippedColumns) {
+            description += ` (columns ${plan.skippedColumns} not sampled)`;
+        }
+        return description + '.';
+    }
+
+    ordinal(n) {
+        const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+        const lastTwo = n % 100;
+        return n + ((lastTwo >= 11 && lastTwo <= 13) ? 'th' : (suffixes[n % 10] || 'th'));
+    }
+
+    // Top-left row/column (1-based) of an address such as "Sheet1!B3:Z900"
+    parseRangeStart(address) {
+        const topLeft = String(address || 'A1').split('!').pop().split(':')[0].replace(/\$/g, '');
+        const colMatch = topLeft.match(/[A-Z]+/i);
+        const rowMatch = topLeft.match(/\d+/);
+        return {
+            col: colMatch ? this.getColumnNumber(colMatch[0].toUpperCase()) : 1,
+            row: rowMatch ? parseInt(rowMatch[0], 10) : 1
+        };
+    }
+
+    // Exact column statistics for a range too large to load at once
+    // Streams the range in CHUNK_SIZE-cell blocks of whole rows below the header row
+    async computeColumnAggregates(context, worksheet, sourceRange, headerRowIndex = 0, groupSpec = null) {
+        const origin = this.parseRangeStart(sourceRange.address);
+        const totalCols = sourceRange.columnCount;
+        const headerOffset = Math.max(0, headerRowIndex);
+        const dataRows = sourceRange.rowCount - headerOffset - 1;
+        const rowsPerChunk = Math.max(1, Math.floor(this.CONFIG.CHUNK_SIZE / totalCols));
+        const maxRows = Math.min(dataRows, Math.floor(this.CONFIG.MAX_AGGREGATE_CELLS / totalCols));
+        
+        const headerRange = worksheet.getRangeByIndexes(origin.row - 1 + headerOffset, origin.col - 1, 1, totalCols);
+        headerRange.load('values');
+        await context.sync();
+        
+        const accumulators = this.createColumnAccumulators(headerRange.values[0], origin.col, groupSpec);
+        
+        console.log(`Exact statistics pass: ${maxRows} rows in chunks of ${rowsPerChunk}`);
+        for (let offset = 0; offset < maxRows; offset += rowsPerChunk) {
+            const chunkRows = Math.min(rowsPerChunk, maxRows - offset);
+            const chunk = worksheet.getRangeByIndexes(origin.row + headerOffset + offset, origin.col - 1, chunkRows, totalCols);
+            chunk.load('values');
+            await context.sync();
+            this.accumulateRows(accumulators, chunk.values);
+        }
+        
+        return this.finalizeColumnAggregates(accumulators, {
+            rowsScanned: Math.max(0, maxRows),
+            dataRows: Math.max(0, dataRows),
+            headerRow: origin.row + headerOffset
+        });
+    }
+
+    // Same statistics for values that are already in memory
+    computeColumnAggregatesFromValues(rawValues, address, headerRowIndex = 0, groupSpec = null) {
+        const origin = this.parseRangeStart(address);
+        const headerOffset = Math.max(0, headerRowIndex);
+        const accumulators = this.createColumnAccumulators(rawValues[headerOffset] || [], origin.col, groupSpec);
+        const rows = rawValues.slice(headerOffset + 1);
+        this.accumulateRows(accumulators, rows);
+        
+        return this.finalizeColumnAggregates(accumulators, {
+            rowsScanned: rows.length,
+            dataRows: rows.length,
+            headerRow: origin.row + headerOffset
+        });
+    }
+
+    createColumnAccumulators(headerValues, firstColumn, groupSpec = null) {
+        const columns = headerValues.map((header, index) => ({
+            column: this.getColumnLetter(firstColumn + index),
+            header: header === null || header === undefined ? '' : String(header).trim(),
+            count: 0,
+            sum: 0,
+            sumExcludingTotalRows: 0,
+            min: null,
+            max: null,
+            nullCount: 0,
+            textCount: 0,
+            distinct: new Set(),
+            distinctCapped: false
+        }));
+        
+        // Group specs refer to worksheet column letters, so they work for sampled grids too
+        const indexOf = (letter) => columns.findIndex(col => col.column === letter);
+        const measures = groupSpec
+            ? groupSpec.measures.map(measure => Object.assign({ index: indexOf(measure.column) }, measure)).filter(measure => measure.index !== -1)
+            : [];
+        const groups = groupSpec && measures.length > 0
+            ? groupSpec.dimensions
+                .map(dimension => Object.assign({ index: indexOf(dimension.column), keys: new Map(), capped: false }, dimension))
+                .filter(dimension => dimension.index !== -1)
+            : [];
+        
+        return {
+            totalRowsExcluded: 0,
+            columns: columns,
+            groups: groups,
+            measures: measures
+        };
+    }
+
+    // Fold a block of rows into the per-column accumulators
+    accumulateRows(accumulators, rows) {
+        const maxDistinct = this.CONFIG.MAX_DISTINCT_TRACKED;
+        
+        rows.forEach(row => {
+            // Rows labelled "Total"/"Subtotal" are kept out of the alternate sum to avoid double counting
+            const isTotalRow = this.isLikelyTotalRow(row[0]) || this.isLikelySubtotalRow(row[0]);
+            if (isTotalRow) accumulators.totalRowsExcluded++;
+            
+            accumulators.columns.forEach((col, index) => {
+                const value = row[index];
+                if (value === null || value === undefined || value === '') {
+                    col.nullCount++;
+                    return;
+                }
+                
+                if (!col.distinctCapped) {
+                    col.distinct.add(value);
+                    if (col.distinct.size > maxDistinct) {
+                        col.distinctCapped = true;
+                        col.distinct.clear();
+                    }
+                }
+                
+                if (typeof value === 'number' && isFinite(value)) {
+                    col.count++;
+                    col.sum += value;
+                    if (!isTotalRow) col.sumExcludingTotalRows += value;
+                    if (col.min === null || value < col.min) col.min = value;
+                    if (col.max === null || value > col.max) col.max = value;
+                } else {
+                    col.textCount++;
+                }
+            });
+            
+            if (!isTotalRow) {
+                accumulators.groups.forEach(group => this.accumulateGroup(group, accumulators.measures, row));
+            }
+        });
+    }
+
+    // Add one record to a dimension's groups (count and per-measure sums)
+    accumulateGroup(group, measures, row) {
+        if (group.capped) return;
+        
+        const key = this.groupKeyFor(row[group.index], group);
+        let entry = group.keys.get(key.label);
+        if (!entry) {
+            if (group.keys.size >= this.CONFIG.MAX_GROUP_KEYS) {
+                // Too many distinct values to group meaningfully
+                group.capped = true;
+                group.keys.clear();
+                return;
+            }
+            entry = { key: key.label, sortKey: key.sortKey, count: 0, sums: measures.map(() => 0) };
+            group.keys.set(key.label, entry);
+        }
+        
+        entry.count++;
+        measures.forEach((measure, index) => {
+            const value = row[measure.index];
+            if (typeof value === 'number' && isFinite(value)) entry.sums[index] += value;
+        });
+    }
+
+    // Group label for a cell; time columns are bucketed into periods of the group's granularity
+    groupKeyFor(value, group) {
+        if (value === null || value === undefined || value === '') return { label: '(blank)', sortKey: null };
+        
+        if (group.granularity) {
+            let period = null;
+            if (typeof value === 'number' && group.isDateSerial) {
+                period = this.periodParser.fromDate(this.periodParser.serialToDate(value), group.granularity, String(value));
+            } else {
+                period = this.periodParser.parse(value);
+                if (!period && group.granularity !== 'period' && this.looksLikeDateText(value)) {
+                    period = this.periodParser.fromDate(new Date(Date.parse(value)), group.granularity, value);
+                }
+            }
+            if (period) return { label: period.label, sortKey: period.sortKey };
+        }
+        
+        return { label: String(value).trim(), sortKey: null };
+    }
+
+    finalizeColumnAggregates(accumulators, scanInfo) {
+        return {
+            rowsScanned: scanInfo.rowsScanned,
+            dataRows: scanInfo.dataRows,
+            headerRow: scanInfo.headerRow,
+            isComplete: scanInfo.rowsScanned >= scanInfo.dataRows,
+            totalRowsExcluded: accumulators.totalRowsExcluded,
+            columns: accumulators.columns.map(col => ({
+                column: col.column,
+                header: col.header,
+                count: col.count,
+                sum: col.count > 0 ? col.sum : null,
+                sumExcludingTotalRows: col.count > 0 && accumulators.totalRowsExcluded > 0 ? col.sumExcludingTotalRows : null,
+                mean: col.count > 0 ? col.sum / col.count : null,
+                min: col.min,
+                max: col.max,
+                distinctCount: col.distinctCapped ? null : col.distinct.size,
+                distinctAtLeast: col.distinctCapped ? this.CONFIG.MAX_DISTINCT_TRACKED : null,
+                nullCount: col.nullCount,
+                textCount: col.textCount
+            })),
+            groups: accumulators.groups.map(group => this.finalizeGroup(group, accumulators.measures))
+        };
+    }
+
+    // Groups ordered by period for time columns, else by the first measure's total
+    finalizeGroup(group, measures) {
+        const entries = Array.from(group.keys.values());
+        if (group.granularity) {
+            entries.sort((a, b) => (a.sortKey === null) - (b.sortKey === null) || a.sortKey - b.sortKey);
+        } else {
+            entries.sort((a, b) => b.sums[0] - a.sums[0] || b.count - a.count);
+        }
+        
+        return {
+            column: group.column,
+            header: group.header,
+            granularity: group.granularity || null,
+            measures: measures.map(measure => ({ column: measure.column, header: measure.header })),
+            groupCount: group.capped ? null : entries.length,
+            groupsAtLeast: group.capped ? this.CONFIG.MAX_GROUP_KEYS : null,
+            rows: entries.slice(0, this.CONFIG.MAX_GROUPS_REPORTED).map(entry => ({
+                key: entry.key,
+                count: entry.count,
+                sums: entry.sums
+            }))
+        };
+    }
+
+    // Build structured schemas for Excel Tables: headers, column types, totals row, filters, row count
+    // Tables must already have name, id and showTotals loaded
+    async loadTableSchemas(context, tableItems) {
+        if (!tableItems || tableItems.length === 0) return [];
+        
+        const TYPE_SAMPLE_ROWS = 50;
+        const loaded = tableItems.map(table => {
+            const tableRange = table.getRange();
+            const headerRange = table.getHeaderRowRange();
+            const bodyRange = table.getDataBodyRange();
+            tableRange.load('address');
+            headerRange.load('values');
+            bodyRange.load(['rowCount', 'columnCount']);
+            table.columns.load('items/name');
+            
+            let totalsRange = null;
+            if (table.showTotals) {
+                totalsRange = table.getTotalRowRange();
+                totalsRange.load(['values', 'formulas']);
+            }
+            return { table, tableRange, headerRange, bodyRange, totalsRange };
+        });
+        await context.sync();
+        
+        // Second pass: type sample and filter criteria per column
+        loaded.forEach(item => {
+            if (item.bodyRange.rowCount > 0) {
+                const sampleRows = Math.min(TYPE_SAMPLE_ROWS, item.bodyRange.rowCount);
+                item.sampleRange = item.bodyRange.getCell(0, 0).getResizedRange(sampleRows - 1, item.bodyRange.columnCount - 1);
+                item.sampleRange.load(['values', 'numberFormat']);
+            }
+            item.table.columns.items.forEach(column => column.filter.load('criteria'));
+        });
+        await context.sync();
+        
+        return loaded.map(item => {
+            const headers = item.headerRange.values[0];
+            const columns = headers.map((header, index) => {
+                const column = item.table.columns.items[index];
+                const criteria = column ? column.filter.criteria : null;
+                const totalsFormula = item.totalsRange ? item.totalsRange.formulas[0][index] : null;
+                
+                return {
+                    name: String(header),
+                    index: index,
+                    dataType: item.sampleRange ? this.detectColumnType(item.sampleRange.values, item.sampleRange.numberFormat, index) : 'empty',
+                    numberFormat: item.sampleRange ? item.sampleRange.numberFormat[0][index] : null,
+                    filter: this.describeFilterCriteria(criteria),
+                    totalValue: item.totalsRange ? item.totalsRange.values[0][index] : null,
+                    totalFunction: typeof totalsFormula === 'string' && totalsFormula.startsWith('=') ? this.describeTotalsFormula(totalsFormula) : null
+                };
+            });
+            
+            return {
+                name: item.table.name,
+                id: item.table.id,
+                address: item.tableRange.address,
+                worksheet: item.tableRange.address.split('!')[0].replace(/^'|'$/g, ''),
+                rowCount: item.bodyRange.rowCount,
+                columnCount: headers.length,
+                hasTotalsRow: Boolean(item.totalsRange),
+                columns: columns,
+                activeFilters: columns.filter(col => col.filter).map(col => `${col.name} ${col.filter}`)
+            };
+        });
+    }
+
+    // Describe PivotTables: row/column/data/filter hierarchies, aggregations and rendered values
+    // Falls back to names only on hosts without the PivotTable API
+    async loadPivotSchemas(context, pivotItems) {
+        if (!pivotItems || pivotItems.length === 0) return [];
+        
+        try {
+            const loaded = pivotItems.map(pivot => {
+                pivot.rowHierarchies.load('items/name');
+                pivot.columnHierarchies.load('items/name');
+                pivot.dataHierarchies.load(['items/name', 'items/summarizeBy']);
+                pivot.filterHierarchies.load('items/name');
+                pivot.layout.load('layoutType');
+                const layoutRange = pivot.layout.getRange();
+                layoutRange.load(['address', 'rowCount', 'columnCount']);
+                return { pivot, layoutRange };
+            });
+            await context.sync();
+            
+            // Rendered values (capped) and the fields behind each filter hierarchy
+            loaded.forEach(item => {
+                const maxRows = Math.max(1, Math.floor(this.CONFIG.MAX_PIVOT_CELLS / Math.max(1, item.layoutRange.columnCount)));
+                item.rowsRead = Math.min(item.layoutRange.rowCount, maxRows);
+                item.valuesRange = item.layoutRange.getCell(0, 0).getResizedRange(item.rowsRead - 1, item.layoutRange.columnCount - 1);
+                item.valuesRange.load('values');
+                item.pivot.filterHierarchies.items.forEach(hierarchy => hierarchy.fields.load('items/name'));
+            });
+            await context.sync();
+            
+            // Which items each page filter lets through
+            loaded.forEach(item => {
+                item.pivot.filterHierarchies.items.forEach(hierarchy => {
+                    hierarchy.fields.items.forEach(field => field.items.load(['items/name', 'items/visible']));
+                });
+            });
+            await context.sync();
+            
+            return loaded.map(item => ({
+                name: item.pivot.name,
+                id: item.pivot.id,
+                address: item.layoutRange.address,
+                layoutType: item.pivot.layout.layoutType,
+                rows: item.pivot.rowHierarchies.items.map(h => h.name),
+                columns: item.pivot.columnHierarchies.items.map(h => h.name),
+                values: item.pivot.dataHierarchies.items.map(h => ({ name: h.name, summarizeBy: h.summarizeBy })),
+                filters: item.pivot.filterHierarchies.items.map(hierarchy => {
+                    const fieldItems = [].concat(...hierarchy.fields.items.map(field => field.items.items));
+                    const visible = fieldItems.filter(fieldItem => fieldItem.visible).map(fieldItem => fieldItem.name);
+                    return {
+                        name: hierarchy.name,
+                        selectedItems: visible.length === fieldItems.length ? ['(All)'] : visible.slice(0, 20)
+                    };
+                }),
+                renderedValues: item.valuesRange.values,
+                renderedRowCount: item.layoutRange.rowCount,
+                isTruncated: item.rowsRead < item.layoutRange.rowCount
+            }));
+        } catch (error) {
+            console.log('Could not read PivotTable layout, using names only:', error);
+            return pivotItems.map(p => ({ name: p.name, id: p.id }));
+        }
+    }
+
+    // Dominant cell type in one column of a sample; 'mixed' when no type reaches 80%
+    detectColumnType(values, numberFormats, columnIndex) {
+        const counts = {};
+        let nonEmpty = 0;
+        values.forEach((row, rowIndex) => {
+            const type = this.detectCellType(row[columnIndex], numberFormats && numberFormats[rowIndex] && numberFormats[rowIndex][columnIndex]);
+            if (type === 'empty') return;
+            counts[type] = (counts[type] || 0) + 1;
+            nonEmpty++;
+        });
+        if (nonEmpty === 0) return 'empty';
+        
+        const [topType, topCount] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+        return topCount / nonEmpty >= 0.8 ? topType : 'mixed';
+    }
+
+    // Readable text for a table column's filter criteria, or null when unfiltered
+    describeFilterCriteria(criteria) {
+        if (!criteria || !criteria.filterOn) return null;
+        
+        switch (criteria.filterOn) {
+            case 'Values':
+                return `in [${(criteria.values || []).slice(0, 10).join(', ')}${(criteria.values || []).length > 10 ? ', ...' : ''}]`;
+            case 'Custom': {
+                const parts = [criteria.criterion1, criteria.criterion2].filter(Boolean);
+                return parts.join(criteria.operator === 'Or' ? ' or ' : ' and ');
+            }
+            case 'TopItems':
+            case 'TopPercent':
+            case 'BottomItems':
+            case 'BottomPercent':
+                return `${criteria.filterOn} ${criteria.criterion1}`;
+            case 'Dynamic':
+                return `dynamic: ${criteria.dynamicCriteria}`;
+            case 'CellColor':
+            case 'FontColor':
+                return `${criteria.filterOn} ${criteria.color}`;
+            default:
+                return String(criteria.filterOn);
+        }
+    }
+
+    // Name the aggregate behind a totals-row SUBTOTAL formula
+    describeTotalsFormula(formula) {
+        const SUBTOTAL_FUNCTIONS = { 101: 'AVERAGE', 102: 'COUNT', 103: 'COUNTA', 104: 'MAX', 105: 'MIN', 107: 'STDEV', 109: 'SUM', 110: 'VAR' };
+        const match = formula.match(/SUBTOTAL\((\d+)/i);
+        if (match) return SUBTOTAL_FUNCTIONS[match[1]] || `SUBTOTAL(${match[1]})`;
+        return 'custom formula';
+    }
+
+    // Find a workbook table named in a question (longest name wins)
+    async findMentionedTable(question) {
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const tables = context.workbook.tables;
+                    tables.load('items/name');
+                    await context.sync();
+                    
+                    const lowerQuestion = String(question).toLowerCase();
+                    const mentioned = tables.items
+                        .map(table => table.name)
+                        .filter(name => {
+                            const escaped = name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                            // Table names use underscores where users type spaces
+                            const pattern = escaped.replace(/_/g, '[_ ]');
+                            return new RegExp(`(^|[^a-z0-9_])${pattern}($|[^a-z0-9_])`).test(lowerQuestion);
+                        })
+                        .sort((a, b) => b.length - a.length);
+                    
+                    resolve(mentioned[0] || null);
+                } catch (error) {
+                    reject(new Error('Failed to look up tables: ' + error.message));
+                }
+            });
+        });
+    }
+
+    // Read an Excel Table's full contents and schema as the analysis data
+    async readTableData(tableName) {
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const table = context.workbook.tables.getItem(tableName);
+                    table.load(['name', 'id', 'showTotals']);
+                    const worksheet = table.worksheet;
                     worksheet.load('name');
+                    const tableRange = table.getRange();
+                    tableRange.load(['rowCount', 'columnCount', 'address']);
+                    await context.sync();
                     
-                    let range;
-                    let isSelection = false;
-                    let isSampled = false;
-                    let dataMetadata = {};
-                    
-                    // First, gather advanced worksheet information
-                    const tables = worksheet.tables;
-                    const pivotTables = worksheet.pivotTables;
-                    const charts = worksheet.charts;
-                    tables.load(['name', 'id']);
-                    pivotTables.load(['name', 'id']);
-                    charts.load(['name', 'id']);
-                    
-                    if (shouldUseSelection) {
-                        // Try to use selected range
-                        const selectedRange = context.workbook.getSelectedRange();
-                        selectedRange.load(['values', 'formulas', 'rowCount', 'columnCount', 'address', 'numberFormat']);
-                        await context.sync();
-                        
-                        // Check if selection is valid and reasonable size
-                        if (selectedRange.rowCount > 1 || selectedRange.columnCount > 1 || 
-                            (selectedRange.values[0][0] !== null && selectedRange.values[0][0] !== "")) {
-                            
-                            const totalCells = selectedRange.rowCount * selectedRange.columnCount;
-                            if (totalCells <= this.CONFIG.MAX_ANALYSIS_CELLS) {
-                                range = selectedRange;
-                                isSelection = true;
-                                console.log(`Using selection: ${range.address} (${totalCells} cells)`);
-                            } else {
-                                console.log(`Selection too large (${totalCells} cells), using smart sampling instead`);
-                                range = await this.getSmartSampledRange(context, worksheet, selectedRange);
-                                isSelection = true;
-                                isSampled = true;
-                            }
-                        }
-                    }
+                    const [schema] = await this.loadTableSchemas(context, [table]);
                     
-                    // If not using selection, use dynamic used range detection
-                    if (!range) {
-                        const usedRange = worksheet.getUsedRange();
-                        if (usedRange) {
-                            usedRange.load(['values', 'formulas', 'rowCount', 'columnCount', 'address', 'numberFormat']);
-                            await context.sync();
-                            
-                            const totalCells = usedRange.rowCount * usedRange.columnCount;
-                            console.log(`Detected used range: ${usedRange.address} (${totalCells} cells)`);
-                            
-                            if (totalCells <= this.CONFIG.MAX_ANALYSIS_CELLS) {
-                                range = usedRange;
-                            } else {
-                                // For very large ranges, use smart sampling
-                                console.log(`Used range too large (${totalCells} cells), applying smart sampling`);
-                                range = await this.getSmartSampledRange(context, worksheet, usedRange);
-                                isSampled = true;
-                            }
-                        }
+                    let range = tableRange;
+                    let sourceRange = null;
+                    const totalCells = tableRange.rowCount * tableRange.columnCount;
+                    if (totalCells > this.CONFIG.MAX_ANALYSIS_CELLS) {
+                        console.log(`Table too large (${totalCells} cells), applying smart sampling`);
+                        range = await this.getSmartSampledRange(context, worksheet, tableRange);
+                        sourceRange = tableRange;
+                    } else {
+                        this.loadCellContents(tableRange);
+                        await context.sync();
                     }
                     
-                    // Collect metadata about worksheet objects
-                    await context.sync();
-                    dataMetadata = {
-                        tables: tables.items.map(t => ({ name: t.name, id: t.id })),
-                        pivotTables: pivotTables.items.map(p => ({ name: p.name, id: p.id })),
-                        charts: charts.items.map(c => ({ name: c.name, id: c.id })),
+                    const dataMetadata = {
+                        tables: [schema],
+                        pivotTables: [],
+                        charts: [],
                         hasNamedRanges: await this.detectNamedRanges(context)
                     };
                     
-                    if (!range || range.rowCount === 0 || range.columnCount === 0) {
-                        this.currentWorksheetData = {
-                            worksheetName: worksheet.name,
-                            structuredData: { type: 'empty', headers: [], dataRows: [], keyRows: [] },
-                            dataMetadata: dataMetadata,
-                            summary: 'The current worksheet appears to be empty.'
-                        };
-                        resolve(this.currentWorksheetData);
-                        return;
-                    }
-                    
-                    // Get comprehensive data including formulas and formatting
-                    const rawValues = range.values;
-                    const rawFormulas = range.formulas;
-                    const numberFormats = range.numberFormat;
-                    const finalAddress = range.address;
-                    
-                    console.log(`Processing range: ${finalAddress} (${range.rowCount} rows × ${range.columnCount} columns)`);
-                    
-                    // Advanced data structure analysis with formulas and formatting
-                    const structuredData = this.analyzeAdvancedTableStructure(rawValues, rawFormulas, numberFormats);
-                    
-                    // Collect additional workbook structure if requested
-                    let workbookData = null;
-                    if (includeAllSheets) {
-                        workbookData = await this.analyzeWorkbookStructure(context);
-                    }
-                    
-                    this.currentWorksheetData = {
-                        worksheetName: worksheet.name,
-                        address: finalAddress,
-                        totalRows: range.rowCount,
-                        totalCols: range.columnCount,
-                        rawData: rawValues,
-                        rawFormulas: rawFormulas,
-                        numberFormats: numberFormats,
-                        structuredData: structuredData,
+                    this.currentWorksheetData = await this.buildWorksheetData(context, worksheet, range, {
+                        isSampled: Boolean(sourceRange),
+                        sourceRange: sourceRange,
                         dataMetadata: dataMetadata,
-                        workbookData: workbookData,
-                        isSelection: isSelection,
-                        isSampled: isSampled,
-                        summary: this.generateDataSummary(worksheet.name, finalAddress, range, isSelection, isSampled, structuredData, dataMetadata)
-                    };
+                        table: schema
+                    });
                     
                     resolve(this.currentWorksheetData);
-                    
                 } catch (error) {
-                    reject(new Error('Failed to read Excel data: ' + error.message));
+                    reject(new Error(`Failed to read Excel data from table "${tableName}": ${error.message}`));
                 }
             });
         });
     }
 
-    // Smart sampling for very large datasets
-    async getSmartSampledRange(context, worksheet, originalRange) {
-        const totalRows = originalRange.rowCount;
-        const totalCols = originalRange.columnCount;
-        
-        // Calculate sampling strategy
-        const maxSampleRows = Math.min(Math.floor(Math.sqrt(this.CONFIG.MAX_ANALYSIS_CELLS)), totalRows);
-        const maxSampleCols = Math.min(Math.floor(this.CONFIG.MAX_ANALYSIS_CELLS / maxSampleRows), totalCols);
-        
-        // Always include first few rows (headers) and last few rows (totals)
-        const headerRows = Math.min(5, totalRows);
-        const footerRows = Math.min(3, totalRows - headerRows);
-        const middleRows = Math.max(0, maxSampleRows - headerRows - footerRows);
-        
-        // Sample columns proportionally 
-        const sampleCols = Math.min(maxSampleCols, totalCols);
-        
-        console.log(`Smart sampling: ${maxSampleRows} rows × ${sampleCols} cols from ${totalRows} × ${totalCols}`);
-        
-        // Create a composite range with headers, sample middle, and footers
-        const ranges = [];
-        
-        // Headers
-        if (headerRows > 0) {
-            const startCol = this.getColumnLetter(1);
-            const endCol = this.getColumnLetter(sampleCols);
-            ranges.push(`${startCol}1:${endCol}${headerRows}`);
-        }
-        
-        // Sample middle rows
-        if (middleRows > 0) {
-            const step = Math.floor((totalRows - headerRows - footerRows) / middleRows);
-            for (let i = 0; i < middleRows; i++) {
-                const rowNum = headerRows + 1 + (i * step);
-                const startCol = this.getColumnLetter(1);
-                const endCol = this.getColumnLetter(sampleCols);
-                ranges.push(`${startCol}${rowNum}:${endCol}${rowNum}`);
-            }
-        }
-        
-        // Footer rows
-        if (footerRows > 0) {
-            const startRow = totalRows - footerRows + 1;
-            const startCol = this.getColumnLetter(1);
-            const endCol = this.getColumnLetter(sampleCols);
-            ranges.push(`${startCol}${startRow}:${endCol}${totalRows}`);
-        }
-        
-        // For now, return a simplified range (top-left portion)
-        // TODO: Implement true composite range sampling
-        const simplifiedEndCol = this.getColumnLetter(sampleCols);
-        const simplifiedRange = worksheet.getRange(`A1:${simplifiedEndCol}${maxSampleRows}`);
-        simplifiedRange.load(['values', 'formulas', 'rowCount', 'columnCount', 'address', 'numberFormat']);
-        await context.sync();
-        
-        simplifiedRange._isSampled = true;
-        simplifiedRange._originalSize = { rows: totalRows, cols: totalCols };
-        
-        return simplifiedRange;
-    }
-
     // Detect named ranges in the workbook
     async detectNamedRanges(context) {
         try {
@@ -222,32 +1126,35 @@ class DataService {
             worksheets.load(['name', 'position']);
             await context.sync();
             
-            const sheetInfo = [];
-            for (const sheet of worksheets.items) {
-                const usedRange = sheet.getUsedRange();
-                if (usedRange) {
-                    usedRange.load(['rowCount', 'columnCount', 'address']);
-                    await context.sync();
-                    
-                    sheetInfo.push({
-                        name: sheet.name,
-                        position: sheet.position,
-                        dataRange: usedRange.address,
-                        rowCount: usedRange.rowCount,
-                        columnCount: usedRange.columnCount,
-                        totalCells: usedRange.rowCount * usedRange.columnCount
-                    });
-                } else {
-                    sheetInfo.push({
+            // One batch for all sheets; empty sheets come back as null objects instead of throwing
+            const usedRanges = worksheets.items.map(sheet => {
+                const usedRange = sheet.getUsedRangeOrNullObject();
+                usedRange.load(['rowCount', 'columnCount', 'address']);
+                return usedRange;
+            });
+            await context.sync();
+            
+            const sheetInfo = worksheets.items.map((sheet, index) => {
+                const usedRange = usedRanges[index];
+                if (usedRange.isNullObject) {
+                    return {
                         name: sheet.name,
                         position: sheet.position,
                         dataRange: 'Empty',
                         rowCount: 0,
                         columnCount: 0,
                         totalCells: 0
-                    });
+                    };
                 }
-            }
+                return {
+                    name: sheet.name,
+                    position: sheet.position,
+                    dataRange: usedRange.address,
+                    rowCount: usedRange.rowCount,
+                    columnCount: usedRange.columnCount,
+                    totalCells: usedRange.rowCount * usedRange.columnCount
+                };
+            });
             
             return {
                 totalSheets: worksheets.items.length,
@@ -261,19 +1168,25 @@ class DataService {
     }
 
     // Advanced table structure analysis with formulas and formatting
-    analyzeAdvancedTableStructure(rawValues, rawFormulas, numberFormats) {
+    // rowNumbers / columnLetters (optional) map each row and column of rawValues to its worksheet position
+    analyzeAdvancedTableStructure(rawValues, rawFormulas, numberFormats, rowNumbers = null, columnLetters = null) {
         if (!rawValues || rawValues.length === 0) {
             return { type: 'empty', headers: [], dataRows: [], keyRows: [] };
         }
         
         const result = {
             type: 'advanced_financial_table',
+            layout: 'matrix', // 'matrix' (labels in column A, values across) or 'record' (one row per record)
+            columnSchema: [],
+            recordCount: 0,
             headers: [],
             columnHeaders: [],
             dataRows: [],
             keyRows: [],
             totalRows: [],
-            quarterlyData: [],
+            periodColumns: [], // Header columns that parse as periods (see PeriodParser)
+            timeAxis: null, // Dominant granularity, order and range of the period columns
+            timeSeries: [], // Per-row values along the time axis, in chronological order
             rowLabels: [],
             formulaAnalysis: this.analyzeFormulas(rawFormulas),
             formatAnalysis: this.analyzeNumberFormats(numberFormats),
@@ -307,10 +1220,32 @@ class DataService {
             `Row ${i}: [${row.slice(0, 5).map(cell => typeof cell === 'object' ? cell.value : cell).join(', ')}]`
         ));
         
+        result.headerRowIndex = headerRowIndex;
+        result.headerRowNumber = rowNumbers && headerRowIndex !== -1 ? rowNumbers[headerRowIndex] : null;
+        
         if (headerRowIndex !== -1) {
             result.columnHeaders = cleanData[headerRowIndex].map(cell => 
                 typeof cell === 'object' ? cell.value : cell
             );
+
+            // Column 0 holds the row labels, so only later columns can form the time axis
+            const headerFormats = numberFormats && numberFormats[headerRowIndex];
+            result.periodColumns = this.periodParser.parseHeaders(result.columnHeaders, headerFormats)
+                .filter(period => period.columnIndex > 0);
+            result.timeAxis = this.periodParser.describeAxis(result.periodColumns);
+        }
+        
+        // Per-column schema (type, cardinality, samples, role) and layout detection
+        const bodyStart = Math.max(0, headerRowIndex) + 1;
+        result.columnSchema = this.buildColumnSchema(rawValues.slice(bodyStart),
+            numberFormats ? numberFormats.slice(bodyStart) : null, result.columnHeaders, columnLetters);
+        result.layout = this.detectTableLayout(result.columnSchema, result.timeAxis);
+        
+        // Record tables: column A is just another field, so rows are not turned into labelled series
+        if (result.layout === 'record') {
+            result.type = 'record_table';
+            result.recordCount = rawValues.length - bodyStart;
+            return result;
         }
         
         // Process data rows with enhanced analysis (including header row)
@@ -327,6 +1262,7 @@ class DataService {
             
             const rowData = {
                 rowIndex: i,
+                rowNumber: rowNumbers ? rowNumbers[i] : null,
                 label: rowLabel,
                 values: rowValues,
                 originalRow: row, // Keep enhanced data
@@ -353,11 +1289,11 @@ class DataService {
                 result.totalRows.push(rowData);
             }
             
-            // Extract quarterly data with enhanced detection
-            if (this.hasQuarterlyPattern(result.columnHeaders)) {
-                const quarterlyRow = this.extractQuarterlyData(rowData, result.columnHeaders);
-                if (quarterlyRow.quarters.length > 0) {
-                    result.quarterlyData.push(quarterlyRow);
+            // Values along the time axis (header row excluded)
+            if (result.timeAxis && i !== headerRowIndex) {
+                const series = this.extractTimeSeries(rowData, result.periodColumns, result.timeAxis.granularity);
+                if (series.points.length > 0) {
+                    result.timeSeries.push(series);
                 }
             }
         }
@@ -365,6 +1301,136 @@ class DataService {
         return result;
     }
 
+    // Describe each column from the rows below the header
+    buildColumnSchema(bodyValues, bodyFormats, headers, columnLetters = null) {
+        const columnCount = Math.max(headers.length, ...bodyValues.map(row => row.length), 0);
+        const schema = [];
+        
+        for (let index = 0; index < columnCount; index++) {
+            const header = headers[index] === null || headers[index] === undefined ? '' : String(headers[index]).trim();
+            const values = bodyValues.map(row => row[index]).filter(value => value !== null && value !== undefined && value !== '');
+            const distinct = new Set(values.map(value => (typeof value === 'string' ? value.trim() : value)));
+            let type = this.detectColumnType(bodyValues, bodyFormats, index);
+            const isDateSerial = type === 'date' && values.some(value => typeof value === 'number');
+            
+            // Date.parse accepts text like "Product 2", so text dates must look like dates
+            if (type === 'date' && !isDateSerial &&
+                values.filter(value => this.looksLikeDateText(value)).length < values.length * 0.8) {
+                type = 'text';
+            }
+            
+            const timestamps = type === 'date'
+                ? values.map(value => (typeof value === 'number'
+                    ? this.periodParser.serialToDate(value).getTime()
+                    : Date.parse(value))).filter(ms => !isNaN(ms))
+                : [];
+            
+            schema.push({
+                index: index,
+                column: columnLetters ? columnLetters[index] : this.getColumnLetter(index + 1),
+                header: header,
+                type: type,
+                role: this.detectColumnRole(header, type, values, distinct.size),
+                isDateSerial: isDateSerial,
+                nonEmpty: values.length,
+                blanks: bodyValues.length - values.length,
+                distinctCount: distinct.size,
+                cardinality: values.length > 0 ? Math.round((distinct.size / values.length) * 100) / 100 : 0,
+                dateRange: timestamps.length > 0 ? {
+                    min: new Date(Math.min(...timestamps)).toISOString().slice(0, 10),
+                    max: new Date(Math.max(...timestamps)).toISOString().slice(0, 10)
+                } : null,
+                samples: Array.from(distinct).slice(0, 3).map(value => (isDateSerial && typeof value === 'number'
+                    ? this.periodParser.serialToDate(value).toISOString().slice(0, 10)
+                    : value))
+            });
+        }
+        
+        return schema;
+    }
+
+    looksLikeDateText(value) {
+        if (typeof value !== 'string') return false;
+        return /^\d{4}-\d{1,2}-\d{1,2}/.test(value) ||
+            /^\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4}$/.test(value) ||
+            /^\d{1,2}[\s-]?[a-z]{3,9}[\s-]?\d{2,4}$/i.test(value) ||
+            /^[a-z]{3,9}\.?\s\d{1,2},?\s\d{4}$/i.test(value);
+    }
+
+    // Role of a column in a record table: time, measure, dimension or identifier
+    detectColumnRole(header, type, values, distinctCount) {
+        if (values.length === 0) return 'empty';
+        if (type === 'date') return 'time';
+        
+        const timeHeader = /\b(date|day|week|month|quarter|year|period|fy)\b/i.test(header);
+        const periodShare = values.filter(value =>
+            (typeof value === 'string' || timeHeader) && this.periodParser.parse(value)
+        ).length / values.length;
+        if (periodShare >= 0.8) return 'time';
+        
+        const allUnique = values.length >= 10 && distinctCount === values.length;
+        const idHeader = /\b(id|code|key|no|number|ref|sku|zip|postcode|phone)\b|#/i.test(header);
+        
+        if (['number', 'currency', 'percentage'].includes(type)) {
+            return idHeader ? 'identifier' : 'measure';
+        }
+        return allUnique || idHeader ? 'identifier' : 'dimension';
+    }
+
+    // Record tables have field names across the top and one record per row; matrix (financial)
+    // tables have row labels down column A and values across, often per period
+    detectTableLayout(columnSchema, timeAxis) {
+        if (timeAxis && timeAxis.periodCount >= 2) return 'matrix';
+        
+        const populated = columnSchema.filter(col => col.nonEmpty > 0);
+        if (populated.length < 2 || populated[0].nonEmpty < 3) return 'matrix';
+        if (!populated.some(col => col.role === 'measure')) return 'matrix';
+        
+        const first = populated[0];
+        if (first.role === 'time' || first.role === 'measure') return 'record';
+        
+        // Several descriptive fields, or repeated values in column A, mean records rather than labels
+        const otherFields = populated.slice(1).filter(col => ['dimension', 'time', 'identifier'].includes(col.role));
+        if (otherFields.length > 0) return 'record';
+        if (first.role === 'dimension' && first.cardinality < 0.5) return 'record';
+        
+        return 'matrix';
+    }
+
+    // Which record-table columns to group by and which to total
+    buildGroupSpec(columnSchema) {
+        const measures = columnSchema
+            .filter(col => col.role === 'measure')
+            .slice(0, this.CONFIG.MAX_GROUP_MEASURES)
+            .map(col => ({ column: col.column, header: col.header }));
+        
+        const timeColumns = columnSchema.filter(col => col.role === 'time').slice(0, 1);
+        const dimensions = columnSchema
+            .filter(col => col.role === 'dimension' && col.distinctCount > 1 && col.distinctCount <= this.CONFIG.MAX_GROUP_KEYS)
+            .sort((a, b) => a.distinctCount - b.distinctCount);
+        
+        const grouped = timeColumns.concat(dimensions).slice(0, this.CONFIG.MAX_GROUP_DIMENSIONS).map(col => ({
+            column: col.column,
+            header: col.header,
+            granularity: col.role === 'time' ? this.chooseTimeGranularity(col) : null,
+            isDateSerial: col.isDateSerial
+        }));
+        
+        return measures.length > 0 && grouped.length > 0 ? { dimensions: grouped, measures: measures } : null;
+    }
+
+    // Date columns are bucketed so the groups stay few: months for up to two years, then quarters, then years
+    chooseTimeGranularity(col) {
+        if (col.type !== 'date') return 'period'; // Already periods (e.g. "Jan-24", "FY24")
+        
+        if (!col.dateRange) return 'month';
+        
+        const spanMonths = (Date.parse(col.dateRange.max) - Date.parse(col.dateRange.min)) / (86400000 * 30.44);
+        if (spanMonths <= 24) return 'month';
+        if (spanMonths <= 72) return 'quarter';
+        return 'year';
+    }
+
     // Analyze formulas in the dataset
     analyzeFormulas(rawFormulas) {
         if (!rawFormulas) return { hasFormulas: false, formulaCount: 0, types: [] };
@@ -394,6 +1460,128 @@ class DataService {
         };
     }
 
+    // Audit formulas locally. Grids are aligned (sampled grids too); options carry the real
+    // worksheet row/column numbers so only truly adjacent cells are compared as neighbours
+    auditFormulas(rawValues, rawFormulas, formulasR1C1, options = {}) {
+        const { sheetName = '', rowNumbers = [], columnNumbers = [] } = options;
+        const findings = [];
+        const counts = {};
+        let formulaCells = 0;
+        
+        if (!rawValues || !rawFormulas) {
+            return { findings: findings, counts: counts, formulaCells: 0, issueCount: 0, truncated: false };
+        }
+        
+        const isFormula = (r, c) => typeof rawFormulas[r]?.[c] === 'string' && rawFormulas[r][c].startsWith('=');
+        const r1c1 = (r, c) => (formulasR1C1 ? formulasR1C1[r]?.[c] : null);
+        const adjacentRows = (a, b) => rowNumbers[b] - rowNumbers[a] === 1;
+        const adjacentCols = (a, b) => columnNumbers[b] - columnNumbers[a] === 1;
+        const cellAddress = (r, c) => `${this.getColumnLetter(columnNumbers[c])}${rowNumbers[r]}`;
+        
+        // Neighbours on both sides that are formulas sharing one R1C1 pattern
+        const runPattern = (r, c, horizontal) => {
+            const [r1, c1, r2, c2] = horizontal ? [r, c - 1, r, c + 1] : [r - 1, c, r + 1, c];
+            if (r1 < 0 || c1 < 0 || r2 >= rawValues.length || c2 >= rawValues[r].length) return null;
+            const adjacent = horizontal
+                ? adjacentCols(c1, c) && adjacentCols(c, c2)
+                : adjacentRows(r1, r) && adjacentRows(r, r2);
+            if (!adjacent || !isFormula(r1, c1) || !isFormula(r2, c2)) return null;
+            const pattern = r1c1(r1, c1);
+            return pattern && pattern === r1c1(r2, c2) ? pattern : null;
+        };
+        
+        const addFinding = (type, r, c, message) => {
+            counts[type] = (counts[type] || 0) + 1;
+            if (findings.length >= this.CONFIG.MAX_AUDIT_FINDINGS) return;
+            const cell = cellAddress(r, c);
+            findings.push({
+                type: type,
+                severity: this.AUDIT_SEVERITY[type],
+                address: sheetName ? `${sheetName}!${cell}` : cell,
+                cell: cell,
+                formula: isFormula(r, c) ? rawFormulas[r][c] : null,
+                value: rawValues[r][c],
+                message: message
+            });
+        };
+        
+        rawValues.forEach((row, r) => {
+            row.forEach((value, c) => {
+                const formula = isFormula(r, c) ? rawFormulas[r][c] : null;
+                
+                if (typeof value === 'string' && this.AUDIT_ERROR_VALUES.includes(value)) {
+                    addFinding('errorValue', r, c, `Evaluates to ${value}`);
+                }
+                
+                if (formula) {
+                    formulaCells++;
+                    
+                    if (formula.includes('#REF!')) {
+                        addFinding('brokenReference', r, c, 'Formula contains a deleted reference (#REF!)');
+                    }
+                    
+                    const ownPattern = r1c1(r, c);
+                    const rowPattern = runPattern(r, c, true);
+                    const columnPattern = runPattern(r, c, false);
+                    if (rowPattern && ownPattern !== rowPattern) {
+                        addFinding('inconsistentFormula', r, c, 'Formula differs from the formulas to its left and right');
+                    } else if (columnPattern && ownPattern !== columnPattern) {
+                        addFinding('inconsistentFormula', r, c, 'Formula differs from the formulas above and below');
+                    }
+                    
+                    const constants = this.findHardcodedConstants(formula);
+                    if (constants.length > 0) {
+                        addFinding('hardcodedConstant', r, c, `Hard-coded number${constants.length > 1 ? 's' : ''} in formula: ${constants.join(', ')}`);
+                    }
+                } else if (typeof value === 'number') {
+                    if (runPattern(r, c, true) || runPattern(r, c, false)) {
+                        addFinding('hardcodedInRun', r, c, `Typed value ${value} sits inside a run of formulas`);
+                    }
+                }
+            });
+        });
+        
+        const issueCount = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        return {
+            findings: findings,
+            counts: counts,
+            formulaCells: formulaCells,
+            issueCount: issueCount,
+            truncated: findings.length < issueCount
+        };
+    }
+
+    // Does a question ask for a formula audit?
+    isAuditRequest(question) {
+        return /\b(audit|check|review)\b.*\bformulas?\b|\b(broken|inconsistent|hard-?coded)\b/i.test(question);
+    }
+
+    // Numeric literals used in arithmetic inside a formula (e.g. "=B5*1.2" -> ["1.2"])
+    // Function arguments such as ROUND(x, 2) and the neutral numbers 0, 1 and 100 are ignored
+    findHardcodedConstants(formula) {
+        const stripped = formula
+            .replace(/"(?:[^"]|"")*"/g, '""')           // string literals
+            .replace(/'(?:[^']|'')+'!/g, '')            // quoted sheet names
+            .replace(/[A-Za-z_$][\w.$]*!?/g, 'X')        // references, names and functions
+            .replace(/X:X/g, 'X');
+        
+        const constants = [];
+        const numberPattern = /(\d+(?:\.\d+)?(?:E[+-]?\d+)?%?)/gi;
+        let match;
+        
+        while ((match = numberPattern.exec(stripped)) !== null) {
+            const before = stripped.substring(0, match.index).trim().slice(-1);
+            const after = stripped.substring(match.index + match[0].length).trim().charAt(0);
+            const inArithmetic = /[+\-*/^]/.test(before) || /[+\-*/^]/.test(after);
+            const number = parseFloat(match[0]);
+            if (inArithmetic && ![0, 1, 100].includes(number) && !constants.includes(match[0])) {
+                constants.push(match[0]);
+            }
+        }
+        
+        return constants;
+    }
+
     // Analyze number formats
     analyzeNumberFormats(numberFormats) {
         if (!numberFormats) return { hasFormatting: false, types: [] };
@@ -460,13 +1648,15 @@ class DataService {
         for (let i = 0; i < Math.min(5, cleanData.length); i++) {
             const row = cleanData[i];
             
-            // Look for quarterly patterns
-            const quarterlyPattern = row.filter(cell => {
-                const val = typeof cell === 'object' ? cell.value : cell;
-                return typeof val === 'string' && /^[1-4]Q\d{2}$/i.test(val);
-            }).length;
+            // Look for period headers (quarters, months, years, date serials); numeric cells
+            // must all be periods so a data row of yearly values is not taken for a header
+            const periodCount = row.filter(cell => this.parseHeaderPeriod(cell)).length;
+            const numericCount = row.filter(cell => typeof cell === 'object' && typeof cell.value === 'number').length;
+            const numericPeriods = row.filter(cell =>
+                typeof cell === 'object' && typeof cell.value === 'number' && this.parseHeaderPeriod(cell)
+            ).length;
             
-            if (quarterlyPattern >= 2) return i;
+            if (periodCount >= 2 && numericPeriods === numericCount) return i;
             
             // Look for text-heavy rows (potential headers)
             const textCellCount = row.filter(cell => {
@@ -480,6 +1670,12 @@ class DataService {
         return 0; // Default to first row
     }
 
+    parseHeaderPeriod(cell) {
+        return typeof cell === 'object'
+            ? this.periodParser.parse(cell.value, cell.format)
+            : this.periodParser.parse(cell);
+    }
+
     // Enhanced financial row detection
     isKeyFinancialRow(label) {
         if (typeof label !== 'string') return false;
@@ -496,14 +1692,11 @@ class DataService {
         return keyPatterns.some(pattern => pattern.test(label));
     }
 
-    // Check for quarterly patterns in headers
-    hasQuarterlyPattern(headers) {
-        return headers.some(h => /^[1-4]Q\d{2}$/i.test(String(h)));
-    }
-
     // Generate comprehensive data summary
-    generateDataSummary(worksheetName, address, range, isSelection, isSampled, structuredData, dataMetadata) {
-        let summary = `${isSelection ? 'Selected range' : 'Worksheet'} "${isSelection ? address : worksheetName}" `;
+    generateDataSummary(worksheetName, address, range, isSelection, isSampled, structuredData, dataMetadata, table = null) {
+        let summary = table
+            ? `Excel table "${table.name}" (${address}) `
+            : `${isSelection ? 'Selected range' : 'Worksheet'} "${isSelection ? address : worksheetName}" `;
         summary += `contains ${range.rowCount} rows and ${range.columnCount} columns`;
         
         if (isSampled) {
@@ -515,13 +1708,23 @@ class DataService {
             }
         }
         
+        if (range.samplingPlan) {
+            summary += `. ${range.samplingPlan.description.replace(/\.$/, '')}`;
+        }
+        
         // Add structure information
+        if (structuredData.layout === 'record') {
+            const roleCount = (role) => structuredData.columnSchema.filter(col => col.role === role).length;
+            summary += `. Record table with ${structuredData.recordCount} records: ${roleCount('dimension')} dimension, ${roleCount('measure')} measure and ${roleCount('time')} time columns`;
+        }
+        
         if (structuredData.keyRows && structuredData.keyRows.length > 0) {
             summary += `. Found ${structuredData.keyRows.length} key financial rows`;
         }
         
-        if (structuredData.quarterlyData && structuredData.quarterlyData.length > 0) {
-            summary += `, ${structuredData.quarterlyData.length} quarterly data series`;
+        if (structuredData.timeSeries && structuredData.timeSeries.length > 0) {
+            const axis = structuredData.timeAxis;
+            summary += `, ${structuredData.timeSeries.length} time series (${this.describeGranularity(axis.granularity)}, ${axis.first}–${axis.last})`;
         }
         
         // Add metadata
@@ -560,30 +1763,40 @@ class DataService {
         return label.trim();
     }
 
-    extractQuarterlyData(rowData, headers) {
-        const quarters = [];
+    // Row values for the period columns of one granularity, sorted chronologically
+    extractTimeSeries(rowData, periodColumns, granularity) {
+        const points = [];
         
-        headers.forEach((header, index) => {
-            if (typeof header === 'string' && /^[1-4]Q\d{2}$/i.test(header)) {
-                const value = rowData.values[index - 1]; // -1 because values excludes label column
-                if (value !== null && value !== undefined && value !== '') {
-                    quarters.push({
-                        quarter: header,
-                        value: parseFloat(value) || value,
-                        columnIndex: index
+        periodColumns
+            .filter(period => period.granularity === granularity)
+            .forEach(period => {
+                const raw = rowData.values[period.columnIndex - 1]; // -1 because values excludes label column
+                const value = typeof raw === 'number' ? raw : parseFloat(raw);
+                if (raw !== null && raw !== undefined && raw !== '' && !isNaN(value)) {
+                    points.push({
+                        period: period.label,
+                        header: period.header,
+                        value: value,
+                        columnIndex: period.columnIndex,
+                        sortKey: period.sortKey
                     });
                 }
-            }
-        });
+            });
         
         return {
             label: rowData.label,
             labelType: rowData.category,
-            quarters: quarters,
-            isTotal: rowData.isTotal
+            rowIndex: rowData.rowIndex,
+            rowNumber: rowData.rowNumber,
+            isTotal: rowData.isTotal,
+            points: points.sort((a, b) => a.sortKey - b.sortKey)
         };
     }
 
+    describeGranularity(granularity) {
+        return { month: 'monthly', quarter: 'quarterly', half: 'half-yearly', year: 'annual' }[granularity] || granularity;
+    }
+
     // Utility functions for Excel column manipulation
     getColumnLetter(columnNumber) {
         let columnLetter = '';
@@ -603,43 +1816,238 @@ class DataService {
         return columnNumber;
     }
 
-    // New method to read multiple worksheets
-    async readAllWorksheets() {
+    // Split "Sheet Name!A1:B2" (sheet optional, quotes allowed) into its parts
+    parseSheetAddress(address) {
+        const text = String(address || '').trim();
+        const bangIndex = text.lastIndexOf('!');
+        if (bangIndex === -1) {
+            return { sheetName: null, rangeAddress: text };
+        }
+        return {
+            sheetName: text.substring(0, bangIndex).replace(/^'|'$/g, '').replace(/''/g, "'"),
+            rangeAddress: text.substring(bangIndex + 1)
+        };
+    }
+
+    // Select a sheet-qualified address in the workbook (used by clickable addresses in the chat)
+    async selectRange(address) {
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const { sheetName, rangeAddress } = this.parseSheetAddress(address);
+                    const sheet = sheetName
+                        ? context.workbook.worksheets.getItem(sheetName)
+                        : context.workbook.worksheets.getActiveWorksheet();
+                    sheet.activate();
+                    sheet.getRange(rangeAddress).select();
+                    await context.sync();
+                    resolve();
+                } catch (error) {
+                    reject(new Error(`Failed to select "${address}": ${error.message}`));
+                }
+            });
+        });
+    }
+
+    // Tool: read an exact range (or named range) with values and formulas
+    async readRange(address) {
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const { sheetName, rangeAddress } = this.parseSheetAddress(address);
+                    let range;
+                    
+                    if (sheetName) {
+                        range = context.workbook.worksheets.getItem(sheetName).getRange(rangeAddress);
+                    } else {
+                        // Unqualified addresses may be workbook names; fall back to the active sheet
+                        const namedItem = context.workbook.names.getItemOrNullObject(rangeAddress);
+                        await context.sync();
+                        range = namedItem.isNullObject
+                            ? context.workbook.worksheets.getActiveWorksheet().getRange(rangeAddress)
+                            : namedItem.getRange();
+                    }
+                    
+                    range.load(['address', 'rowCount', 'columnCount']);
+                    await context.sync();
+                    
+                    // Keep whole rows where possible when trimming to the cell cap
+                    const maxRows = Math.max(1, Math.floor(this.CONFIG.MAX_TOOL_CELLS / range.columnCount));
+                    const rowsToRead = Math.min(range.rowCount, maxRows);
+                    const colsToRead = Math.min(range.columnCount, this.CONFIG.MAX_TOOL_CELLS);
+                    const readRange = range.getCell(0, 0).getResizedRange(rowsToRead - 1, colsToRead - 1);
+                    readRange.load(['address', 'values', 'formulas', 'numberFormat']);
+                    await context.sync();
+                    
+                    const startCell = readRange.address.split('!').pop().split(':')[0];
+                    const startCol = this.getColumnNumber(startCell.match(/[A-Z]+/)[0]);
+                    const startRow = parseInt(startCell.match(/\d+/)[0], 10);
+                    
+                    const formulas = [];
+                    readRange.formulas.forEach((row, r) => {
+                        row.forEach((formula, c) => {
+                            if (typeof formula === 'string' && formula.startsWith('=')) {
+                                formulas.push({ cell: `${this.getColumnLetter(startCol + c)}${startRow + r}`, formula: formula });
+                            }
+                        });
+                    });
+                    
+                    resolve({
+                        address: readRange.address,
+                        requestedAddress: range.address,
+                        rowCount: rowsToRead,
+                        columnCount: colsToRead,
+                        truncated: rowsToRead < range.rowCount || colsToRead < range.columnCount,
+                        firstRowNumber: startRow,
+                        values: readRange.values,
+                        formulas: formulas.slice(0, 200),
+                        numberFormats: this.analyzeNumberFormats(readRange.numberFormat).types
+                    });
+                } catch (error) {
+                    reject(new Error(`Failed to read range "${address}": ${error.message}`));
+                }
+            });
+        });
+    }
+
+    // Tool: list worksheets with their used ranges and Excel tables
+    async listSheets() {
         return new Promise((resolve, reject) => {
             Excel.run(async (context) => {
                 try {
+                    const activeSheet = context.workbook.worksheets.getActiveWorksheet();
+                    activeSheet.load('name');
+                    const tables = context.workbook.tables;
+                    tables.load('items/name');
+                    await context.sync();
+                    
+                    const tableRanges = tables.items.map(table => {
+                        const tableRange = table.getRange();
+                        tableRange.load('address');
+                        return { name: table.name, range: tableRange };
+                    });
+                    
                     const workbookData = await this.analyzeWorkbookStructure(context);
-                    const allSheetsData = [];
                     
-                    const worksheets = context.workbook.worksheets;
-                    worksheets.load(['name']);
+                    resolve({
+                        activeSheet: activeSheet.name,
+                        sheets: (workbookData ? workbookData.sheets : []).map(sheet => ({
+                            name: sheet.name,
+                            usedRange: sheet.dataRange,
+                            rows: sheet.rowCount,
+                            columns: sheet.columnCount,
+                            tables: tableRanges
+                                .filter(t => t.range.address.split('!')[0].replace(/^'|'$/g, '') === sheet.name)
+                                .map(t => ({ name: t.name, address: t.range.address }))
+                        }))
+                    });
+                } catch (error) {
+                    reject(new Error('Failed to list worksheets: ' + error.message));
+                }
+            });
+        });
+    }
+
+    // Tool: read an Excel Table by name
+    async getTable(name) {
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const table = context.workbook.tables.getItemOrNullObject(name);
                     await context.sync();
                     
-                    for (const sheet of worksheets.items) {
-                        try {
-                            context.workbook.worksheets.getItem(sheet.name).activate();
-                            await context.sync();
-                            
-                            const sheetData = await this.readCurrentWorksheetDataEnhanced(false, false);
-                            allSheetsData.push(sheetData);
-                        } catch (error) {
-                            console.log(`Error reading sheet ${sheet.name}:`, error);
-                            allSheetsData.push({
-                                worksheetName: sheet.name,
-                                error: error.message,
-                                structuredData: { type: 'error' }
-                            });
-                        }
+                    if (table.isNullObject) {
+                        const tables = context.workbook.tables;
+                        tables.load('items/name');
+                        await context.sync();
+                        throw new Error(`No table named "${name}". Available tables: ${tables.items.map(t => t.name).join(', ') || 'none'}`);
+                    }
+                    
+                    const headerRange = table.getHeaderRowRange();
+                    const bodyRange = table.getDataBodyRange();
+                    const tableRange = table.getRange();
+                    headerRange.load('values');
+                    bodyRange.load(['rowCount', 'columnCount']);
+                    tableRange.load('address');
+                    table.load(['name', 'id', 'showTotals']);
+                    await context.sync();
+                    
+                    const [schema] = await this.loadTableSchemas(context, [table]);
+                    
+                    const maxRows = Math.max(1, Math.floor(this.CONFIG.MAX_TOOL_CELLS / Math.max(1, bodyRange.columnCount)));
+                    const rowsToRead = Math.min(bodyRange.rowCount, maxRows);
+                    let rows = [];
+                    if (rowsToRead > 0) {
+                        const readRange = bodyRange.getCell(0, 0).getResizedRange(rowsToRead - 1, bodyRange.columnCount - 1);
+                        readRange.load('values');
+                        await context.sync();
+                        rows = readRange.values;
                     }
                     
                     resolve({
-                        workbookData: workbookData,
-                        allSheets: allSheetsData,
-                        summary: `Read ${allSheetsData.length} worksheets from workbook`
+                        name: table.name,
+                        address: tableRange.address,
+                        headers: headerRange.values[0],
+                        rowCount: bodyRange.rowCount,
+                        columns: schema.columns,
+                        activeFilters: schema.activeFilters,
+                        rows: rows,
+                        truncated: rowsToRead < bodyRange.rowCount
+                    });
+                } catch (error) {
+                    reject(new Error(`Failed to read table "${name}": ${error.message}`));
+                }
+            });
+        });
+    }
+
+    // Tool: find cells containing a label and return the row each one sits in
+    async findLabel(text) {
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const worksheets = context.workbook.worksheets;
+                    worksheets.load('items/name');
+                    await context.sync();
+                    
+                    const searches = worksheets.items.map(sheet => {
+                        const found = sheet.findAllOrNullObject(String(text), { completeMatch: false, matchCase: false });
+                        found.load('areas/items/address');
+                        const usedRange = sheet.getUsedRangeOrNullObject(true);
+                        return { sheet, found, usedRange };
+                    });
+                    await context.sync();
+                    
+                    const matches = [];
+                    let totalMatches = 0;
+                    searches.forEach(({ sheet, found, usedRange }) => {
+                        if (found.isNullObject) return;
+                        found.areas.items.forEach(area => {
+                            totalMatches++;
+                            if (matches.length >= this.CONFIG.MAX_FIND_RESULTS) return;
+                            
+                            const cell = area.getCell(0, 0);
+                            cell.load(['address', 'values']);
+                            const row = usedRange.isNullObject ? cell : cell.getEntireRow().getIntersection(usedRange);
+                            row.load(['address', 'values']);
+                            matches.push({ sheetName: sheet.name, cell, row });
+                        });
                     });
+                    await context.sync();
                     
+                    resolve({
+                        query: text,
+                        totalMatches: totalMatches,
+                        matches: matches.map(match => ({
+                            sheet: match.sheetName,
+                            address: match.cell.address,
+                            value: match.cell.values[0][0],
+                            rowAddress: match.row.address,
+                            rowValues: match.row.values[0]
+                        }))
+                    });
                 } catch (error) {
-                    reject(new Error('Failed to read all worksheets: ' + error.message));
+                    reject(new Error(`Failed to search for "${text}": ${error.message}`));
                 }
             });
         });
@@ -655,6 +2063,12 @@ class DataService {
         this.currentWorksheetData = null;
         this.workbookStructure = null;
     }
+
+    // Cells read before switching to sampling (user setting, see SettingsStore)
+    setMaxAnalysisCells(maxCells) {
+        this.CONFIG.MAX_ANALYSIS_CELLS = maxCells;
+        this.clearCurrentData();
+    }
 }
 
 // Export for use in other modules
@@ -0,0 +1,56 @@
+/* global Office */
+
+// DocumentSettings - One value saved in the workbook's document settings, so it travels with the file
+// localStorage (keyed by workbook URL) is used when document settings are unavailable
+// Shared by ConversationStore and RedactionService
+export class DocumentSettings {
+    // settingsKey names the value in document settings; storagePrefix + workbook URL is the fallback key
+    constructor(settingsKey, storagePrefix, description) {
+        this.settingsKey = settingsKey;
+        this.storagePrefix = storagePrefix;
+        this.description = description; // Used in save errors, e.g. "conversation"
+    }
+
+    // Document settings live inside the workbook, so they are already per workbook
+    getDocumentSettings() {
+        if (typeof Office === 'undefined' || !Office.context || !Office.context.document) return null;
+        return Office.context.document.settings || null;
+    }
+
+    // localStorage key for this workbook (fallback only)
+    getStorageKey() {
+        const url = typeof Office !== 'undefined' && Office.context && Office.context.document
+            ? Office.context.document.url
+            : null;
+        return this.storagePrefix + (url || 'untitled');
+    }
+
+    read() {
+        const settings = this.getDocumentSettings();
+        if (settings) {
+            return settings.get(this.settingsKey);
+        }
+        const stored = window.localStorage.getItem(this.getStorageKey());
+        return stored ? JSON.parse(stored) : null;
+    }
+
+    async write(value) {
+        const settings = this.getDocumentSettings();
+        if (!settings) {
+            window.localStorage.setItem(this.getStorageKey(), JSON.stringify(value));
+            return;
+        }
+
+        settings.set(this.settingsKey, value);
+        return new Promise((resolve, reject) => {
+            settings.saveAsync((result) => {
+                if (result.status === Office.AsyncResultStatus.Succeeded) {
+                    resolve();
+                } else {
+                    reject(new Error(`Failed to save ${this.description}: ${result.error.message}`));
+                }
+            });
+        });
+    }
+}
+
@@ -0,0 +1,92 @@
+// ExcelToolkit - Function-calling tools that let the model fetch the cells it needs
+// Declarations use the provider-neutral { name, description, parameters } shape
+class ExcelToolkit {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.handlers = {
+            readRange: (args) => this.dataService.readRange(args.address),
+            listSheets: () => this.dataService.listSheets(),
+            getTable: (args) => this.dataService.getTable(args.name),
+            findLabel: (args) => this.dataService.findLabel(args.text)
+        };
+    }
+
+    // Tool declarations sent to the model
+    getDeclarations() {
+        return [
+            {
+                name: 'readRange',
+                description: 'Read exact cell values and formulas. Accepts an A1 address, optionally sheet-qualified (e.g. "Sheet1!B2:F40"), or a workbook named range.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        address: { type: 'string', description: 'A1-style range, e.g. "B2:F40" or "\'P&L\'!A1:M60"' }
+                    },
+                    required: ['address']
+                }
+            },
+            {
+                name: 'listSheets',
+                description: 'List every worksheet with its used range, size and the Excel Tables it contains.',
+                parameters: { type: 'object', properties: {} }
+            },
+            {
+                name: 'getTable',
+                description: 'Read an Excel Table (ListObject) by name: headers and data rows.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        name: { type: 'string', description: 'Table name, e.g. "Sales"' }
+                    },
+                    required: ['name']
+                }
+            },
+            {
+                name: 'findLabel',
+                description: 'Search all sheets for cells containing a label (case-insensitive) and return the row each match sits in.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        text: { type: 'string', description: 'Label text to search for, e.g. "Gross margin"' }
+                    },
+                    required: ['text']
+                }
+            }
+        ];
+    }
+
+    // Short description of a call for status messages
+    describeCall(call) {
+        const args = call.args || {};
+        switch (call.name) {
+            case 'readRange': return `Reading ${args.address}`;
+            case 'listSheets': return 'Listing worksheets';
+            case 'getTable': return `Reading table ${args.name}`;
+            case 'findLabel': return `Searching for "${args.text}"`;
+            default: return `Running ${call.name}`;
+        }
+    }
+
+    // Execute one tool call; failures are returned to the model instead of thrown
+    async execute(call) {
+        const handler = this.handlers[call.name];
+        let response;
+
+        try {
+            if (!handler) {
+                throw new Error(`Unknown tool "${call.name}"`);
+            }
+            response = await handler(call.args || {});
+        } catch (error) {
+            console.warn(`Tool ${call.name} failed:`, error);
+            response = { error: error.message };
+        }
+
+        return { id: call.id, name: call.name, response: response };
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.ExcelToolkit = ExcelToolkit;
+}
@@ -0,0 +1,253 @@
+/* global Excel */
+
+// FormulaTraceService - Walks a cell's precedents (across sheets) into a dependency tree
+// Uses Range.getDirectPrecedents where the host supports it, else parses references from the formula
+class FormulaTraceService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.CONFIG = {
+            MAX_DEPTH: 3, // Levels of precedents to follow below the selected cell (the traceDepth setting overrides it)
+            MAX_NODES: 40, // Stop expanding once the tree holds this many cells/ranges
+            MAX_RANGE_VALUES: 500, // Larger precedent ranges are reported by size only
+            LABEL_SCAN_COLUMNS: 3 // Columns to the left searched for a row label
+        };
+    }
+
+    // Does a typed question ask for the "Explain this cell" mode?
+    isExplainRequest(question) {
+        return /\bexplain\b.*\b(this|selected|current|active)\s+(cell|formula)\b/i.test(question);
+    }
+
+    // Trace the top-left cell of the selection
+    async traceSelectedCell(maxDepth = this.CONFIG.MAX_DEPTH) {
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const cell = context.workbook.getSelectedRange().getCell(0, 0);
+                    cell.load(['address']);
+                    await context.sync();
+
+                    const root = this.createNode(cell.address, 0);
+                    const seen = new Set([root.address]);
+                    let method = 'precedents';
+                    let truncated = false;
+
+                    await this.loadNodeDetails(context, [root]);
+                    let level = [root];
+
+                    for (let depth = 1; depth <= maxDepth && level.length > 0; depth++) {
+                        const expandable = level.filter(node => node.formula && !node.isRange);
+                        if (expandable.length === 0) break;
+
+                        const precedentLists = await this.loadPrecedentAddresses(context, expandable);
+                        if (precedentLists.method === 'parsed') method = 'parsed';
+
+                        const nextLevel = [];
+                        expandable.forEach((node, index) => {
+                            precedentLists.addresses[index].forEach(address => {
+                                if (seen.has(address)) return;
+                                if (seen.size >= this.CONFIG.MAX_NODES) {
+                                    node.truncated = true;
+                                    truncated = true;
+                                    return;
+                                }
+                                seen.add(address);
+                                const child = this.createNode(address, depth);
+                                node.children.push(child);
+                                nextLevel.push(child);
+                            });
+                        });
+
+                        await this.loadNodeDetails(context, nextLevel);
+                        level = nextLevel;
+                    }
+
+                    resolve({
+                        root: root,
+                        maxDepth: maxDepth,
+                        nodeCount: seen.size,
+                        method: method,
+                        truncated: truncated
+                    });
+                } catch (error) {
+                    reject(new Error('Failed to trace cell precedents: ' + error.message));
+                }
+            });
+        });
+    }
+
+    createNode(address, depth) {
+        const { sheetName, rangeAddress } = this.dataService.parseSheetAddress(address);
+        const cellAddress = rangeAddress.replace(/\$/g, '').toUpperCase();
+        return {
+            address: `${sheetName}!${cellAddress}`,
+            sheet: sheetName,
+            cell: cellAddress,
+            depth: depth,
+            isRange: cellAddress.includes(':'),
+            formula: null,
+            value: null,
+            text: '',
+            label: null,
+            cellCount: 1,
+            summary: null,
+            children: [],
+            truncated: false
+        };
+    }
+
+    // Fill in values, formulas and labels for a batch of nodes
+    async loadNodeDetails(context, nodes) {
+        if (nodes.length === 0) return;
+
+        const ranges = nodes.map(node => {
+            const range = context.workbook.worksheets.getItem(node.sheet).getRange(node.cell);
+            range.load(['rowIndex', 'columnIndex', 'rowCount', 'columnCount']);
+            return range;
+        });
+        await context.sync();
+
+        const loaded = nodes.map((node, index) => {
+            const range = ranges[index];
+            node.cellCount = range.rowCount * range.columnCount;
+
+            const details = { node, range, labelRange: null };
+            if (!node.isRange) {
+                range.load(['values', 'formulas', 'text']);
+            } else if (node.cellCount <= this.CONFIG.MAX_RANGE_VALUES) {
+                range.load('values');
+            }
+
+            // Row label: first text cell to the left of the (first) cell
+            const labelColumns = Math.min(range.columnIndex, this.CONFIG.LABEL_SCAN_COLUMNS);
+            if (labelColumns > 0) {
+                details.labelRange = context.workbook.worksheets.getItem(node.sheet)
+                    .getRangeByIndexes(range.rowIndex, 0, 1, labelColumns);
+                details.labelRange.load('values');
+            }
+            return details;
+        });
+        await context.sync();
+
+        loaded.forEach(({ node, range, labelRange }) => {
+            if (labelRange) {
+                const label = labelRange.values[0].find(value => typeof value === 'string' && value.trim() !== '');
+                node.label = label ? label.trim() : null;
+            }
+
+            if (!node.isRange) {
+                const formula = range.formulas[0][0];
+                node.formula = typeof formula === 'string' && formula.startsWith('=') ? formula : null;
+                node.value = range.values[0][0];
+                node.text = range.text[0][0];
+            } else if (node.cellCount <= this.CONFIG.MAX_RANGE_VALUES) {
+                node.summary = this.summarizeValues(range.values);
+            }
+        });
+    }
+
+    // Direct precedent addresses for each node, falling back to parsing the formulas
+    // All nodes are asked in one sync; a cell with no precedents fails that whole sync (ItemNotFound),
+    // so the nodes are then asked one at a time and only the failing ones are handled on their own
+    async loadPrecedentAddresses(context, nodes) {
+        try {
+            return { method: 'precedents', addresses: await this.requestPrecedents(context, nodes) };
+        } catch (error) {
+            if (!this.isNoPrecedentsError(error)) {
+                // Older hosts lack getDirectPrecedents
+                console.log('getDirectPrecedents unavailable, parsing formulas instead:', error.message);
+                return { method: 'parsed', addresses: nodes.map(node => this.parseFormulaReferences(node.formula, node.sheet)) };
+            }
+        }
+
+        const addresses = [];
+        for (const node of nodes) {
+            try {
+                addresses.push((await this.requestPrecedents(context, [node]))[0]);
+            } catch (error) {
+                // No precedents (e.g. =TODAY()) means nothing to follow; anything else falls back to the formula
+                addresses.push(this.isNoPrecedentsError(error) ? [] : this.parseFormulaReferences(node.formula, node.sheet));
+            }
+        }
+        return { method: 'precedents', addresses: addresses };
+    }
+
+    async requestPrecedents(context, nodes) {
+        const precedents = nodes.map(node => {
+            const areas = context.workbook.worksheets.getItem(node.sheet).getRange(node.cell).getDirectPrecedents();
+            areas.load('addresses');
+            return areas;
+        });
+        await context.sync();
+
+        return precedents.map((areas, index) =>
+            areas.addresses.flatMap(address => this.splitAreas(address, nodes[index].sheet))
+        );
+    }
+
+    isNoPrecedentsError(error) {
+        return Boolean(error) && error.code === 'ItemNotFound';
+    }
+
+    // "Sheet1!A1:A3, Sheet1!C1" -> sheet-qualified single areas
+    splitAreas(address, defaultSheet) {
+        return address.split(/,(?=(?:[^']*'[^']*')*[^']*$)/)
+            .map(area => area.trim())
+            .filter(area => area !== '')
+            .map(area => this.qualifyAddress(area, defaultSheet));
+    }
+
+    qualifyAddress(address, defaultSheet) {
+        const { sheetName, rangeAddress } = this.dataService.parseSheetAddress(address);
+        return `${sheetName || defaultSheet}!${rangeAddress.replace(/\$/g, '').toUpperCase()}`;
+    }
+
+    // Cell and range references in a formula (string literals ignored; names and external links skipped)
+    parseFormulaReferences(formula, defaultSheet) {
+        if (!formula) return [];
+
+        const withoutStrings = formula.replace(/"(?:[^"]|"")*"/g, '""');
+        const referencePattern = /(?:('(?:[^']|'')+'|[A-Za-z_][\w.]*)!)?(\$?[A-Z]{1,3}\$?\d+(?::\$?[A-Z]{1,3}\$?\d+)?|\$?[A-Z]{1,3}:\$?[A-Z]{1,3}|\$?\d+:\$?\d+)(?![\w(!])/g;
+        const references = [];
+        let match;
+
+        while ((match = referencePattern.exec(withoutStrings)) !== null) {
+            // Skip matches that are the tail of a longer identifier, e.g. the "G10" in "LOG10"
+            const before = withoutStrings[match.index - 1];
+            if (before && /[\w.$:]/.test(before)) continue;
+
+            const address = match[1] ? `${match[1]}!${match[2]}` : match[2];
+            const qualified = this.qualifyAddress(address, defaultSheet);
+            if (!references.includes(qualified)) references.push(qualified);
+        }
+
+        return references;
+    }
+
+    summarizeValues(values) {
+        const numbers = values.flat().filter(value => typeof value === 'number');
+        if (numbers.length === 0) return { count: 0 };
+        return {
+            count: numbers.length,
+            sum: numbers.reduce((sum, value) => sum + value, 0),
+            min: Math.min(...numbers),
+            max: Math.max(...numbers)
+        };
+    }
+
+    // Flatten the tree depth-first (used for prompts and exports)
+    flattenTrace(trace) {
+        const nodes = [];
+        const visit = (node) => {
+            nodes.push(node);
+            node.children.forEach(visit);
+        };
+        visit(trace.root);
+        return nodes;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.FormulaTraceService = FormulaTraceService;
+}
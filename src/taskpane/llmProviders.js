@@ -0,0 +1,611 @@
+// Import Gemini API
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+// LLM provider layer - a common chat interface over Gemini, OpenAI-compatible servers and a mock back end
+//
+// Every provider exposes:
+//   startChat({ history, generationConfig, tools }) -> chat session
+//   countTokens(text, { signal })                   -> Promise<{ tokens, method: 'provider' | 'estimate' }>
+//   mapError(error)                                 -> LLMProviderError with a normalised code
+// Every chat session exposes:
+//   sendMessage(message, { signal })       -> Promise<string>
+//   sendMessageStream(message, { signal }) -> async iterable of text deltas
+//   consumeToolCalls()                     -> [{ id, name, args }] requested by the last turn
+//   getHistory()                           -> [{ role: 'user' | 'assistant', content }]
+// A message is either a prompt string or { toolResults: [{ id, name, response }] }.
+// Tools are declared as [{ name, description, parameters }] with a JSON-schema parameters object.
+
+// Normalised provider error codes
+export const PROVIDER_ERROR_CODES = {
+    AUTH: 'auth',
+    QUOTA: 'quota',
+    SESSION: 'session',
+    SAFETY: 'safety',
+    CONTEXT_LENGTH: 'context_length',
+    NETWORK: 'network',
+    UNAVAILABLE: 'unavailable',
+    UNKNOWN: 'unknown'
+};
+
+// Error raised by providers after mapping a back-end specific failure
+export class LLMProviderError extends Error {
+    constructor(message, code = PROVIDER_ERROR_CODES.UNKNOWN, details = {}) {
+        super(message);
+        this.name = 'LLMProviderError';
+        this.code = code;
+        this.status = details.status || null;
+        this.provider = details.provider || null;
+        this.cause = details.cause || null;
+        this.retryAfter = details.retryAfter || null; // Seconds, when the service sent a wait time
+    }
+}
+
+// Wait time a rate-limited request was given, in seconds: a Retry-After value or Gemini's RetryInfo delay
+function getRetryAfter(error) {
+    if (!error) return null;
+    if (error.retryAfter) return Number(error.retryAfter) || null;
+    const retryInfo = Array.isArray(error.errorDetails) && error.errorDetails.find(detail => detail && detail.retryDelay);
+    const seconds = retryInfo ? parseFloat(retryInfo.retryDelay) : NaN;
+    return isNaN(seconds) ? null : Math.ceil(seconds);
+}
+
+// Local token estimate for providers without a count-tokens call
+// Words cost about one token per 4 letters, digit runs one per 3 digits, punctuation one each
+export function estimateTokens(text) {
+    const pieces = String(text || '').match(/[A-Za-z]+|\d+|[^\sA-Za-z\d]/g) || [];
+    return pieces.reduce((total, piece) => {
+        if (/^[A-Za-z]/.test(piece)) return total + Math.ceil(piece.length / 4);
+        if (/^\d/.test(piece)) return total + Math.ceil(piece.length / 3);
+        return total + 1;
+    }, 0);
+}
+
+// Base chat session - keeps a provider-neutral transcript
+class BaseChatSession {
+    constructor(history = [], tools = []) {
+        this.history = history.map(msg => ({ role: msg.role, content: msg.content }));
+        this.tools = tools || [];
+        this.pendingToolCalls = [];
+    }
+
+    // Record a completed turn (tool-result turns only add the reply text)
+    recordTurn(message, reply) {
+        if (typeof message === 'string') {
+            this.history.push({ role: 'user', content: message });
+        }
+        if (reply) {
+            this.history.push({ role: 'assistant', content: reply });
+        }
+    }
+
+    async sendMessage(message, options = {}) {
+        let text = '';
+        for await (const delta of this.sendMessageStream(message, options)) {
+            text += delta;
+        }
+        return text;
+    }
+
+    // Providers implement this as an async generator yielding text deltas
+    sendMessageStream() {
+        throw new Error('sendMessageStream() not implemented by this provider');
+    }
+
+    // Tool calls requested by the last turn; clears them
+    consumeToolCalls() {
+        const calls = this.pendingToolCalls;
+        this.pendingToolCalls = [];
+        return calls;
+    }
+
+    getHistory() {
+        return this.history.slice();
+    }
+}
+
+// Base provider with shared error mapping
+class LLMProvider {
+    constructor(config = {}) {
+        this.config = config;
+        this.name = 'base';
+        this.displayName = 'LLM';
+    }
+
+    startChat() {
+        throw new Error('startChat() not implemented by this provider');
+    }
+
+    // Describe the active model for logs and status messages
+    describe() {
+        return `${this.displayName} (${this.config.model || 'default model'})`;
+    }
+
+    // Token count for a prompt; providers with a count-tokens API override this
+    async countTokens(text) {
+        return { tokens: estimateTokens(text), method: 'estimate' };
+    }
+
+    // Map any thrown error onto a normalised LLMProviderError
+    mapError(error) {
+        if (error instanceof LLMProviderError) return error;
+
+        const message = (error && error.message) || String(error);
+        const status = error && error.status;
+        const details = { status: status, provider: this.name, cause: error, retryAfter: getRetryAfter(error) };
+
+        if (status === 401 || status === 403 || /api key|unauthori[sz]ed|permission denied/i.test(message)) {
+            return new LLMProviderError(message, PROVIDER_ERROR_CODES.AUTH, details);
+        }
+        if (status === 413 || (error && error.code === 'context_length_exceeded') ||
+            /context (length|window)|too many tokens|token count .*exceeds|prompt is too long/i.test(message)) {
+            return new LLMProviderError(message, PROVIDER_ERROR_CODES.CONTEXT_LENGTH, details);
+        }
+        if (status === 429 || /quota|rate limit|resource.?exhausted/i.test(message)) {
+            return new LLMProviderError(message, PROVIDER_ERROR_CODES.QUOTA, details);
+        }
+        if (/safety|blocked/i.test(message)) {
+            return new LLMProviderError(message, PROVIDER_ERROR_CODES.SAFETY, details);
+        }
+        if (status >= 500) {
+            return new LLMProviderError(message, PROVIDER_ERROR_CODES.UNAVAILABLE, details);
+        }
+        if (error instanceof TypeError || /failed to fetch|network/i.test(message)) {
+            return new LLMProviderError(message, PROVIDER_ERROR_CODES.NETWORK, details);
+        }
+        if (/chat|session/i.test(message)) {
+            return new LLMProviderError(message, PROVIDER_ERROR_CODES.SESSION, details);
+        }
+        return new LLMProviderError(message, PROVIDER_ERROR_CODES.UNKNOWN, details);
+    }
+}
+
+// Gemini chat session - wraps the SDK ChatSession
+class GeminiChatSession extends BaseChatSession {
+    constructor(sdkSession, history, tools) {
+        super(history, tools);
+        this.sdkSession = sdkSession;
+    }
+
+    // Convert a neutral message into SDK request parts
+    toRequest(message) {
+        if (typeof message === 'string') return message;
+        return message.toolResults.map(result => ({
+            functionResponse: {
+                name: result.name,
+                // Gemini expects an object payload
+                response: result.response !== null && typeof result.response === 'object' && !Array.isArray(result.response)
+                    ? result.response
+                    : { result: result.response }
+            }
+        }));
+    }
+
+    async *sendMessageStream(message, options = {}) {
+        this.pendingToolCalls = [];
+        const result = await this.sdkSession.sendMessageStream(this.toRequest(message), { signal: options.signal });
+        let text = '';
+        for await (const chunk of result.stream) {
+            const calls = chunk.functionCalls();
+            if (calls) {
+                calls.forEach(call => this.pendingToolCalls.push({ id: null, name: call.name, args: call.args || {} }));
+            }
+            const delta = chunk.text();
+            if (delta) {
+                text += delta;
+                yield delta;
+            }
+        }
+        this.recordTurn(message, text);
+    }
+}
+
+// Google Gemini provider
+class GeminiProvider extends LLMProvider {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'gemini';
+        this.displayName = 'Gemini';
+
+        if (!config.apiKey) {
+            throw new LLMProviderError('No Gemini API key - add yours in Settings', PROVIDER_ERROR_CODES.AUTH, { provider: this.name });
+        }
+
+        this.genAI = new GoogleGenerativeAI(config.apiKey);
+        this.model = this.genAI.getGenerativeModel({ model: config.model });
+    }
+
+    startChat({ history = [], generationConfig = {}, tools = [] } = {}) {
+        const params = {
+            history: history.map(msg => ({
+                role: msg.role === 'assistant' ? 'model' : 'user',
+                parts: [{ text: msg.content }]
+            })),
+            generationConfig: generationConfig
+        };
+        if (tools.length > 0) {
+            params.tools = [{ functionDeclarations: tools }];
+        }
+        return new GeminiChatSession(this.model.startChat(params), history, tools);
+    }
+
+    // Exact count from the Gemini API, falling back to the local estimate when the call fails
+    // An aborted count falls back to the estimate; the request that follows sees the abort
+    async countTokens(text, options = {}) {
+        try {
+            const result = await this.model.countTokens(text, { signal: options.signal || undefined });
+            return { tokens: result.totalTokens, method: 'provider' };
+        } catch (error) {
+            if (!(options.signal && options.signal.aborted)) {
+                console.warn('Gemini countTokens failed, using the local estimate:', error.message);
+            }
+            return super.countTokens(text);
+        }
+    }
+}
+
+// OpenAI-compatible chat session - sends the whole transcript on each request
+class OpenAICompatibleChatSession extends BaseChatSession {
+    constructor(provider, history, generationConfig, tools) {
+        super(history, tools);
+        this.provider = provider;
+        this.generationConfig = generationConfig;
+        // Wire-format transcript, including tool call and tool result messages
+        this.messages = this.history.map(msg => ({ role: msg.role, content: msg.content }));
+    }
+
+    // Convert a neutral message into chat completion messages
+    toMessages(message) {
+        if (typeof message === 'string') {
+            return [{ role: 'user', content: message }];
+        }
+        return message.toolResults.map(result => ({
+            role: 'tool',
+            tool_call_id: result.id,
+            content: JSON.stringify(result.response)
+        }));
+    }
+
+    async *sendMessageStream(message, options = {}) {
+        this.pendingToolCalls = [];
+        const outgoing = this.toMessages(message);
+        const response = await this.provider.request(this.messages.concat(outgoing), this.generationConfig, this.tools, options.signal);
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const toolCallParts = [];
+        let buffer = '';
+        let text = '';
+
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+
+                for (const line of lines) {
+                    const delta = this.parseStreamLine(line);
+                    if (!delta) continue;
+                    this.collectToolCallParts(delta, toolCallParts);
+                    if (delta.content) {
+                        text += delta.content;
+                        yield delta.content;
+                    }
+                }
+            }
+        } finally {
+            reader.releaseLock();
+        }
+
+        const trailing = this.parseStreamLine(buffer);
+        if (trailing) {
+            this.collectToolCallParts(trailing, toolCallParts);
+            if (trailing.content) {
+                text += trailing.content;
+                yield trailing.content;
+            }
+        }
+
+        // Commit the turn only once the stream completed
+        const assistantMessage = { role: 'assistant', content: text || null };
+        if (toolCallParts.length > 0) {
+            assistantMessage.tool_calls = toolCallParts.map(call => ({
+                id: call.id,
+                type: 'function',
+                function: { name: call.name, arguments: call.arguments }
+            }));
+            this.pendingToolCalls = toolCallParts.map(call => ({
+                id: call.id,
+                name: call.name,
+                args: this.parseArguments(call.arguments)
+            }));
+        }
+        this.messages.push(...outgoing, assistantMessage);
+        this.recordTurn(message, text);
+    }
+
+    // Streamed tool calls arrive as fragments keyed by index
+    collectToolCallParts(delta, toolCallParts) {
+        (delta.tool_calls || []).forEach(fragment => {
+            const index = fragment.index || 0;
+            if (!toolCallParts[index]) {
+                toolCallParts[index] = { id: fragment.id || `call_${index}`, name: '', arguments: '' };
+            }
+            if (fragment.id) toolCallParts[index].id = fragment.id;
+            if (fragment.function?.name) toolCallParts[index].name += fragment.function.name;
+            if (fragment.function?.arguments) toolCallParts[index].arguments += fragment.function.arguments;
+        });
+    }
+
+    parseArguments(argumentsText) {
+        try {
+            return argumentsText ? JSON.parse(argumentsText) : {};
+        } catch {
+            console.warn('Could not parse tool call arguments:', argumentsText);
+            return {};
+        }
+    }
+
+    // Parse one server-sent event line into a delta object
+    parseStreamLine(line) {
+        const trimmed = line.trim();
+        if (!trimmed.startsWith('data:')) return null;
+
+        const payload = trimmed.slice(5).trim();
+        if (payload === '[DONE]') return null;
+
+        try {
+            const parsed = JSON.parse(payload);
+            if (parsed.error) {
+                throw new LLMProviderError(parsed.error.message || 'Stream error', PROVIDER_ERROR_CODES.UNKNOWN, { provider: this.provider.name });
+            }
+            return parsed.choices?.[0]?.delta || null;
+        } catch (error) {
+            if (error instanceof LLMProviderError) throw error;
+            console.warn('Skipping malformed stream line:', trimmed);
+            return null;
+        }
+    }
+}
+
+// Generic OpenAI-compatible HTTP provider (OpenAI, Azure-style gateways, vLLM, LM Studio, Ollama)
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'openai';
+        this.displayName = 'OpenAI-compatible';
+
+        if (!config.baseUrl) {
+            throw new LLMProviderError('Please configure LLM_BASE_URL for the OpenAI-compatible provider', PROVIDER_ERROR_CODES.AUTH, { provider: this.name });
+        }
+
+        this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    }
+
+    startChat({ history = [], generationConfig = {}, tools = [] } = {}) {
+        return new OpenAICompatibleChatSession(this, history, generationConfig, tools);
+    }
+
+    // Map the Gemini-style generation config and tools onto chat completion parameters
+    buildRequestBody(messages, generationConfig, tools = []) {
+        const body = {
+            model: this.config.model,
+            messages: messages,
+            stream: true
+        };
+        if (tools.length > 0) {
+            body.tools = tools.map(tool => ({ type: 'function', function: tool }));
+        }
+        if (generationConfig.maxOutputTokens !== undefined) body.max_tokens = generationConfig.maxOutputTokens;
+        if (generationConfig.temperature !== undefined) body.temperature = generationConfig.temperature;
+        if (generationConfig.topP !== undefined) body.top_p = generationConfig.topP;
+        return body;
+    }
+
+    buildHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.config.apiKey) {
+            headers.Authorization = `Bearer ${this.config.apiKey}`;
+        }
+        return headers;
+    }
+
+    // POST a streaming chat completion request
+    async request(messages, generationConfig, tools, signal) {
+        const response = await fetch(`${this.baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: this.buildHeaders(),
+            body: JSON.stringify(this.buildRequestBody(messages, generationConfig, tools)),
+            signal: signal
+        });
+
+        if (!response.ok) {
+            let detail = response.statusText;
+            let code = null;
+            try {
+                const errorBody = await response.json();
+                detail = errorBody.error?.message || detail;
+                code = errorBody.error?.code || null;
+            } catch {
+                // Keep the status text
+            }
+            const error = new Error(`[${response.status}] ${detail}`);
+            error.status = response.status;
+            error.code = code;
+            error.retryAfter = Number(response.headers.get('Retry-After')) || null;
+            throw error;
+        }
+
+        return response;
+    }
+}
+
+// Local model server - OpenAI-compatible endpoint with local defaults and no key
+class LocalProvider extends OpenAICompatibleProvider {
+    constructor(config = {}) {
+        super(Object.assign({ baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' }, config));
+        this.name = 'local';
+        this.displayName = 'Local model';
+    }
+}
+
+// Relay server (relay/server.js) - OpenAI-compatible endpoint that holds the provider key and
+// applies per-user limits; the API key is the user's relay access token, which identifies them
+class RelayProvider extends OpenAICompatibleProvider {
+    constructor(config = {}) {
+        super(Object.assign({ baseUrl: 'http://localhost:8787/v1' }, config));
+        this.name = 'relay';
+        this.displayName = 'Relay';
+    }
+
+    describe() {
+        return `${this.displayName} (${this.baseUrl})`;
+    }
+
+    // Relay errors carry a code: its own limits are quota errors, a rejected relay key is the relay's problem
+    mapError(error) {
+        const mapped = super.mapError(error);
+        if (error && error.code === 'upstream_auth') {
+            mapped.code = PROVIDER_ERROR_CODES.UNAVAILABLE;
+        }
+        return mapped;
+    }
+}
+
+// Mock chat session - deterministic replies for offline runs
+class MockChatSession extends BaseChatSession {
+    constructor(provider, history, tools) {
+        super(history, tools);
+        this.provider = provider;
+        this.turn = this.history.length;
+    }
+
+    async *sendMessageStream(message, options = {}) {
+        this.pendingToolCalls = [];
+        this.turn++;
+
+        const toolCall = typeof message === 'string' ? this.provider.chooseToolCall(message, this.tools) : null;
+        if (toolCall) {
+            this.pendingToolCalls = [Object.assign({ id: `mock_call_${this.turn}` }, toolCall)];
+            this.recordTurn(message, '');
+            return;
+        }
+
+        const reply = typeof message === 'string'
+            ? this.provider.createReply(message, this.turn)
+            : this.provider.createToolReply(message.toolResults);
+        const chunkSize = this.provider.config.chunkSize || 24;
+
+        for (let i = 0; i < reply.length; i += chunkSize) {
+            if (options.signal && options.signal.aborted) {
+                const abortError = new Error('Request aborted');
+                abortError.name = 'AbortError';
+                throw abortError;
+            }
+            // Yield to the event loop so the UI can render and Stop can fire
+            await new Promise(resolve => setTimeout(resolve, this.provider.config.chunkDelayMs || 0));
+            yield reply.slice(i, i + chunkSize);
+        }
+
+        this.recordTurn(message, reply);
+    }
+}
+
+// Deterministic mock provider
+class MockProvider extends LLMProvider {
+    constructor(config = {}) {
+        super(config);
+        this.name = 'mock';
+        this.displayName = 'Mock';
+    }
+
+    startChat({ history = [], tools = [] } = {}) {
+        return new MockChatSession(this, history, tools);
+    }
+
+    // Extract the user question from a contextual prompt
+    extractQuestion(prompt) {
+        const questionMatch = prompt.match(/(?:CURRENT USER QUESTION|QUESTION): "([\s\S]*?)"/);
+        return questionMatch ? questionMatch[1] : prompt.slice(0, 80);
+    }
+
+    // Request a tool when the question names a cell range or asks about sheets
+    chooseToolCall(prompt, tools) {
+        const toolNames = tools.map(tool => tool.name);
+        const question = this.extractQuestion(prompt);
+        const addressMatch = question.match(/\b((?:[A-Za-z0-9_]+!)?[A-Z]{1,3}\d+(?::[A-Z]{1,3}\d+)?)\b/);
+
+        if (addressMatch && toolNames.includes('readRange')) {
+            return { name: 'readRange', args: { address: addressMatch[1] } };
+        }
+        if (/\bsheets\b/i.test(question) && toolNames.includes('listSheets')) {
+            return { name: 'listSheets', args: {} };
+        }
+        return null;
+    }
+
+    // Summarise tool results deterministically
+    createToolReply(toolResults) {
+        return toolResults.map(result =>
+            `**${result.name}** returned:\n\n\`\`\`\n${JSON.stringify(result.response).slice(0, 400)}\n\`\`\``
+        ).join('\n\n');
+    }
+
+    // Build a reply that depends only on the prompt and turn number
+    createReply(prompt, turn) {
+        if (/Respond with ".*" to confirm initialization/.test(prompt)) {
+            return 'Advanced Excel Analysis System Ready!';
+        }
+
+        // =ASK.AI() batches expect a JSON array with one answer per request
+        const cellBatch = prompt.match(/Return ONLY a JSON array of (\d+) /);
+        if (cellBatch) {
+            const instructions = Array.from(prompt.matchAll(/^Instruction: (.*)$/gm), match => match[1]);
+            return JSON.stringify(instructions.slice(0, Number(cellBatch[1])).map((instruction, index) => `Mock result ${index + 1}: ${instruction}`));
+        }
+
+        const question = this.extractQuestion(prompt);
+
+        const forcedError = question.match(/\[mock-error:(\w+)\]/);
+        if (forcedError) {
+            const code = forcedError[1];
+            throw new LLMProviderError(`Mock ${code} error`, code, { provider: this.name });
+        }
+
+        const canned = this.config.responses || {};
+        const key = Object.keys(canned).find(k => question.toLowerCase().includes(k.toLowerCase()));
+        if (key) return canned[key];
+
+        const worksheetMatch = prompt.match(/(?:- Name|WORKSHEET): "([^"]+)"/);
+        return `**Mock answer #${turn}**\n\nYou asked: "${question}"` +
+            (worksheetMatch ? `\n\nWorksheet: ${worksheetMatch[1]}` : '') +
+            `\n\nPrompt size: ${prompt.length} characters.`;
+    }
+}
+
+// Registry of built-in providers
+const PROVIDERS = {
+    gemini: GeminiProvider,
+    openai: OpenAICompatibleProvider,
+    local: LocalProvider,
+    relay: RelayProvider,
+    mock: MockProvider
+};
+
+// Create a provider by name
+export function createLLMProvider(name, config = {}) {
+    const ProviderClass = PROVIDERS[(name || 'gemini').toLowerCase()];
+    if (!ProviderClass) {
+        throw new Error(`Unknown LLM provider "${name}". Available: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return new ProviderClass(config);
+}
+
+// Register a custom provider class
+export function registerLLMProvider(name, ProviderClass) {
+    PROVIDERS[name.toLowerCase()] = ProviderClass;
+}
+
+export { LLMProvider, BaseChatSession, GeminiProvider, OpenAICompatibleProvider, LocalProvider, RelayProvider, MockProvider };
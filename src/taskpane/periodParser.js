@@ -0,0 +1,188 @@
+// PeriodParser - Recognises period headers (quarters, halves, fiscal/calendar years, months,
+// Excel date serials) and normalises them into { granularity, year, index, sortKey, label }
+//   granularity: 'month' | 'quarter' | 'half' | 'year'
+//   index:       month 1-12, quarter 1-4, half 1-2 (1 for years)
+//   sortKey:     months since year 0 at the start of the period, so mixed layouts sort correctly
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const MONTHS_PER_PERIOD = { month: 1, quarter: 3, half: 6, year: 12 };
+
+// Year fragment: 2024, 24, '24
+const YEAR = "'?(\\d{4}|\\d{2})";
+const SEP = "[\\s\\-'/_.]*";
+
+const PATTERNS = [
+    // 1Q24, 1Q2024
+    { regex: new RegExp(`^([1-4])Q${SEP}${YEAR}$`, 'i'), granularity: 'quarter', index: 1, year: 2 },
+    // Q1 2024, Q1-24, Q1'24, Q1 FY24
+    { regex: new RegExp(`^Q([1-4])${SEP}(FY)?${SEP}${YEAR}$`, 'i'), granularity: 'quarter', index: 1, fiscal: 2, year: 3 },
+    // 2024 Q1, 2024-Q1, FY24 Q1
+    { regex: new RegExp(`^(FY)?${SEP}${YEAR}${SEP}Q([1-4])$`, 'i'), granularity: 'quarter', fiscal: 1, year: 2, index: 3 },
+    // 1H25, H1 2025, H1 FY25
+    { regex: new RegExp(`^([12])H${SEP}${YEAR}$`, 'i'), granularity: 'half', index: 1, year: 2 },
+    { regex: new RegExp(`^H([12])${SEP}(FY)?${SEP}${YEAR}$`, 'i'), granularity: 'half', index: 1, fiscal: 2, year: 3 },
+    { regex: new RegExp(`^(FY)?${SEP}${YEAR}${SEP}H([12])$`, 'i'), granularity: 'half', fiscal: 1, year: 2, index: 3 },
+    // FY24, FY 2024, FY2023/24 (the fiscal year is named after its end year)
+    { regex: /^FY\s*'?(?:\d{2,4}\s*[/-]\s*)?(\d{4}|\d{2})$/i, granularity: 'year', fiscal: true, year: 1 },
+    // CY2023, 2023, 2023A, 2024E / 2024F (actuals, estimates, forecasts)
+    { regex: /^(?:CY\s*)?((?:19|20)\d{2})\s*[AEFB]?$/i, granularity: 'year', year: 1 },
+    // Jan-24, Jan 2024, January 2024, Jan24
+    { regex: new RegExp(`^(${MONTHS.join('|')})[a-z]*\\.?${SEP}${YEAR}$`, 'i'), granularity: 'month', month: 1, year: 2 },
+    // 2024-01, 2024/1
+    { regex: /^((?:19|20)\d{2})[-/](0?[1-9]|1[0-2])$/, granularity: 'month', year: 1, index: 2 },
+    // 01/2024, 1-2024
+    { regex: /^(0?[1-9]|1[0-2])[-/]((?:19|20)\d{2})$/, granularity: 'month', index: 1, year: 2 }
+];
+
+export class PeriodParser {
+    // Parse one header cell; numberFormat lets date-formatted serials be recognised
+    // Returns null when the header is not a period
+    parse(header, numberFormat = null) {
+        if (typeof header === 'number') {
+            if (this.isDateFormat(numberFormat)) {
+                return this.fromDate(this.serialToDate(header), 'month', String(header));
+            }
+            // Bare numeric years such as 2023
+            if (Number.isInteger(header) && header >= 1900 && header <= 2100) {
+                return this.createPeriod('year', header, 1, false, String(header));
+            }
+            return null;
+        }
+
+        if (header instanceof Date) {
+            return this.fromDate(header, 'month', header.toISOString());
+        }
+
+        const text = String(header || '').trim();
+        if (text === '' || text.length > 24) return null;
+
+        for (const pattern of PATTERNS) {
+            const match = text.match(pattern.regex);
+            if (!match) continue;
+
+            const year = this.normalizeYear(match[pattern.year]);
+            let index = 1;
+            if (pattern.month) {
+                index = MONTHS.indexOf(match[pattern.month].substring(0, 3).toLowerCase()) + 1;
+            } else if (pattern.index) {
+                index = parseInt(match[pattern.index], 10);
+            }
+            const fiscal = pattern.fiscal === true || Boolean(pattern.fiscal && match[pattern.fiscal]);
+            return this.createPeriod(pattern.granularity, year, index, fiscal, text);
+        }
+
+        return null;
+    }
+
+    // Parse a header row; returns [{ columnIndex, header, ...period }] in column order
+    parseHeaders(headers, numberFormats = null) {
+        const periods = [];
+        headers.forEach((header, columnIndex) => {
+            const period = this.parse(header, numberFormats ? numberFormats[columnIndex] : null);
+            if (period) periods.push(Object.assign({ columnIndex: columnIndex }, period));
+        });
+        return this.refineDateGranularity(periods);
+    }
+
+    // Date headers carry no granularity of their own; infer it from the spacing between columns
+    refineDateGranularity(periods) {
+        const dates = periods.filter(period => period.isDate);
+        if (dates.length < 2) return periods;
+
+        const gaps = [];
+        for (let i = 1; i < dates.length; i++) {
+            gaps.push(Math.abs(dates[i].date - dates[i - 1].date) / 86400000);
+        }
+        gaps.sort((a, b) => a - b);
+        const medianGap = gaps[Math.floor(gaps.length / 2)];
+
+        let granularity = 'month';
+        if (medianGap >= 300) granularity = 'year';
+        else if (medianGap >= 150) granularity = 'half';
+        else if (medianGap >= 75) granularity = 'quarter';
+
+        return periods.map(period => (period.isDate
+            ? Object.assign({ columnIndex: period.columnIndex }, this.fromDate(period.date, granularity, period.header))
+            : period));
+    }
+
+    // Summarise the time axis of a header row: dominant granularity, order and range
+    describeAxis(periods) {
+        if (periods.length === 0) return null;
+
+        const counts = {};
+        periods.forEach(period => {
+            counts[period.granularity] = (counts[period.granularity] || 0) + 1;
+        });
+        const granularity = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+        const axis = periods.filter(period => period.granularity === granularity);
+
+        let order = 'unordered';
+        const keys = axis.map(period => period.sortKey);
+        if (keys.every((key, i) => i === 0 || key > keys[i - 1])) order = 'ascending';
+        else if (keys.every((key, i) => i === 0 || key < keys[i - 1])) order = 'descending';
+
+        const sorted = axis.slice().sort((a, b) => a.sortKey - b.sortKey);
+        return {
+            granularity: granularity,
+            periodCount: axis.length,
+            first: sorted[0].label,
+            last: sorted[sorted.length - 1].label,
+            order: order,
+            fiscal: axis.some(period => period.fiscal),
+            // Periods of another granularity, e.g. an FY total next to quarterly columns
+            otherPeriods: periods.filter(period => period.granularity !== granularity).map(period => period.label)
+        };
+    }
+
+    createPeriod(granularity, year, index, fiscal, header) {
+        return {
+            header: header,
+            granularity: granularity,
+            year: year,
+            index: index,
+            fiscal: fiscal,
+            sortKey: year * 12 + (index - 1) * MONTHS_PER_PERIOD[granularity],
+            label: this.formatLabel(granularity, year, index, fiscal)
+        };
+    }
+
+    fromDate(date, granularity, header) {
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        const index = granularity === 'month' ? month
+            : granularity === 'quarter' ? Math.ceil(month / 3)
+                : granularity === 'half' ? Math.ceil(month / 6) : 1;
+        return Object.assign(this.createPeriod(granularity, year, index, false, header), { isDate: true, date: date });
+    }
+
+    formatLabel(granularity, year, index, fiscal) {
+        const yearText = fiscal ? `FY${String(year).slice(-2)}` : String(year);
+        switch (granularity) {
+            case 'month': return `${MONTH_NAMES[index - 1]} ${year}`;
+            case 'quarter': return `Q${index} ${yearText}`;
+            case 'half': return `H${index} ${yearText}`;
+            default: return yearText;
+        }
+    }
+
+    // Two-digit years: 00-49 -> 2000s, 50-99 -> 1900s
+    normalizeYear(text) {
+        const year = parseInt(text, 10);
+        if (text.length === 4) return year;
+        return year < 50 ? 2000 + year : 1900 + year;
+    }
+
+    isDateFormat(numberFormat) {
+        if (typeof numberFormat !== 'string' || numberFormat === 'General') return false;
+        // Strip quoted literals and colour/locale codes before looking for date tokens
+        const format = numberFormat.replace(/"[^"]*"|\[[^\]]*\]/g, '');
+        return /[dmy]/i.test(format) && !/^[#0,.%\s]+$/.test(format);
+    }
+
+    // Excel serial (1900 date system) to a UTC date
+    serialToDate(serial) {
+        return new Date(Date.UTC(1899, 11, 30) + Math.round(serial * 86400000));
+    }
+}
@@ -0,0 +1,423 @@
+// Import the per-workbook storage shared with ConversationStore
+import { DocumentSettings } from './documentSettings.js';
+
+// RedactionService - Masks personal data before cell values leave the workbook
+// Emails, phone numbers, national IDs, IBANs and card numbers are detected in any text, and every
+// value in a column the user marked as sensitive is masked. Each value gets a stable placeholder
+// such as [EMAIL_1] for the whole conversation; placeholders in the model's reply are swapped
+// back locally, so the real values never reach the provider.
+// Numbers are only scanned when they are integers of MIN_SCANNED_DIGITS or more (card numbers typed
+// without separators); an ID stored as a shorter or undelimited number, such as a 9-digit social security
+// number, is only masked when its column is marked sensitive
+class RedactionService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.storage = new DocumentSettings('excelChat.sensitiveColumns', 'excelChat.sensitiveColumns:', 'sensitive columns');
+        this.CONFIG = {
+            MIN_SUBSTRING_LENGTH: 4, // Shorter sensitive-column values are only masked as whole cells
+            MAX_LABEL_LENGTH: 24,
+            MIN_SCANNED_DIGITS: 9, // Integers this long are scanned as text by the detectors
+            VERSION: 1
+        };
+        // Checked in order; earlier matches are masked before later detectors run
+        this.DETECTORS = [
+            { type: 'EMAIL', regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g },
+            { type: 'IBAN', regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,3})?\b/g, validate: (match) => this.isValidIban(match) },
+            { type: 'CARD', regex: /\b\d(?:[ -]?\d){12,18}\b/g, validate: (match) => this.isValidCardNumber(match) },
+            // US social security numbers and UK national insurance numbers
+            { type: 'NATIONAL_ID', regex: /\b(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}\b/g },
+            { type: 'NATIONAL_ID', regex: /\b[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g },
+            { type: 'PHONE', regex: /(?<![\w.+])(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}(?:[ .-]\d{2,4}){1,4}\b/g, validate: (match) => this.isLikelyPhone(match) }
+        ];
+        this.PLACEHOLDER_PATTERN = /\[([A-Z][A-Z0-9_]*_\d+)\]/g;
+        this.state = { version: this.CONFIG.VERSION, sheets: {} };
+        this.reset();
+    }
+
+    // Forget every placeholder (a new conversation starts with a new numbering)
+    reset() {
+        this.placeholders = new Map(); // value key -> placeholder
+        this.originals = new Map(); // placeholder -> original value
+        this.counters = {};
+        this.columnValues = new Set(); // Text values seen in sensitive columns
+        this.columnPattern = null;
+    }
+
+    // Load the sensitive columns saved in this workbook
+    async load() {
+        try {
+            const saved = this.storage.read();
+            if (saved && saved.version === this.CONFIG.VERSION && saved.sheets) {
+                this.state = saved;
+            }
+        } catch (error) {
+            console.warn('Could not load sensitive columns:', error);
+        }
+        return this.state;
+    }
+
+    // Read the values of every sensitive column from the workbook, so they are masked wherever they
+    // appear - =ASK.AI() ranges arrive without addresses and can only be matched by value
+    async learnSensitiveValues() {
+        for (const sheetName of Object.keys(this.state.sheets)) {
+            const sensitive = this.getSensitiveColumns(sheetName);
+            try {
+                const columns = await this.dataService.readColumnValues(sheetName, Object.keys(sensitive));
+                Object.keys(columns).forEach(letter => {
+                    const label = this.labelFromHeader(sensitive[letter], letter);
+                    // Numbers are learned as text so IDs stored as numbers are masked in prompts too
+                    columns[letter].forEach(value => this.maskColumnValue(typeof value === 'number' ? String(value) : value, label));
+                });
+            } catch (error) {
+                console.warn(`Could not read sensitive columns on ${sheetName}:`, error);
+            }
+        }
+    }
+
+    // Sensitive columns of one sheet as { letter: header }
+    getSensitiveColumns(sheetName) {
+        return this.state.sheets[sheetName] || {};
+    }
+
+    // Number of sensitive columns across the workbook
+    countSensitiveColumns() {
+        return Object.values(this.state.sheets).reduce((count, columns) => count + Object.keys(columns).length, 0);
+    }
+
+    // Mark the given columns as sensitive, or unmark them when all of them already are
+    // columns: [{ letter, header }]; returns { sensitive, letters }
+    async toggleSensitiveColumns(sheetName, columns) {
+        const current = Object.assign({}, this.getSensitiveColumns(sheetName));
+        const sensitive = !columns.every(col => col.letter in current);
+
+        columns.forEach(col => {
+            if (sensitive) {
+                current[col.letter] = col.header;
+            } else {
+                delete current[col.letter];
+            }
+        });
+
+        if (Object.keys(current).length > 0) {
+            this.state.sheets[sheetName] = current;
+        } else {
+            delete this.state.sheets[sheetName];
+        }
+        await this.storage.write(this.state);
+        return { sensitive: sensitive, letters: columns.map(col => col.letter) };
+    }
+
+    // Redacted copy of worksheet data (see DataService.buildWorksheetData); the original is untouched
+    // Sensitive columns are masked by position, then every remaining text is scanned by the detectors
+    redactWorksheetData(data) {
+        if (!data) return data;
+        const masked = Object.assign({}, this.maskSensitiveColumns(data), { relatedSheets: undefined });
+        const redacted = this.redactValue(masked);
+
+        if (data.relatedSheets) {
+            redacted.relatedSheets = data.relatedSheets.map(sheet => this.redactWorksheetData(sheet));
+        }
+        redacted.redaction = this.describeRedactions(redacted);
+        return redacted;
+    }
+
+    // Mask every cell of the sheet's sensitive columns in the grids and the analysis built from them
+    maskSensitiveColumns(data) {
+        const sensitive = this.getSensitiveColumns(data.worksheetName);
+        const struct = data.structuredData;
+        if (Object.keys(sensitive).length === 0 || !data.rawData || data.rawData.length === 0) return data;
+
+        const letters = struct && struct.columnSchema && struct.columnSchema.length > 0
+            ? struct.columnSchema.map(col => col.column)
+            : this.getGridLetters(data.address, data.rawData[0].length);
+        const indexes = letters
+            .map((letter, index) => (letter in sensitive ? index : -1))
+            .filter(index => index !== -1);
+        if (indexes.length === 0) return data;
+
+        const headerRowIndex = struct ? struct.headerRowIndex : -1;
+        const labelFor = (index) => this.labelFromHeader(sensitive[letters[index]], letters[index]);
+        const maskGrid = (grid) => grid.map((row, rowIndex) => (rowIndex === headerRowIndex ? row : row.map((cell, index) =>
+            (indexes.includes(index) ? this.maskColumnValue(cell, labelFor(index)) : cell))));
+
+        const result = Object.assign({}, data, {
+            rawData: maskGrid(data.rawData),
+            rawFormulas: data.rawFormulas ? maskGrid(data.rawFormulas) : data.rawFormulas
+        });
+
+        if (struct) {
+            const maskRow = (row) => {
+                const copy = Object.assign({}, row);
+                delete copy.originalRow;
+                if (row.rowIndex === headerRowIndex) return copy;
+                if (indexes.includes(0)) copy.label = this.maskColumnValue(row.label, labelFor(0));
+                copy.values = row.values.map((value, i) => (indexes.includes(i + 1) ? this.maskColumnValue(value, labelFor(i + 1)) : value));
+                return copy;
+            };
+            const dataRows = (struct.dataRows || []).map(maskRow);
+            result.structuredData = Object.assign({}, struct, {
+                dataRows: dataRows,
+                keyRows: (struct.keyRows || []).map(maskRow),
+                totalRows: (struct.totalRows || []).map(maskRow),
+                rowLabels: dataRows.map(row => row.label),
+                timeSeries: (struct.timeSeries || []).map(series => Object.assign({}, series, {
+                    label: indexes.includes(0) ? this.maskColumnValue(series.label, labelFor(0)) : series.label,
+                    points: series.points.filter(point => !indexes.includes(point.columnIndex))
+                })),
+                columnSchema: (struct.columnSchema || []).map(col => (indexes.includes(col.index)
+                    ? Object.assign({}, col, { samples: col.samples.map(value => this.maskColumnValue(value, labelFor(col.index))), dateRange: null })
+                    : col))
+            });
+        }
+
+        // Sums and extremes of a sensitive column would leak its values
+        if (data.columnAggregates) {
+            const isSensitive = (col) => col.column in sensitive;
+            result.columnAggregates = Object.assign({}, data.columnAggregates, {
+                columns: (data.columnAggregates.columns || []).filter(col => !isSensitive(col)),
+                groups: (data.columnAggregates.groups || []).map(group => this.maskGroup(group, isSensitive,
+                    this.labelFromHeader(group.header, group.column)))
+            });
+        }
+
+        return result;
+    }
+
+    // Grouped totals: keys of a sensitive dimension are masked, sensitive measures are removed
+    maskGroup(group, isSensitive, label) {
+        const kept = group.measures.map((measure, index) => (isSensitive(measure) ? -1 : index)).filter(index => index !== -1);
+        return Object.assign({}, group, {
+            measures: kept.map(index => group.measures[index]),
+            rows: group.rows.map(row => ({
+                key: isSensitive(group) ? this.maskColumnValue(row.key, label) : row.key,
+                count: row.count,
+                sums: kept.map(index => row.sums[index])
+            }))
+        });
+    }
+
+    // Placeholder for a sensitive-column cell; its text is also masked wherever else it appears
+    maskColumnValue(value, label) {
+        if (value === null || value === undefined || value === '') return value;
+        const text = String(value).trim();
+        if (this.originals.has(text)) return value;
+        if (typeof value === 'string' && !this.columnValues.has(text)) {
+            this.columnValues.add(text);
+            this.columnPattern = null;
+        }
+        return this.placeholderFor(value, label);
+    }
+
+    // Tool results: grids read from a sheet with sensitive columns are masked by position,
+    // then all text is scanned like the prompt
+    redactToolResult(result) {
+        return this.redactValue(this.maskToolGrids(result));
+    }
+
+    maskToolGrids(value) {
+        if (Array.isArray(value)) return value.map(item => this.maskToolGrids(item));
+        if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = this.maskToolGrids(value[key]);
+        });
+        // readRange { address, values, formulas }, getTable { address, rows }, findLabel { rowAddress, rowValues }
+        if (copy.address && Array.isArray(copy.values)) {
+            copy.values = this.maskAddressedGrid(copy.address, copy.values);
+            if (Array.isArray(copy.formulas)) copy.formulas = this.maskAddressedGrid(copy.address, copy.formulas);
+        }
+        if (copy.address && Array.isArray(copy.rows)) {
+            copy.rows = this.maskAddressedGrid(copy.address, copy.rows);
+        }
+        if (copy.rowAddress && Array.isArray(copy.rowValues)) {
+            copy.rowValues = this.maskAddressedGrid(copy.rowAddress, [copy.rowValues])[0];
+        }
+        return copy;
+    }
+
+    // Mask the sensitive columns of a grid that starts at a sheet-qualified address
+    // Cells holding the column's header text are left as they are
+    maskAddressedGrid(address, grid) {
+        const { sheetName } = this.dataService.parseSheetAddress(address);
+        const sensitive = sheetName ? this.getSensitiveColumns(sheetName) : {};
+        if (Object.keys(sensitive).length === 0 || grid.length === 0) return grid;
+
+        const letters = this.getGridLetters(address, Math.max(...grid.map(row => row.length)));
+        return grid.map(row => row.map((cell, index) => {
+            const header = sensitive[letters[index]];
+            if (header === undefined || cell === header) return cell;
+            return this.maskColumnValue(cell, this.labelFromHeader(header, letters[index]));
+        }));
+    }
+
+    // Column letters of a contiguous grid starting at address
+    getGridLetters(address, width) {
+        const start = this.dataService.parseRangeStart(address).col;
+        return Array.from({ length: width }, (cell, index) => this.dataService.getColumnLetter(start + index));
+    }
+
+    // Deep copy with every string redacted; long integers are scanned as text, other numbers,
+    // booleans and dates are kept
+    redactValue(value) {
+        if (typeof value === 'string') return this.redactText(value);
+        if (typeof value === 'number') return this.redactNumber(value);
+        if (Array.isArray(value)) return value.map(item => this.redactValue(item));
+        if (!value || typeof value !== 'object' || value instanceof Date) return value;
+
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = this.redactValue(value[key]);
+        });
+        return copy;
+    }
+
+    // A long integer is masked when its digits match a detector or a sensitive-column value;
+    // the placeholder replaces the number, anything else is returned unchanged
+    redactNumber(value) {
+        if (!Number.isSafeInteger(value) || String(Math.abs(value)).length < this.CONFIG.MIN_SCANNED_DIGITS) return value;
+        const text = String(value);
+        const redacted = this.redactText(text);
+        return redacted === text ? value : redacted;
+    }
+
+    // Replace known sensitive-column values and detected personal data in free text
+    redactText(text) {
+        if (typeof text !== 'string' || text === '') return text;
+
+        const trimmed = text.trim();
+        if (this.columnValues.has(trimmed)) {
+            return this.placeholders.get(this.valueKey(trimmed));
+        }
+
+        let result = text;
+        const columnPattern = this.getColumnPattern();
+        if (columnPattern) {
+            result = result.replace(columnPattern, (match) => this.placeholders.get(this.valueKey(match)));
+        }
+
+        this.DETECTORS.forEach(detector => {
+            result = result.replace(detector.regex, (match) => {
+                if (detector.validate && !detector.validate(match)) return match;
+                return this.placeholderFor(match, detector.type);
+            });
+        });
+        return result;
+    }
+
+    // Swap placeholders in a reply back to the real values (unknown placeholders are left as written)
+    restoreText(text) {
+        if (typeof text !== 'string' || this.originals.size === 0) return text;
+        return text.replace(this.PLACEHOLDER_PATTERN, (match) => (this.originals.has(match) ? String(this.originals.get(match)) : match));
+    }
+
+    // Restore placeholders in tool-call arguments before they run against the workbook
+    restoreValue(value) {
+        if (typeof value === 'string') {
+            // A bare placeholder becomes the original value with its type (numbers stay numbers)
+            return this.originals.has(value.trim()) ? this.originals.get(value.trim()) : this.restoreText(value);
+        }
+        if (Array.isArray(value)) return value.map(item => this.restoreValue(item));
+        if (!value || typeof value !== 'object') return value;
+
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = this.restoreValue(value[key]);
+        });
+        return copy;
+    }
+
+    // Stable placeholder per value: the same email is [EMAIL_1] everywhere in the conversation
+    placeholderFor(value, type) {
+        const key = this.valueKey(value);
+        if (this.placeholders.has(key)) return this.placeholders.get(key);
+
+        this.counters[type] = (this.counters[type] || 0) + 1;
+        const placeholder = `[${type}_${this.counters[type]}]`;
+        this.placeholders.set(key, placeholder);
+        this.originals.set(placeholder, value);
+        return placeholder;
+    }
+
+    valueKey(value) {
+        return String(value).trim();
+    }
+
+    // One alternation of the longer sensitive-column texts, longest first, matched as whole words
+    getColumnPattern() {
+        if (this.columnPattern !== null) return this.columnPattern;
+
+        const values = Array.from(this.columnValues)
+            .filter(value => value.length >= this.CONFIG.MIN_SUBSTRING_LENGTH)
+            .sort((a, b) => b.length - a.length)
+            .map(value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        this.columnPattern = values.length > 0 ? new RegExp(`(?<![\\w])(?:${values.join('|')})(?![\\w])`, 'g') : false;
+        return this.columnPattern;
+    }
+
+    // Placeholder label from a column header, e.g. "Customer name" -> CUSTOMER_NAME
+    labelFromHeader(header, letter) {
+        const label = String(header || '').toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_+|_+$/g, '')
+            .substring(0, this.CONFIG.MAX_LABEL_LENGTH).replace(/_+$/, '');
+        if (label === '') return `COLUMN_${letter}`;
+        return /^[A-Z]/.test(label) ? label : `COLUMN_${label}`;
+    }
+
+    // Distinct placeholders in a redacted payload, by type (shown to the model and the user)
+    describeRedactions(redacted) {
+        const found = new Set(JSON.stringify(redacted).match(this.PLACEHOLDER_PATTERN) || []);
+        const types = {};
+        found.forEach(placeholder => {
+            const type = placeholder.slice(1, placeholder.lastIndexOf('_'));
+            types[type] = (types[type] || 0) + 1;
+        });
+        return { count: found.size, types: types };
+    }
+
+    // Mod-97 check (ISO 13616)
+    isValidIban(text) {
+        const iban = text.replace(/ /g, '');
+        if (iban.length < 15 || iban.length > 34) return false;
+        const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+        let remainder = 0;
+        for (const digit of digits) {
+            remainder = (remainder * 10 + Number(digit)) % 97;
+        }
+        return remainder === 1;
+    }
+
+    // Luhn check on 13-19 digits
+    isValidCardNumber(text) {
+        const digits = text.replace(/\D/g, '');
+        if (digits.length < 13 || digits.length > 19 || /^(\d)\1+$/.test(digits)) return false;
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    // Separated digit groups that read as a phone number rather than a date, a list of years
+    // or a number with thousands separators
+    isLikelyPhone(text) {
+        const digits = text.replace(/\D/g, '');
+        if (digits.length < 9 || digits.length > 15) return false;
+        if (/^\d{4}[-/.]\d{1,2}[-/.]\d{1,2}\b/.test(text) || /^\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4}\b/.test(text)) return false;
+
+        const international = /^[+(]/.test(text);
+        const groups = text.replace(/^\+\d{1,3}[ .-]?/, '').split(/[ .()-]+/).filter(group => group !== '');
+        if (!international && groups.length < 3) return false;
+        if (!international && groups.slice(1).every(group => group.length === 3)) return false;
+        return !groups.every(group => /^(19|20)\d{2}$/.test(group));
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.RedactionService = RedactionService;
+}
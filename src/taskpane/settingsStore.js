@@ -0,0 +1,127 @@
+/* global OfficeRuntime */
+
+// SettingsStore - The user's assistant settings (model, generation, history, context budget,
+// analysis size, trace depth, tone, default data scope and a system-prompt addendum), saved per user
+// in OfficeRuntime.storage (localStorage where it is unavailable). Values are clamped to safe ranges on load and save
+class SettingsStore {
+    constructor() {
+        this.CONFIG = {
+            STORAGE_KEY: 'excelChat.settings',
+            VERSION: 1,
+            MAX_ADDENDUM_LENGTH: 2000
+        };
+        this.DEFAULTS = {
+            model: '', // Empty = the provider's default model
+            temperature: 0.7,
+            maxOutputTokens: 3072,
+            maxHistory: 12,
+            maxContextTokens: 32000, // Budget the per-question prompt is packed into
+            maxAnalysisCells: 100000,
+            traceDepth: 3, // Precedent levels followed by "Explain cell"
+            verbosity: 'concise',
+            persona: 'financial',
+            defaultScope: 'active',
+            useSelection: true,
+            promptAddendum: ''
+        };
+        this.LIMITS = {
+            temperature: { min: 0, max: 2 },
+            maxOutputTokens: { min: 256, max: 8192 },
+            maxHistory: { min: 1, max: 50 },
+            maxContextTokens: { min: 4000, max: 200000 },
+            maxAnalysisCells: { min: 10000, max: 500000 },
+            traceDepth: { min: 1, max: 6 }
+        };
+        this.CHOICES = {
+            verbosity: ['concise', 'balanced', 'detailed'],
+            persona: ['financial', 'analyst', 'tutor'],
+            defaultScope: ['active', 'auto', 'all']
+        };
+        this.settings = Object.assign({}, this.DEFAULTS);
+    }
+
+    // Load the saved settings (defaults for anything missing)
+    async load() {
+        try {
+            const stored = await this.readStored();
+            const saved = stored ? JSON.parse(stored) : null;
+            if (saved && saved.version === this.CONFIG.VERSION) {
+                this.settings = this.normalize(saved.settings);
+            }
+        } catch (error) {
+            console.warn('Could not load settings:', error);
+        }
+        return this.getSettings();
+    }
+
+    getSettings() {
+        return Object.assign({}, this.settings);
+    }
+
+    // Validate and save; returns the settings as stored
+    async save(settings) {
+        const normalized = this.normalize(settings);
+        const value = JSON.stringify({ version: this.CONFIG.VERSION, settings: normalized });
+
+        try {
+            const storage = this.getStorage();
+            if (storage) {
+                await storage.setItem(this.CONFIG.STORAGE_KEY, value);
+            } else {
+                window.localStorage.setItem(this.CONFIG.STORAGE_KEY, value);
+            }
+        } catch (error) {
+            throw new Error('Failed to save settings: ' + error.message);
+        }
+
+        this.settings = normalized;
+        return this.getSettings();
+    }
+
+    async reset() {
+        return this.save(this.DEFAULTS);
+    }
+
+    // Fill in defaults, clamp numbers and reject unknown choices
+    normalize(settings) {
+        const input = settings || {};
+        const result = Object.assign({}, this.DEFAULTS);
+
+        result.model = typeof input.model === 'string' ? input.model.trim() : this.DEFAULTS.model;
+
+        Object.keys(this.LIMITS).forEach(key => {
+            const value = Number(input[key]);
+            if (input[key] === '' || input[key] === null || input[key] === undefined || isNaN(value)) return;
+            const limit = this.LIMITS[key];
+            const clamped = Math.min(limit.max, Math.max(limit.min, value));
+            result[key] = key === 'temperature' ? Math.round(clamped * 100) / 100 : Math.round(clamped);
+        });
+
+        Object.keys(this.CHOICES).forEach(key => {
+            if (this.CHOICES[key].includes(input[key])) result[key] = input[key];
+        });
+
+        if (typeof input.useSelection === 'boolean') result.useSelection = input.useSelection;
+        if (typeof input.promptAddendum === 'string') {
+            result.promptAddendum = input.promptAddendum.trim().substring(0, this.CONFIG.MAX_ADDENDUM_LENGTH);
+        }
+        return result;
+    }
+
+    async readStored() {
+        const storage = this.getStorage();
+        return storage
+            ? storage.getItem(this.CONFIG.STORAGE_KEY)
+            : window.localStorage.getItem(this.CONFIG.STORAGE_KEY);
+    }
+
+    getStorage() {
+        if (typeof OfficeRuntime === 'undefined' || !OfficeRuntime.storage) return null;
+        return OfficeRuntime.storage;
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.SettingsStore = SettingsStore;
+}
@@ -1,9 +1,24 @@
-/* global console, Excel, Office */
+/* global console, Office */
 
 // Import the services for webpack bundling
 import './dataService.js';
 import './aiService.js';
 import './uiService.js';
+import './workbookEditService.js';
+import './excelTools.js';
+import './chartService.js';
+import './conversationStore.js';
+import './conversationExportService.js';
+import './formulaTraceService.js';
+import './redactionService.js';
+import './credentialStore.js';
+import './answerVerifier.js';
+import './settingsStore.js';
+import { AssistantError, AuthError, ExcelApiError } from './assistantErrors.js';
+
+// =ASK.AI() custom function and ribbon commands share this runtime with the task pane
+import { resetAIService as resetCellAIService, reloadSensitiveColumns as reloadCellSensitiveColumns } from '../functions/functions.js';
+import { setCommandHandler } from '../commands/commands.js';
 
 // Enhanced Excel Data Assistant - Main Orchestrator
 // Uses DataService, AIService, and UIService for clean separation of concerns
@@ -12,6 +27,20 @@ import './uiService.js';
 let dataService;
 let aiService;
 let uiService;
+let editService;
+let chartService;
+let conversationStore;
+let exportService;
+let traceService;
+let redactionService;
+let settingsStore;
+let answerVerifier;
+
+// Messages added since the thread was last saved
+let unsavedMessages = [];
+
+// Controller for the in-flight AI request (used by the Stop button)
+let activeRequest = null;
 
 // Initialize Office Add-in
 Office.onReady((info) => {
@@ -28,19 +57,54 @@ function initializeServices() {
         dataService = new window.DataService();
         aiService = new window.AIService();
         uiService = new window.UIService();
+        editService = new window.WorkbookEditService(dataService);
+        chartService = new window.ChartService(dataService);
+        conversationStore = new window.ConversationStore();
+        exportService = new window.ConversationExportService();
+        traceService = new window.FormulaTraceService(dataService);
+        redactionService = new window.RedactionService(dataService);
+        settingsStore = new window.SettingsStore();
+        answerVerifier = new window.AnswerVerifier(dataService);
         
-        // Initialize AI service
-        aiService.initializeGemini();
+        // AI service: the user's own API key, data tools and PII redaction (the provider starts in startAIService)
+        aiService.setCredentialStore(new window.CredentialStore());
+        aiService.setToolkit(new window.ExcelToolkit(dataService));
+        aiService.setRedactor(redactionService);
         
         // Set up UI callbacks
         uiService.setOnSendMessageCallback(handleSendMessage);
         uiService.setOnClearConversationCallback(handleClearConversation);
         uiService.setOnDataSourceToggleCallback(() => uiService.handleDataSourceToggle());
+        uiService.setOnStopCallback(handleStopGeneration);
+        uiService.setOnExportCallback(handleExportConversation);
+        uiService.setOnExplainCellCallback(handleExplainCell);
+        uiService.setOnSheetScopeOpenCallback(refreshSheetScopeOptions);
+        uiService.setOnMarkSensitiveCallback(handleMarkSensitiveColumns);
+        uiService.setOnSaveApiKeyCallback(handleSaveApiKey);
+        uiService.setOnRemoveApiKeyCallback(handleRemoveApiKey);
+        uiService.setOnSaveSettingsCallback(handleSaveSettings);
+        uiService.setOnResetSettingsCallback(() => handleSaveSettings(settingsStore.DEFAULTS));
         
         // Initialize UI
         uiService.setupEventListeners();
         uiService.showWelcomeMessage();
-        uiService.updateStatus('Ready to analyze your data');
+        uiService.updateStatus('Loading settings...');
+        
+        refreshSheetScopeOptions();
+        
+        // Columns this workbook marks as sensitive
+        redactionService.load()
+            .then(() => uiService.setSensitiveColumnCount(redactionService.countSensitiveColumns()))
+            .catch(error => console.warn('Could not load sensitive columns:', error));
+        
+        // Start the provider with the saved key (or ask for one), then bring back the last conversation
+        startAIService().catch(error => {
+            console.error('Error starting AI service:', error);
+            uiService.showError(error);
+        });
+        
+        // Ribbon and context-menu commands
+        setCommandHandler(handlePresetCommand);
         
     } catch (error) {
         console.error('Error initializing services:', error);
@@ -50,11 +114,94 @@ function initializeServices() {
     }
 }
 
+// Start the provider with the user's saved API key and settings; without a key the onboarding screen asks for one
+async function startAIService() {
+    applyAssistantSettings(await settingsStore.load());
+    await aiService.loadCredentials();
+    uiService.showApiKeyStatus(aiService.getApiKeyStatus());
+    
+    if (aiService.needsApiKey()) {
+        uiService.setControlsEnabled(false);
+        uiService.showOnboarding(aiService.getApiKeyStatus());
+        uiService.updateStatus('Add your API key to get started');
+        return;
+    }
+    
+    aiService.initializeProvider();
+    uiService.setControlsEnabled(true);
+    uiService.showWelcomeMessage();
+    uiService.updateStatus('Ready to analyze your data');
+    
+    // Bring back this workbook's last conversation
+    await restoreSavedConversation().catch(error => console.warn('Could not restore conversation:', error));
+}
+
+// Save a key from the settings panel or the onboarding screen and start using it
+async function handleSaveApiKey(apiKey) {
+    const wasWaiting = !aiService.provider;
+    try {
+        await aiService.saveApiKey(apiKey);
+    } catch (error) {
+        console.error('Error saving API key:', error);
+        throw new Error(error.message.replace(/^Failed to initialize AI service\. /, ''));
+    }
+    resetCellAIService();
+    uiService.showApiKeyStatus(aiService.getApiKeyStatus());
+    
+    if (wasWaiting) {
+        await startAIService();
+    } else {
+        uiService.updateStatus('API key updated • Ready');
+    }
+}
+
+// Forget the saved key; the onboarding screen returns when the provider cannot run without one
+async function handleRemoveApiKey() {
+    await aiService.removeApiKey();
+    resetCellAIService();
+    uiService.showApiKeyStatus(aiService.getApiKeyStatus());
+    
+    if (aiService.needsApiKey()) {
+        handleStopGeneration();
+        uiService.toggleSettingsPanel(false);
+        uiService.setControlsEnabled(false);
+        uiService.showOnboarding(aiService.getApiKeyStatus());
+        uiService.updateStatus('API key removed - add a key to continue');
+    } else {
+        uiService.updateStatus('API key removed • Ready');
+    }
+}
+
+// Save the assistant settings and rebuild the chat session with them (the conversation is kept)
+async function handleSaveSettings(settings) {
+    const saved = await settingsStore.save(settings);
+    handleStopGeneration();
+    applyAssistantSettings(saved);
+    resetCellAIService();
+    uiService.updateStatus('Settings saved • Ready');
+    return saved;
+}
+
+// Push settings to the services and apply the default data scope
+function applyAssistantSettings(settings) {
+    aiService.applySettings(settings);
+    dataService.setMaxAnalysisCells(settings.maxAnalysisCells);
+    uiService.showAssistantSettings(settings, aiService.getDefaultModel());
+    uiService.setUseSelectionState(settings.useSelection);
+    uiService.setSheetScope(settings.defaultScope);
+}
+
 // Main message handling orchestration
 async function handleSendMessage() {
     const message = uiService.getUserInput();
     if (!message) return;
     
+    // "Explain this cell" questions are answered from the selected cell's precedent trace
+    if (traceService.isExplainRequest(message)) {
+        await handleExplainCell();
+        return;
+    }
+    
     // Clear input and disable controls
     uiService.clearUserInput();
     uiService.setControlsEnabled(false);
@@ -63,61 +210,376 @@ async function handleSendMessage() {
     uiService.addChatMessage(message, true);
     
     // Add to conversation history
-    aiService.addToConversationHistory('user', message);
+    addToHistory('user', message);
     
     // Show loading state
     uiService.showLoading(true);
     uiService.updateStatus('Reading Excel data...');
     
+    let streamingMessage = null;
+    
     try {
-        // Read Excel data
-        const shouldUseSelection = uiService.getUseSelectionState();
-        const worksheetData = await dataService.readCurrentWorksheetDataEnhanced(shouldUseSelection);
+        const worksheetData = await readQuestionData(message);
         
-        // Process with AI
+        // Stream the AI answer into the chat instead of blocking behind the overlay
+        uiService.showLoading(false);
         uiService.updateStatus('Analyzing data...');
-        const response = await aiService.askGeminiWithContext(message, worksheetData);
+        streamingMessage = uiService.startStreamingMessage();
+        const result = await streamReply(streamingMessage,
+            (options) => aiService.askGeminiWithContext(message, worksheetData, options));
         
-        // Add AI response to conversation history
-        aiService.addToConversationHistory('assistant', response);
+        // Separate any proposed workbook edits from the text shown in the chat
+        const { displayText, edits } = result.isPartial
+            ? { displayText: editService.stripEditBlocks(result.text), edits: [] }
+            : editService.extractEditProposals(result.text);
+        
+        // Add AI response to conversation history (stopped answers are kept as partial)
+        // A detached bubble means the conversation was cleared while streaming
+        if (result.text && streamingMessage?.isConnected) {
+            addToHistory('assistant', result.text, result.isPartial, worksheetData.address);
+        }
+        
+        // List the local formula audit with clickable addresses when the user asked for one
+        const audit = worksheetData.structuredData?.formulaAnalysis?.audit;
         
         // Prepare enhanced data info for UI indicators
         const dataInfo = {
             isSampled: worksheetData.isSampled || false,
             hasFormulas: worksheetData.structuredData?.formulaAnalysis?.hasFormulas || false,
-            multiSheet: worksheetData.workbookData?.totalSheets > 1 || false,
+            multiSheet: worksheetData.relatedSheets?.length > 0 || false,
             hasObjects: (worksheetData.dataMetadata?.tables?.length > 0) || 
                        (worksheetData.dataMetadata?.pivotTables?.length > 0) || 
                        (worksheetData.dataMetadata?.charts?.length > 0) || false
         };
         
-        // Display response with enhanced indicators
+        // Finalise the streamed response with enhanced indicators
         const conversationLength = aiService.getConversationLength();
-        uiService.addChatMessage(response, false, false, conversationLength, dataInfo);
+        uiService.finishStreamingMessage(streamingMessage, displayText, conversationLength, result.isPartial);
+        
+        // Check the figures the answer quotes against the data it was given
+        const verification = result.isPartial ? null : verifyAnswerFigures(displayText, worksheetData, result.toolCalls);
+        if (verification) {
+            uiService.showTrustBadge(streamingMessage, verification, navigateToAddress);
+        }
+        
+        if (audit && dataService.isAuditRequest(message)) {
+            uiService.showAuditFindings(audit, navigateToAddress);
+        }
+        
+        if (edits.length > 0) {
+            await showEditProposal(edits);
+        }
+        
+        if (!result.isPartial && chartService.isChartRequest(message)) {
+            showChartProposal(message, worksheetData);
+        }
         
         // Clean status message
-        let statusMessage = `Analysis complete (${conversationLength} exchanges)`;
+        let statusMessage = result.isPartial ? 'Response stopped' : `Analysis complete (${conversationLength} exchanges)`;
         if (dataInfo.isSampled) statusMessage += ' • Sampled';
+        if (dataInfo.multiSheet) statusMessage += ` • ${worksheetData.sheetScope.sheets.length} sheets`;
+        if (audit?.issueCount > 0) statusMessage += ` • ${audit.issueCount} formula issue(s)`;
+        if (aiService.lastContextUsage?.redacted > 0) statusMessage += ` • ${aiService.lastContextUsage.redacted} values masked`;
+        if (verification?.mismatched > 0) statusMessage += ` • ${verification.mismatched} figure(s) differ from the sheet`;
         statusMessage += ' • Ready';
         
         uiService.updateStatus(statusMessage);
         
     } catch (error) {
         console.error('Error processing message:', error);
-        uiService.addChatMessage('Sorry, I encountered an error processing your request. Please try again.', false, true);
-        uiService.updateStatus('Error occurred - please try again');
+        uiService.removeMessage(streamingMessage);
+        showRequestError(error);
     } finally {
+        // Persist the thread so it survives task pane reloads
+        await saveConversation();
+        
         // Re-enable controls
+        activeRequest = null;
+        uiService.setStreaming(false);
+        uiService.showLoading(false);
+        uiService.setControlsEnabled(true);
+        uiService.focusUserInput();
+    }
+}
+
+// Read the data for a question - a table named in the question takes priority over the selection
+// Excel failures are thrown as ExcelApiError so the user is told what to fix
+async function readQuestionData(message) {
+    try {
+        const mentionedTable = await dataService.findMentionedTable(message);
+        if (mentionedTable) {
+            uiService.updateStatus(`Reading table ${mentionedTable}...`);
+            return await dataService.readTableData(mentionedTable);
+        }
+        
+        // Sheet scope picker: this sheet, relevant sheets, all sheets or one named sheet
+        const sheetScope = uiService.getSheetScope();
+        if (sheetScope !== 'active') uiService.updateStatus('Reading sheets...');
+        return await dataService.readSheetScope(message, sheetScope, uiService.getUseSelectionState());
+    } catch (error) {
+        throw ExcelApiError.from(error);
+    }
+}
+
+// Verify the answer's figures; a verifier failure only costs the badge, never the answer
+function verifyAnswerFigures(answerText, worksheetData, toolCalls) {
+    try {
+        return answerVerifier.verifyAnswer(answerText, worksheetData, toolCalls);
+    } catch (error) {
+        console.warn('Could not verify the figures in the answer:', error);
+        return null;
+    }
+}
+
+// Report a failed request with what the user can do about it; a rejected key opens Settings
+function showRequestError(error) {
+    const typedError = error instanceof AssistantError
+        ? error
+        : new AssistantError('Sorry, I encountered an error processing your request: ' + error.message, { cause: error });
+    
+    uiService.showError(typedError);
+    if (typedError instanceof AuthError) {
+        uiService.toggleSettingsPanel(true);
+    }
+}
+
+// Keep the sheet scope picker's sheet list in step with the workbook
+async function refreshSheetScopeOptions() {
+    try {
+        uiService.setSheetScopeOptions(await dataService.getSheetNames());
+    } catch (error) {
+        console.warn('Could not list worksheets:', error);
+    }
+}
+
+// Mark the selected columns as sensitive (or unmark them); their values are masked before any data is sent
+async function handleMarkSensitiveColumns() {
+    try {
+        const selection = await dataService.getSelectedColumns();
+        const result = await redactionService.toggleSensitiveColumns(selection.sheetName, selection.columns);
+        const columns = `${result.letters.length > 1 ? 'Columns' : 'Column'} ${result.letters.join(', ')} on ${selection.sheetName}`;
+        
+        uiService.setSensitiveColumnCount(redactionService.countSensitiveColumns());
+        reloadCellSensitiveColumns().catch(error => console.warn('Could not reload sensitive columns for =ASK.AI():', error));
+        uiService.updateStatus(result.sensitive
+            ? `${columns} will be masked before data is sent • Ready`
+            : `${columns} no longer masked • Ready`);
+    } catch (error) {
+        console.error('Error marking sensitive columns:', error);
+        uiService.showError(error);
+    }
+}
+
+// Stream an AI reply into a chat bubble; ask(options) makes the request with the stream callbacks
+async function streamReply(streamingMessage, ask) {
+    activeRequest = new AbortController();
+    uiService.setStreaming(true);
+    
+    return ask({
+        signal: activeRequest.signal,
+        onToolCall: (call) => uiService.updateStatus(`${aiService.toolkit.describeCall(call)}...`),
+        onContextPacked: (usage) => {
+            uiService.updateContextMeter(usage);
+            if (usage.shrunk) uiService.updateStatus('Prompt too long for the model - retrying with less data...');
+        },
+        onRetry: (retry) => uiService.showRetryCountdown(streamingMessage, retry),
+        onChunk: (text) => uiService.updateStreamingMessage(streamingMessage, editService.stripEditBlocks(text))
+    });
+}
+
+// "Explain this cell": trace the selected cell's precedents, show the tree and explain it step by step
+async function handleExplainCell() {
+    const question = uiService.getUserInput();
+    
+    uiService.clearUserInput();
+    uiService.setControlsEnabled(false);
+    uiService.showLoading(true);
+    uiService.updateStatus('Tracing precedents...');
+    
+    let streamingMessage = null;
+    
+    try {
+        const trace = await traceService.traceSelectedCell(settingsStore.getSettings().traceDepth).catch(error => {
+            throw ExcelApiError.from(error);
+        });
+        const userText = question || `Explain ${trace.root.address}`;
+        
+        uiService.addChatMessage(userText, true);
+        addToHistory('user', userText);
+        uiService.showPrecedentTree(
+            trace,
+            (node) => aiService.formatTraceValue(node),
+            navigateToAddress
+        );
+        
+        uiService.showLoading(false);
+        uiService.updateStatus(`Explaining ${trace.root.address}...`);
+        streamingMessage = uiService.startStreamingMessage();
+        const result = await streamReply(streamingMessage,
+            (options) => aiService.explainFormula(trace, question, options));
+        
+        const displayText = editService.stripEditBlocks(result.text);
+        if (result.text && streamingMessage?.isConnected) {
+            addToHistory('assistant', result.text, result.isPartial, trace.root.address);
+        }
+        
+        uiService.finishStreamingMessage(streamingMessage, displayText, aiService.getConversationLength(), result.isPartial);
+        uiService.updateStatus(result.isPartial ? 'Response stopped • Ready' : `Explained ${trace.root.address} • Ready`);
+        
+    } catch (error) {
+        console.error('Error explaining cell:', error);
+        uiService.removeMessage(streamingMessage);
+        showRequestError(error);
+    } finally {
+        await saveConversation();
+        
+        activeRequest = null;
+        uiService.setStreaming(false);
         uiService.showLoading(false);
         uiService.setControlsEnabled(true);
         uiService.focusUserInput();
     }
 }
 
+// Select a cell clicked in the chat (precedent trees, audit findings)
+function navigateToAddress(address) {
+    dataService.selectRange(address).catch(error => uiService.showError(ExcelApiError.from(error)));
+}
+
+// Restore the last saved thread for this workbook into the chat and the AI session
+async function restoreSavedConversation() {
+    await conversationStore.load();
+    const thread = conversationStore.getActiveThread();
+    if (!thread || thread.messages.length === 0) return;
+    
+    // The AI session only gets the recent window; the chat shows the whole thread
+    aiService.restoreConversation(thread.messages);
+    uiService.restoreConversation(getDisplayHistory(thread.messages));
+    uiService.updateStatus(`Restored previous conversation (${Math.floor(thread.messages.length / 2)} exchanges) • Ready`);
+}
+
+// Add a message to the AI history and queue it for the saved thread
+function addToHistory(role, content, isPartial = false, dataRange = null) {
+    unsavedMessages.push(aiService.addToConversationHistory(role, content, isPartial, dataRange));
+}
+
+// Messages as shown in the chat (edit proposal blocks removed)
+function getDisplayHistory(messages) {
+    return messages.map(msg => ({
+        ...msg,
+        content: msg.role === 'assistant' ? editService.stripEditBlocks(msg.content) : msg.content
+    }));
+}
+
+// Export the whole saved thread (not just the AI's recent window) to a "Chat Log" sheet or a Markdown/HTML download
+async function handleExportConversation(target) {
+    await saveConversation();
+    const thread = conversationStore.getActiveThread();
+    const messages = getDisplayHistory(thread ? thread.messages : []);
+    if (messages.length === 0) {
+        uiService.updateStatus('Nothing to export yet • Ready');
+        return;
+    }
+    
+    try {
+        if (target === 'sheet') {
+            uiService.updateStatus('Writing chat log...');
+            const result = await exportService.exportToSheet(messages);
+            uiService.updateStatus(`Exported ${result.rowsWritten} messages to "${result.sheetName}" • Ready`);
+        } else {
+            const result = exportService.exportToFile(messages, target);
+            uiService.updateStatus(`Downloaded ${result.fileName} • Ready`);
+        }
+    } catch (error) {
+        console.error('Error exporting conversation:', error);
+        uiService.showError(error);
+    }
+}
+
+// Append new messages to the saved thread; failures only cost persistence, never the answer
+async function saveConversation() {
+    const messages = unsavedMessages;
+    unsavedMessages = [];
+    try {
+        await conversationStore.appendMessages(messages);
+    } catch (error) {
+        console.warn('Could not save conversation:', error);
+    }
+}
+
+// Preview proposed edits and apply them only when the user confirms
+async function showEditProposal(edits) {
+    try {
+        const preview = await editService.previewEdits(edits);
+        uiService.showEditProposalCard(
+            preview,
+            async () => {
+                const result = await editService.applyEdits(preview);
+                uiService.updateStatus(`Applied ${result.cellsWritten} cell(s) to the workbook • Ready`);
+                dataService.clearCurrentData();
+                return result;
+            },
+            () => uiService.updateStatus('Proposed edits discarded • Ready')
+        );
+    } catch (error) {
+        console.error('Error previewing edits:', error);
+        uiService.showError(ExcelApiError.from(error));
+    }
+}
+
+// Offer a native chart built from the detected rows and series
+function showChartProposal(message, worksheetData) {
+    const spec = chartService.buildChartSpec(message, worksheetData);
+    if (!spec) {
+        console.log('No chartable series found for:', message);
+        return;
+    }
+    
+    uiService.showChartProposalCard(
+        spec,
+        chartService.CHART_TYPES,
+        async (chartType) => {
+            const result = await chartService.insertChart(spec, chartType);
+            uiService.updateStatus(`Inserted ${result.name} • Ready`);
+            return result;
+        },
+        () => uiService.updateStatus('Chart discarded • Ready')
+    );
+}
+
+// Run a ribbon / context-menu command: set its data scope and prompt, then send
+function handlePresetCommand(command) {
+    uiService.setUseSelectionState(command.useSelection);
+    uiService.setUserInput(command.prompt);
+    
+    if (aiService.needsApiKey()) {
+        uiService.updateStatus('Add your API key first, then press Enter');
+        return;
+    }
+    if (!uiService.areControlsEnabled()) {
+        uiService.updateStatus('Finish or stop the current answer, then press Enter');
+        return;
+    }
+    handleSendMessage();
+}
+
+// Cancel the answer that is currently streaming
+function handleStopGeneration() {
+    if (activeRequest) {
+        activeRequest.abort();
+        uiService.updateStatus('Stopping...');
+    }
+}
+
 // Handle clear conversation
 function handleClearConversation() {
-    // Clear AI conversation
+    // Stop any answer still streaming
+    handleStopGeneration();
+    
+    // Clear AI conversation and start a new saved thread
     aiService.clearConversation();
+    unsavedMessages = [];
+    conversationStore.startNewThread().catch(error => console.warn('Could not start a new thread:', error));
     
     // Clear UI
     uiService.clearChatMessages();
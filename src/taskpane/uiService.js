@@ -8,6 +8,15 @@ class UIService {
         this.onSendMessageCallback = null;
         this.onClearConversationCallback = null;
         this.onDataSourceToggleCallback = null;
+        this.onStopCallback = null;
+        this.onExportCallback = null;
+        this.onExplainCellCallback = null;
+        this.onSheetScopeOpenCallback = null;
+        this.onMarkSensitiveCallback = null;
+        this.onSaveApiKeyCallback = null;
+        this.onRemoveApiKeyCallback = null;
+        this.onSaveSettingsCallback = null;
+        this.onResetSettingsCallback = null;
     }
 
     // Set up markdown options
@@ -39,7 +48,30 @@ class UIService {
             userInput.focus();
         }
         
+        const stopBtn = document.getElementById('stop-btn');
+        if (stopBtn) {
+            stopBtn.addEventListener('click', () => {
+                if (this.onStopCallback) this.onStopCallback();
+            });
+        }
+        
+        const explainBtn = document.getElementById('explain-cell-btn');
+        if (explainBtn) {
+            explainBtn.addEventListener('click', () => {
+                if (this.onExplainCellCallback) this.onExplainCellCallback();
+            });
+        }
+        
+        const sensitiveBtn = document.getElementById('sensitive-columns-btn');
+        if (sensitiveBtn) {
+            sensitiveBtn.addEventListener('click', () => {
+                if (this.onMarkSensitiveCallback) this.onMarkSensitiveCallback();
+            });
+        }
+        
+        this.setupSettingsPanel();
         this.addClearConversationButton();
+        this.addExportControls();
         this.setupDataSourceToggle();
     }
 
@@ -56,6 +88,290 @@ class UIService {
         this.onDataSourceToggleCallback = callback;
     }
 
+    setOnStopCallback(callback) {
+        this.onStopCallback = callback;
+    }
+
+    setOnExportCallback(callback) {
+        this.onExportCallback = callback;
+    }
+
+    setOnExplainCellCallback(callback) {
+        this.onExplainCellCallback = callback;
+    }
+
+    // Called before the sheet scope menu opens, to refresh the sheet names
+    setOnSheetScopeOpenCallback(callback) {
+        this.onSheetScopeOpenCallback = callback;
+    }
+
+    setOnMarkSensitiveCallback(callback) {
+        this.onMarkSensitiveCallback = callback;
+    }
+
+    // callback(apiKey) saves the key and starts the provider; it throws with a message to show
+    setOnSaveApiKeyCallback(callback) {
+        this.onSaveApiKeyCallback = callback;
+    }
+
+    setOnRemoveApiKeyCallback(callback) {
+        this.onRemoveApiKeyCallback = callback;
+    }
+
+    // callback(settings) saves the assistant settings and returns them as stored; it throws with a message to show
+    setOnSaveSettingsCallback(callback) {
+        this.onSaveSettingsCallback = callback;
+    }
+
+    setOnResetSettingsCallback(callback) {
+        this.onResetSettingsCallback = callback;
+    }
+
+    // Settings button and panel (API key and assistant settings)
+    setupSettingsPanel() {
+        const settingsBtn = document.getElementById('settings-btn');
+        const closeBtn = document.getElementById('settings-close');
+        const saveBtn = document.getElementById('api-key-save');
+        const removeBtn = document.getElementById('api-key-remove');
+        const keyInput = document.getElementById('api-key-input');
+        const keyStatus = document.getElementById('api-key-status');
+        
+        if (settingsBtn) {
+            settingsBtn.addEventListener('click', () => {
+                const panel = document.getElementById('settings-panel');
+                this.toggleSettingsPanel(panel ? panel.hidden : false);
+            });
+        }
+        if (closeBtn) {
+            closeBtn.addEventListener('click', () => this.toggleSettingsPanel(false));
+        }
+        if (saveBtn && keyInput) {
+            const save = () => this.submitApiKey(keyInput, saveBtn, keyStatus);
+            saveBtn.addEventListener('click', save);
+            keyInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    save();
+                }
+            });
+        }
+        if (removeBtn) {
+            removeBtn.addEventListener('click', async () => {
+                if (!this.onRemoveApiKeyCallback) return;
+                try {
+                    await this.onRemoveApiKeyCallback();
+                } catch (error) {
+                    this.setSettingsMessage(keyStatus, error.message, true);
+                }
+            });
+        }
+        
+        const settingsSaveBtn = document.getElementById('assistant-settings-save');
+        const settingsResetBtn = document.getElementById('assistant-settings-reset');
+        if (settingsSaveBtn) {
+            settingsSaveBtn.addEventListener('click', () => {
+                this.submitAssistantSettings(settingsSaveBtn, () => this.onSaveSettingsCallback(this.readAssistantSettings()));
+            });
+        }
+        if (settingsResetBtn) {
+            settingsResetBtn.addEventListener('click', () => {
+                this.submitAssistantSettings(settingsSaveBtn, () => this.onResetSettingsCallback());
+            });
+        }
+    }
+
+    // Run a save or reset callback and show the stored settings, or the error
+    async submitAssistantSettings(saveBtn, action) {
+        const statusEl = document.getElementById('assistant-settings-status');
+        if (!this.onSaveSettingsCallback || !this.onResetSettingsCallback) return;
+        
+        if (saveBtn) saveBtn.disabled = true;
+        try {
+            const saved = await action();
+            this.showAssistantSettings(saved);
+            this.setSettingsMessage(statusEl, 'Settings saved', false);
+        } catch (error) {
+            this.setSettingsMessage(statusEl, error.message, true);
+        } finally {
+            if (saveBtn) saveBtn.disabled = false;
+        }
+    }
+
+    // Fill the assistant settings form (see SettingsStore); defaultModel is shown when no model is set
+    showAssistantSettings(settings, defaultModel) {
+        const setValue = (id, value) => {
+            const element = document.getElementById(id);
+            if (element) element.value = value;
+        };
+        
+        setValue('setting-model', settings.model);
+        setValue('setting-temperature', settings.temperature);
+        setValue('setting-max-output-tokens', settings.maxOutputTokens);
+        setValue('setting-max-history', settings.maxHistory);
+        setValue('setting-max-context-tokens', settings.maxContextTokens);
+        setValue('setting-max-analysis-cells', settings.maxAnalysisCells);
+        setValue('setting-trace-depth', settings.traceDepth);
+        setValue('setting-verbosity', settings.verbosity);
+        setValue('setting-persona', settings.persona);
+        setValue('setting-default-scope', settings.defaultScope);
+        setValue('setting-prompt-addendum', settings.promptAddendum);
+        
+        const useSelection = document.getElementById('setting-use-selection');
+        if (useSelection) useSelection.checked = settings.useSelection;
+        
+        const modelInput = document.getElementById('setting-model');
+        if (modelInput && defaultModel) modelInput.placeholder = `Default (${defaultModel})`;
+    }
+
+    // Current values of the assistant settings form; SettingsStore validates them
+    readAssistantSettings() {
+        const getValue = (id) => {
+            const element = document.getElementById(id);
+            return element ? element.value : undefined;
+        };
+        const useSelection = document.getElementById('setting-use-selection');
+        
+        return {
+            model: getValue('setting-model'),
+            temperature: getValue('setting-temperature'),
+            maxOutputTokens: getValue('setting-max-output-tokens'),
+            maxHistory: getValue('setting-max-history'),
+            maxContextTokens: getValue('setting-max-context-tokens'),
+            maxAnalysisCells: getValue('setting-max-analysis-cells'),
+            traceDepth: getValue('setting-trace-depth'),
+            verbosity: getValue('setting-verbosity'),
+            persona: getValue('setting-persona'),
+            defaultScope: getValue('setting-default-scope'),
+            useSelection: useSelection ? useSelection.checked : undefined,
+            promptAddendum: getValue('setting-prompt-addendum')
+        };
+    }
+
+    toggleSettingsPanel(show) {
+        const panel = document.getElementById('settings-panel');
+        const settingsBtn = document.getElementById('settings-btn');
+        if (!panel) return;
+        
+        panel.hidden = !show;
+        if (settingsBtn) settingsBtn.classList.toggle('active', show);
+        if (show) {
+            const keyInput = document.getElementById('api-key-input');
+            if (keyInput && !keyInput.disabled) keyInput.focus();
+        }
+    }
+
+    // Send an entered key to the save callback; the input is cleared once the key is stored
+    async submitApiKey(keyInput, saveBtn, messageEl) {
+        const apiKey = keyInput.value.trim();
+        if (!apiKey || !this.onSaveApiKeyCallback) return;
+        
+        saveBtn.disabled = true;
+        try {
+            await this.onSaveApiKeyCallback(apiKey);
+            keyInput.value = '';
+        } catch (error) {
+            this.setSettingsMessage(messageEl, error.message, true);
+        } finally {
+            saveBtn.disabled = false;
+        }
+    }
+
+    setSettingsMessage(element, message, isError = false) {
+        if (!element) return;
+        element.textContent = message;
+        element.classList.toggle('error', isError);
+    }
+
+    // Show the configured provider and whether a key is saved (see AIService.getApiKeyStatus)
+    showApiKeyStatus(status) {
+        const providerText = document.getElementById('api-key-provider');
+        const keyInput = document.getElementById('api-key-input');
+        const saveBtn = document.getElementById('api-key-save');
+        const removeBtn = document.getElementById('api-key-remove');
+        const keyStatus = document.getElementById('api-key-status');
+        
+        if (providerText) providerText.textContent = `Provider: ${status.label}`;
+        if (keyInput) {
+            keyInput.disabled = !status.usesKey;
+            keyInput.placeholder = status.hasKey ? 'Paste a new key to replace it' : 'Paste your API key';
+        }
+        if (saveBtn) saveBtn.disabled = !status.usesKey;
+        if (removeBtn) removeBtn.hidden = !status.hasKey;
+        
+        let message;
+        if (!status.usesKey) {
+            message = 'This provider does not use an API key.';
+        } else if (status.hasKey) {
+            message = `Saved key: ${status.maskedKey}`;
+        } else {
+            message = status.required ? 'No key saved - the assistant needs one to answer.' : 'No key saved (optional for this provider).';
+        }
+        this.setSettingsMessage(keyStatus, message, false);
+    }
+
+    // First-run screen shown instead of the welcome message while no API key is saved
+    showOnboarding(status) {
+        const chatMessages = document.getElementById('chat-messages');
+        if (!chatMessages) return;
+        
+        chatMessages.innerHTML = '';
+        const onboarding = document.createElement('div');
+        onboarding.className = 'welcome-message';
+        onboarding.innerHTML = `
+            <h3>Connect your AI provider</h3>
+            <p>Excel Assistant uses ${status.label} to answer questions. Add your own API key to get started.</p>
+            <ol class="onboarding-steps">
+                ${status.keyUrl ? `<li>Create a key at <a href="${status.keyUrl}" target="_blank" rel="noopener noreferrer">${status.keyUrl.replace(/^https:\/\//, '')}</a></li>` : '<li>Get an API key from your administrator</li>'}
+                <li>Paste it below and press Save</li>
+            </ol>
+        `;
+        
+        const form = document.createElement('div');
+        form.className = 'onboarding-form';
+        const keyInput = document.createElement('input');
+        keyInput.type = 'password';
+        keyInput.className = 'settings-input';
+        keyInput.placeholder = 'Paste your API key';
+        keyInput.autocomplete = 'off';
+        keyInput.spellcheck = false;
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'settings-save-btn';
+        saveBtn.textContent = 'Save';
+        form.appendChild(keyInput);
+        form.appendChild(saveBtn);
+        onboarding.appendChild(form);
+        
+        const errorLine = document.createElement('div');
+        errorLine.className = 'onboarding-error';
+        onboarding.appendChild(errorLine);
+        
+        const hint = document.createElement('p');
+        hint.className = 'settings-hint';
+        hint.textContent = 'The key is stored for your account on this device only. You can change it later in Settings.';
+        onboarding.appendChild(hint);
+        
+        const save = () => this.submitApiKey(keyInput, saveBtn, errorLine);
+        saveBtn.addEventListener('click', save);
+        keyInput.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                save();
+            }
+        });
+        
+        chatMessages.appendChild(onboarding);
+        keyInput.focus();
+    }
+
+    // Show how many columns are masked before data is sent
+    setSensitiveColumnCount(count) {
+        const sensitiveBtn = document.getElementById('sensitive-columns-btn');
+        if (!sensitiveBtn) return;
+        
+        sensitiveBtn.textContent = count > 0 ? `Sensitive (${count})` : 'Mark sensitive';
+        sensitiveBtn.classList.toggle('active', count > 0);
+    }
+
     // Add clear conversation button
     addClearConversationButton() {
         const inputContainer = document.querySelector('.chat-input-container');
@@ -92,12 +408,56 @@ class UIService {
         inputContainer.appendChild(clearBtn);
     }
 
+    // Add export controls (target picker + button) below the clear button
+    addExportControls() {
+        const inputContainer = document.querySelector('.chat-input-container');
+        if (!inputContainer) return;
+        
+        const exportRow = document.createElement('div');
+        exportRow.className = 'export-row';
+        
+        const formatSelect = document.createElement('select');
+        formatSelect.className = 'export-format';
+        formatSelect.title = 'Export target';
+        [
+            { value: 'sheet', label: 'Chat Log sheet' },
+            { value: 'markdown', label: 'Markdown file' },
+            { value: 'html', label: 'HTML file' }
+        ].forEach(target => {
+            const option = document.createElement('option');
+            option.value = target.value;
+            option.textContent = target.label;
+            formatSelect.appendChild(option);
+        });
+        
+        const exportBtn = document.createElement('button');
+        exportBtn.className = 'export-btn';
+        exportBtn.textContent = 'Export';
+        exportBtn.addEventListener('click', () => {
+            if (this.onExportCallback) this.onExportCallback(formatSelect.value);
+        });
+        
+        exportRow.appendChild(formatSelect);
+        exportRow.appendChild(exportBtn);
+        inputContainer.appendChild(exportRow);
+    }
+
     // Setup data source toggle functionality
     setupDataSourceToggle() {
         const useSelectionCheckbox = document.getElementById('use-selection');
         if (useSelectionCheckbox && this.onDataSourceToggleCallback) {
             useSelectionCheckbox.addEventListener('change', this.onDataSourceToggleCallback);
         }
+        
+        const sheetScopeSelect = document.getElementById('sheet-scope');
+        if (sheetScopeSelect) {
+            if (this.onDataSourceToggleCallback) {
+                sheetScopeSelect.addEventListener('change', this.onDataSourceToggleCallback);
+            }
+            sheetScopeSelect.addEventListener('focus', () => {
+                if (this.onSheetScopeOpenCallback) this.onSheetScopeOpenCallback();
+            });
+        }
     }
 
     // Show clean welcome message
@@ -125,11 +485,9 @@ class UIService {
     }
 
     // Add chat message with enhanced markdown support and data indicators
-    addChatMessage(message, isUser = false, isError = false, conversationLength = 0, dataInfo = null) {
+    addChatMessage(message, isUser = false, isError = false, conversationLength = 0, dataInfo = null, timestamp = null) {
         const chatMessages = document.getElementById('chat-messages');
-        if (!chatMessages) return;
-        
-        const timestamp = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        if (!chatMessages) return null;
         
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${isUser ? 'user' : 'assistant'}`;
@@ -138,22 +496,38 @@ class UIService {
         bubbleDiv.className = `message-bubble ${isError ? 'error-message' : ''}`;
         
         if (!isUser && !isError) {
-            try {
-                bubbleDiv.innerHTML = marked.parse(message);
-            } catch (error) {
-                console.warn('Markdown parsing failed, falling back to plain text:', error);
-                bubbleDiv.textContent = message;
-            }
+            this.renderMarkdown(bubbleDiv, message);
         } else {
             bubbleDiv.textContent = message;
         }
         
+        const timeDiv = this.createTimeElement(!isUser && !isError ? conversationLength : 0, timestamp);
+        
+        messageDiv.appendChild(bubbleDiv);
+        messageDiv.appendChild(timeDiv);
+        chatMessages.appendChild(messageDiv);
+        
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+        return messageDiv;
+    }
+
+    // Render markdown into a bubble, falling back to plain text
+    renderMarkdown(bubbleDiv, message) {
+        try {
+            bubbleDiv.innerHTML = marked.parse(message);
+        } catch (error) {
+            console.warn('Markdown parsing failed, falling back to plain text:', error);
+            bubbleDiv.textContent = message;
+        }
+    }
+
+    // Timestamp footer with clean context indicator
+    createTimeElement(conversationLength = 0, timestamp = null) {
         const timeDiv = document.createElement('div');
         timeDiv.className = 'message-time';
-        timeDiv.textContent = timestamp;
+        timeDiv.textContent = (timestamp ? new Date(timestamp) : new Date()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
         
-        // Clean context indicators
-        if (!isUser && !isError && conversationLength > 1) {
+        if (conversationLength > 1) {
             const contextIndicator = document.createElement('div');
             contextIndicator.style.cssText = `
                 font-size: 10px;
@@ -165,11 +539,503 @@ class UIService {
             timeDiv.appendChild(contextIndicator);
         }
         
+        return timeDiv;
+    }
+
+    // Start an assistant message that is filled in as the answer streams
+    startStreamingMessage() {
+        const chatMessages = document.getElementById('chat-messages');
+        if (!chatMessages) return null;
+        
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message assistant streaming';
+        
+        const bubbleDiv = document.createElement('div');
+        bubbleDiv.className = 'message-bubble';
+        bubbleDiv.innerHTML = '<span class="typing-indicator"><span></span><span></span><span></span></span>';
+        
         messageDiv.appendChild(bubbleDiv);
-        messageDiv.appendChild(timeDiv);
         chatMessages.appendChild(messageDiv);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+        
+        return messageDiv;
+    }
+
+    // Re-render the streamed markdown received so far
+    updateStreamingMessage(messageDiv, text) {
+        if (!messageDiv) return;
         
+        const chatMessages = document.getElementById('chat-messages');
+        const bubbleDiv = messageDiv.querySelector('.message-bubble');
+        
+        // Only follow the stream if the user has not scrolled up to read
+        const atBottom = chatMessages &&
+            chatMessages.scrollHeight - chatMessages.scrollTop - chatMessages.clientHeight < 40;
+        
+        this.renderMarkdown(bubbleDiv, text);
+        
+        if (atBottom) {
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+        }
+    }
+
+    // Finalise a streamed message with its timestamp and partial marker
+    finishStreamingMessage(messageDiv, text, conversationLength = 0, isPartial = false) {
+        if (!messageDiv) return;
+        
+        const bubbleDiv = messageDiv.querySelector('.message-bubble');
+        messageDiv.classList.remove('streaming');
+        
+        if (text) {
+            this.renderMarkdown(bubbleDiv, text);
+        } else {
+            bubbleDiv.innerHTML = '';
+        }
+        
+        if (isPartial) {
+            const partialNote = document.createElement('div');
+            partialNote.className = 'partial-note';
+            partialNote.textContent = text ? 'Stopped - partial answer' : 'Stopped before any answer was generated';
+            bubbleDiv.appendChild(partialNote);
+        }
+        
+        messageDiv.appendChild(this.createTimeElement(conversationLength));
+        
+        const chatMessages = document.getElementById('chat-messages');
+        if (chatMessages) {
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+        }
+    }
+
+    // Trust badge under an answer: how many quoted figures match the sheet (see AnswerVerifier)
+    // Expanding it lists each figure with the cell it was checked against
+    showTrustBadge(messageDiv, verification, onNavigate) {
+        const bubbleDiv = messageDiv && messageDiv.querySelector('.message-bubble');
+        if (!bubbleDiv || !verification) return;
+        
+        const total = verification.figures.length;
+        const figures = total === 1 ? '1 figure' : `${total} figures`;
+        const summaries = {
+            verified: `✓ ${figures} verified against the sheet`,
+            partial: `✓ ${verification.verified} of ${figures} verified against the sheet`,
+            mismatch: `⚠ ${verification.mismatched} of ${figures} ${verification.mismatched === 1 ? 'differs' : 'differ'} from the sheet`,
+            unverified: `? ${figures} could not be checked against the sheet`
+        };
+        
+        const badge = document.createElement('details');
+        badge.className = `trust-badge trust-${verification.level}`;
+        const summary = document.createElement('summary');
+        summary.textContent = summaries[verification.level];
+        badge.appendChild(summary);
+        
+        const list = document.createElement('ul');
+        list.className = 'audit-list';
+        verification.figures.forEach(figure => {
+            const item = document.createElement('li');
+            
+            const status = document.createElement('span');
+            status.className = `audit-severity trust-status-${figure.status}`;
+            status.textContent = figure.status;
+            item.appendChild(status);
+            
+            const text = document.createElement('span');
+            text.className = 'trace-label';
+            const labels = [figure.rowLabel, figure.columnLabel].filter(Boolean).join(' / ');
+            text.textContent = `${figure.text}${labels ? ` (${labels})` : ''}`;
+            item.appendChild(text);
+            
+            if (figure.source) {
+                const detail = document.createElement('span');
+                detail.className = 'trace-label';
+                detail.textContent = figure.status === 'mismatched'
+                    ? ` - sheet has ${figure.source.value.toLocaleString()} (${figure.source.description})`
+                    : ` - ${figure.source.description}`;
+                item.appendChild(detail);
+            }
+            if (figure.source && figure.source.address) {
+                const address = document.createElement('span');
+                address.className = 'trace-address';
+                address.textContent = ` ${figure.source.address}`;
+                address.title = 'Select in workbook';
+                address.addEventListener('click', () => {
+                    if (onNavigate) onNavigate(figure.source.address);
+                });
+                item.appendChild(address);
+            }
+            list.appendChild(item);
+        });
+        badge.appendChild(list);
+        bubbleDiv.appendChild(badge);
+    }
+
+    // Show proposed workbook edits as a diff card with Apply / Discard actions
+    showEditProposalCard(preview, onApply, onDiscard) {
+        const chatMessages = document.getElementById('chat-messages');
+        if (!chatMessages) return null;
+        
+        const MAX_ROWS_SHOWN = 40;
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message assistant';
+        
+        const card = document.createElement('div');
+        card.className = 'message-bubble edit-card';
+        
+        const header = document.createElement('div');
+        header.className = 'edit-card-header';
+        header.textContent = `Proposed changes: ${preview.validCount} edit(s), ${preview.cellCount} cell(s)`;
+        card.appendChild(header);
+        
+        const table = document.createElement('table');
+        table.className = 'edit-diff';
+        table.innerHTML = '<thead><tr><th>Address</th><th>Old</th><th>New</th></tr></thead>';
+        const tbody = document.createElement('tbody');
+        let rowsShown = 0;
+        
+        preview.diff.forEach(item => {
+            const groupRow = document.createElement('tr');
+            groupRow.className = `edit-group${item.error ? ' edit-invalid' : ''}`;
+            const groupCell = document.createElement('td');
+            groupCell.colSpan = 3;
+            groupCell.textContent = item.error ? `${item.label} — skipped: ${item.error}` : item.label;
+            groupRow.appendChild(groupCell);
+            tbody.appendChild(groupRow);
+            
+            item.cells.forEach(cell => {
+                if (rowsShown >= MAX_ROWS_SHOWN) return;
+                rowsShown++;
+                
+                const row = document.createElement('tr');
+                [`${item.sheet ? item.sheet + '!' : ''}${cell.address}`, cell.oldValue, cell.newValue].forEach((value, i) => {
+                    const td = document.createElement('td');
+                    td.textContent = value === null || value === undefined || value === '' ? '—' : String(value);
+                    if (i === 1) td.className = 'edit-old';
+                    if (i === 2) td.className = 'edit-new';
+                    row.appendChild(td);
+                });
+                tbody.appendChild(row);
+            });
+        });
+        
+        if (preview.cellCount > rowsShown) {
+            const moreRow = document.createElement('tr');
+            moreRow.innerHTML = `<td colspan="3" class="edit-more">... and ${preview.cellCount - rowsShown} more cell(s)</td>`;
+            tbody.appendChild(moreRow);
+        }
+        
+        table.appendChild(tbody);
+        card.appendChild(table);
+        
+        const actions = document.createElement('div');
+        actions.className = 'edit-card-actions';
+        const applyBtn = document.createElement('button');
+        applyBtn.className = 'edit-apply-btn';
+        applyBtn.textContent = 'Apply';
+        applyBtn.disabled = preview.validCount === 0;
+        const discardBtn = document.createElement('button');
+        discardBtn.className = 'edit-discard-btn';
+        discardBtn.textContent = 'Discard';
+        actions.appendChild(applyBtn);
+        actions.appendChild(discardBtn);
+        card.appendChild(actions);
+        
+        const statusLine = document.createElement('div');
+        statusLine.className = 'edit-card-status';
+        card.appendChild(statusLine);
+        
+        const settle = (text) => {
+            applyBtn.disabled = true;
+            discardBtn.disabled = true;
+            statusLine.textContent = text;
+        };
+        
+        applyBtn.addEventListener('click', async () => {
+            applyBtn.disabled = true;
+            discardBtn.disabled = true;
+            statusLine.textContent = 'Applying...';
+            try {
+                const result = await onApply();
+                settle(`Applied ${result.editsApplied} edit(s) to ${result.cellsWritten} cell(s)`);
+                card.classList.add('edit-applied');
+            } catch (error) {
+                statusLine.textContent = error.message;
+                applyBtn.disabled = false;
+                discardBtn.disabled = false;
+            }
+        });
+        
+        discardBtn.addEventListener('click', () => {
+            settle('Discarded - no changes made');
+            if (onDiscard) onDiscard();
+        });
+        
+        messageDiv.appendChild(card);
+        chatMessages.appendChild(messageDiv);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+        return messageDiv;
+    }
+
+    // Show a chart preview card with a chart-type picker and Insert / Discard actions
+    showChartProposalCard(spec, chartTypes, onInsert, onDiscard) {
+        const chatMessages = document.getElementById('chat-messages');
+        if (!chatMessages) return null;
+        
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message assistant';
+        
+        const card = document.createElement('div');
+        card.className = 'message-bubble edit-card chart-card';
+        
+        const header = document.createElement('div');
+        header.className = 'edit-card-header';
+        header.textContent = `Chart: ${spec.title}`;
+        card.appendChild(header);
+        
+        const details = document.createElement('table');
+        details.className = 'edit-diff';
+        const tbody = document.createElement('tbody');
+        const addDetail = (label, value) => {
+            const row = document.createElement('tr');
+            const labelCell = document.createElement('td');
+            labelCell.textContent = label;
+            const valueCell = document.createElement('td');
+            valueCell.textContent = value;
+            row.appendChild(labelCell);
+            row.appendChild(valueCell);
+            tbody.appendChild(row);
+        };
+        addDetail('Categories', `${spec.sheet}!${spec.categories.address} (${spec.categories.labels.slice(0, 6).join(', ')}${spec.categories.labels.length > 6 ? ', ...' : ''})`);
+        spec.series.forEach(series => addDetail('Series', `${series.name} — ${series.address}`));
+        details.appendChild(tbody);
+        card.appendChild(details);
+        
+        const typeRow = document.createElement('div');
+        typeRow.className = 'chart-type-row';
+        const typeLabel = document.createElement('label');
+        typeLabel.textContent = 'Chart type';
+        const typeSelect = document.createElement('select');
+        typeSelect.className = 'chart-type-select';
+        chartTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.value;
+            option.textContent = type.label;
+            option.selected = type.value === spec.chartType;
+            typeSelect.appendChild(option);
+        });
+        typeLabel.appendChild(typeSelect);
+        typeRow.appendChild(typeLabel);
+        card.appendChild(typeRow);
+        
+        const actions = document.createElement('div');
+        actions.className = 'edit-card-actions';
+        const insertBtn = document.createElement('button');
+        insertBtn.className = 'edit-apply-btn';
+        insertBtn.textContent = 'Insert chart';
+        const discardBtn = document.createElement('button');
+        discardBtn.className = 'edit-discard-btn';
+        discardBtn.textContent = 'Discard';
+        actions.appendChild(insertBtn);
+        actions.appendChild(discardBtn);
+        card.appendChild(actions);
+        
+        const statusLine = document.createElement('div');
+        statusLine.className = 'edit-card-status';
+        card.appendChild(statusLine);
+        
+        const settle = (text) => {
+            insertBtn.disabled = true;
+            discardBtn.disabled = true;
+            typeSelect.disabled = true;
+            statusLine.textContent = text;
+        };
+        
+        insertBtn.addEventListener('click', async () => {
+            insertBtn.disabled = true;
+            statusLine.textContent = 'Inserting...';
+            try {
+                const result = await onInsert(typeSelect.value);
+                settle(`Inserted ${result.name}`);
+                card.classList.add('edit-applied');
+            } catch (error) {
+                statusLine.textContent = error.message;
+                insertBtn.disabled = false;
+            }
+        });
+        
+        discardBtn.addEventListener('click', () => {
+            settle('Discarded - no chart inserted');
+            if (onDiscard) onDiscard();
+        });
+        
+        messageDiv.appendChild(card);
+        chatMessages.appendChild(messageDiv);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+        return messageDiv;
+    }
+
+    // Re-render a saved conversation (messages: [{ role, content, partial, timestamp }])
+    restoreConversation(messages) {
+        this.clearChatMessages();
+        
+        let exchanges = 0;
+        messages.forEach(msg => {
+            const isUser = msg.role === 'user';
+            if (!isUser) exchanges++;
+            
+            const messageDiv = this.addChatMessage(msg.content, isUser, false, exchanges, null, msg.timestamp);
+            if (messageDiv && msg.partial) {
+                const partialNote = document.createElement('div');
+                partialNote.className = 'partial-note';
+                partialNote.textContent = msg.content ? 'Stopped - partial answer' : 'Stopped before any answer was generated';
+                messageDiv.querySelector('.message-bubble').appendChild(partialNote);
+            }
+        });
+        
+        const notice = document.createElement('div');
+        notice.className = 'restored-note';
+        notice.textContent = 'Previous conversation restored';
+        const chatMessages = document.getElementById('chat-messages');
+        if (chatMessages) {
+            chatMessages.insertBefore(notice, chatMessages.firstChild);
+        }
+    }
+
+    // Show the precedent tree of a traced cell; clicking an address calls onNavigate(address)
+    showPrecedentTree(trace, formatValue, onNavigate) {
+        const chatMessages = document.getElementById('chat-messages');
+        if (!chatMessages) return null;
+        
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message assistant';
+        
+        const card = document.createElement('div');
+        card.className = 'message-bubble edit-card trace-card';
+        
+        const header = document.createElement('div');
+        header.className = 'edit-card-header';
+        header.textContent = `Precedents of ${trace.root.address} (${trace.nodeCount} cells/ranges, ${trace.maxDepth} levels${trace.truncated ? ', truncated' : ''})`;
+        card.appendChild(header);
+        
+        const buildNode = (node) => {
+            const item = document.createElement('li');
+            
+            const address = document.createElement('span');
+            address.className = 'trace-address';
+            address.textContent = node.address;
+            address.title = 'Select in workbook';
+            address.addEventListener('click', () => {
+                if (onNavigate) onNavigate(node.address);
+            });
+            item.appendChild(address);
+            
+            if (node.label) {
+                const label = document.createElement('span');
+                label.className = 'trace-label';
+                label.textContent = node.label;
+                item.appendChild(label);
+            }
+            
+            const value = document.createElement('span');
+            value.className = 'trace-value';
+            value.textContent = formatValue(node);
+            item.appendChild(value);
+            
+            if (node.formula) {
+                const formula = document.createElement('code');
+                formula.className = 'trace-formula';
+                formula.textContent = node.formula;
+                item.appendChild(formula);
+            }
+            
+            if (node.children.length > 0) {
+                const list = document.createElement('ul');
+                node.children.forEach(child => list.appendChild(buildNode(child)));
+                item.appendChild(list);
+            }
+            return item;
+        };
+        
+        const tree = document.createElement('ul');
+        tree.className = 'trace-tree';
+        tree.appendChild(buildNode(trace.root));
+        card.appendChild(tree);
+        
+        messageDiv.appendChild(card);
+        chatMessages.appendChild(messageDiv);
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+        return messageDiv;
+    }
+
+    // Show formula audit findings; clicking an address calls onNavigate(address)
+    showAuditFindings(audit, onNavigate) {
+        const chatMessages = document.getElementById('chat-messages');
+        if (!chatMessages) return null;
+        
+        const MAX_SHOWN = 30;
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message assistant';
+        
+        const card = document.createElement('div');
+        card.className = 'message-bubble edit-card audit-card';
+        
+        const header = document.createElement('div');
+        header.className = 'edit-card-header';
+        header.textContent = audit.issueCount === 0
+            ? `Formula audit: no issues in ${audit.formulaCells} formulas`
+            : `Formula audit: ${audit.issueCount} issue(s) in ${audit.formulaCells} formulas`;
+        card.appendChild(header);
+        
+        const list = document.createElement('ul');
+        list.className = 'audit-list';
+        audit.findings.slice(0, MAX_SHOWN).forEach(finding => {
+            const item = document.createElement('li');
+            
+            const severity = document.createElement('span');
+            severity.className = `audit-severity audit-${finding.severity}`;
+            severity.textContent = finding.severity;
+            item.appendChild(severity);
+            
+            const address = document.createElement('span');
+            address.className = 'trace-address';
+            address.textContent = finding.address;
+            address.title = 'Select in workbook';
+            address.addEventListener('click', () => {
+                if (onNavigate) onNavigate(finding.address);
+            });
+            item.appendChild(address);
+            
+            const message = document.createElement('span');
+            message.className = 'trace-label';
+            message.textContent = finding.message;
+            item.appendChild(message);
+            
+            if (finding.formula) {
+                const formula = document.createElement('code');
+                formula.className = 'trace-formula';
+                formula.textContent = finding.formula;
+                item.appendChild(formula);
+            }
+            list.appendChild(item);
+        });
+        card.appendChild(list);
+        
+        if (audit.issueCount > MAX_SHOWN) {
+            const more = document.createElement('div');
+            more.className = 'edit-card-status';
+            more.textContent = `... and ${audit.issueCount - Math.min(MAX_SHOWN, audit.findings.length)} more`;
+            card.appendChild(more);
+        }
+        
+        messageDiv.appendChild(card);
+        chatMessages.appendChild(messageDiv);
         chatMessages.scrollTop = chatMessages.scrollHeight;
+        return messageDiv;
+    }
+
+    // Remove a message element (e.g. an unfinished stream after an error)
+    removeMessage(messageDiv) {
+        if (messageDiv && messageDiv.parentNode) {
+            messageDiv.parentNode.removeChild(messageDiv);
+        }
     }
 
     // Update status message
@@ -180,6 +1046,32 @@ class UIService {
         }
     }
 
+    // Context meter: tokens sent against the budget; the tooltip lists what was trimmed or dropped
+    updateContextMeter(usage) {
+        const meter = document.getElementById('context-meter');
+        const fill = document.getElementById('context-meter-fill');
+        const text = document.getElementById('context-meter-text');
+        if (!meter || !fill || !text || !usage) return;
+        
+        const formatTokens = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens));
+        
+        fill.style.width = `${Math.min(100, Math.round((usage.used / usage.budget) * 100))}%`;
+        text.textContent = `${usage.method === 'estimate' ? '~' : ''}${formatTokens(usage.used)} / ${formatTokens(usage.budget)}` +
+            (usage.dropped.length > 0 ? ` • ${usage.dropped.length} dropped` : '');
+        meter.classList.toggle('trimmed', usage.dropped.length > 0 || usage.trimmed.length > 0);
+        
+        let tooltip = `Context used: ${usage.used.toLocaleString()} of ${usage.budget.toLocaleString()} tokens` +
+            (usage.method === 'estimate' ? ' (estimated)' : '');
+        if (usage.redacted > 0) tooltip += `\nMasked: ${usage.redacted} personal values replaced by placeholders`;
+        if (usage.shrunk) tooltip += '\nReduced: the model rejected a larger prompt, so less data was sent';
+        if (usage.dropped.length > 0) tooltip += `\nDropped: ${usage.dropped.map(section => section.label).join(', ')}`;
+        if (usage.trimmed.length > 0) {
+            tooltip += `\nTrimmed: ${usage.trimmed.map(section => `${section.label} (${section.kept} of ${section.total})`).join(', ')}`;
+        }
+        meter.title = tooltip;
+        meter.hidden = false;
+    }
+
     // Show/hide loading overlay
     showLoading(show) {
         const loadingOverlay = document.getElementById('loading-overlay');
@@ -192,26 +1084,50 @@ class UIService {
     setControlsEnabled(enabled) {
         const userInput = document.getElementById('user-input');
         const sendBtn = document.getElementById('send-btn');
+        const explainBtn = document.getElementById('explain-cell-btn');
+        const sensitiveBtn = document.getElementById('sensitive-columns-btn');
         
         if (userInput) userInput.disabled = !enabled;
         if (sendBtn) sendBtn.disabled = !enabled;
+        if (explainBtn) explainBtn.disabled = !enabled;
+        if (sensitiveBtn) sensitiveBtn.disabled = !enabled;
+        
+        const sheetScopeSelect = document.getElementById('sheet-scope');
+        if (sheetScopeSelect) sheetScopeSelect.disabled = !enabled;
     }
 
-    // Show clean error message
-    showError(message) {
-        let cleanMessage = message;
+    // False while a request is being processed
+    areControlsEnabled() {
+        const userInput = document.getElementById('user-input');
+        return userInput ? !userInput.disabled : true;
+    }
+
+    // Swap the send button for the stop button while an answer is streaming
+    setStreaming(isStreaming) {
+        const sendBtn = document.getElementById('send-btn');
+        const stopBtn = document.getElementById('stop-btn');
         
-        // Add helpful context for common errors
-        if (message.includes('API key')) {
-            cleanMessage += '\n\n**Troubleshooting:** Please ensure your Gemini API key is configured in your .env file.';
-        } else if (message.includes('quota')) {
-            cleanMessage += '\n\n**Troubleshooting:** API quota exceeded. Please try again later or check your billing settings.';
-        } else if (message.includes('Excel data')) {
-            cleanMessage += '\n\n**Troubleshooting:** Try selecting a data range first, or ensure your worksheet contains data.';
+        if (sendBtn) sendBtn.style.display = isStreaming ? 'none' : 'flex';
+        if (stopBtn) {
+            stopBtn.style.display = isStreaming ? 'flex' : 'none';
+            stopBtn.disabled = !isStreaming;
         }
+    }
+
+    // Show an error message; typed errors (see assistantErrors.js) add what the user can do about it
+    showError(error) {
+        const message = typeof error === 'string' ? error : error.message;
+        const hint = error && error.hint ? `\n\n${error.hint}` : '';
         
-        this.addChatMessage(cleanMessage, false, true);
-        this.updateStatus('Error occurred - see message for details');
+        this.addChatMessage(message + hint, false, true);
+        this.updateStatus(`${(error && error.title) || 'Error occurred'} - see message for details`);
+    }
+
+    // Countdown shown in the reply bubble and status bar while a failed request waits to be retried
+    showRetryCountdown(streamingMessage, retry) {
+        const text = `${retry.error.title} - retrying in ${retry.secondsLeft}s (attempt ${retry.attempt} of ${retry.maxAttempts})`;
+        this.updateStatus(`${text}...`);
+        this.updateStreamingMessage(streamingMessage, `_${text}..._`);
     }
 
     // Get user input value
@@ -228,6 +1144,14 @@ class UIService {
         }
     }
 
+    // Preset the input box (used by ribbon and context-menu commands)
+    setUserInput(text) {
+        const userInput = document.getElementById('user-input');
+        if (userInput) {
+            userInput.value = text;
+        }
+    }
+
     // Focus on user input
     focusUserInput() {
         const userInput = document.getElementById('user-input');
@@ -250,13 +1174,64 @@ class UIService {
         return useSelectionCheckbox ? useSelectionCheckbox.checked : true;
     }
 
+    setUseSelectionState(useSelection) {
+        const useSelectionCheckbox = document.getElementById('use-selection');
+        if (useSelectionCheckbox) {
+            useSelectionCheckbox.checked = useSelection;
+        }
+    }
+
+    // Sheet scope: 'active', 'auto', 'all' or 'sheet:<name>'
+    getSheetScope() {
+        const sheetScopeSelect = document.getElementById('sheet-scope');
+        return sheetScopeSelect ? sheetScopeSelect.value : 'active';
+    }
+
+    setSheetScope(scope) {
+        const sheetScopeSelect = document.getElementById('sheet-scope');
+        if (sheetScopeSelect) {
+            sheetScopeSelect.value = scope;
+        }
+    }
+
+    // List the workbook's sheets under the fixed scope options, keeping the current choice if it still exists
+    setSheetScopeOptions(sheetNames) {
+        const sheetScopeSelect = document.getElementById('sheet-scope');
+        if (!sheetScopeSelect) return;
+        
+        const current = sheetScopeSelect.value;
+        const existingGroup = sheetScopeSelect.querySelector('optgroup');
+        if (existingGroup) existingGroup.remove();
+        
+        const group = document.createElement('optgroup');
+        group.label = 'Sheet';
+        sheetNames.forEach(name => {
+            const option = document.createElement('option');
+            option.value = `sheet:${name}`; // Prefixed so a sheet called "All" cannot clash with the scopes
+            option.textContent = name;
+            group.appendChild(option);
+        });
+        sheetScopeSelect.appendChild(group);
+        
+        const stillAvailable = Array.from(sheetScopeSelect.options).some(option => option.value === current);
+        sheetScopeSelect.value = stillAvailable ? current : 'active';
+    }
+
     // Handle data source toggle
     handleDataSourceToggle() {
-        if (this.getUseSelectionState()) {
-            this.updateStatus('Using selected range (or auto-detect if no selection)');
-        } else {
-            this.updateStatus('Using full sheet with intelligent sampling');
+        const scope = this.getSheetScope();
+        let status = this.getUseSelectionState()
+            ? 'Using selected range (or auto-detect if no selection)'
+            : 'Using full sheet with intelligent sampling';
+        
+        if (scope === 'auto') {
+            status += ' • Adding the sheets relevant to each question';
+        } else if (scope === 'all') {
+            status += ' • Reading all sheets';
+        } else if (scope !== 'active') {
+            status = `Reading sheet "${scope.replace(/^sheet:/, '')}" (selection only applies to the active sheet)`;
         }
+        this.updateStatus(status);
     }
 }
 
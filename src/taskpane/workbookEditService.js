@@ -0,0 +1,289 @@
+/* global Excel */
+
+// WorkbookEditService - Previews and applies AI-proposed workbook edits
+// Supported actions: setValues, insertFormula, addRows, createSheet
+class WorkbookEditService {
+    constructor(dataService) {
+        this.dataService = dataService;
+        this.CONFIG = {
+            MAX_EDIT_CELLS: 5000, // Refuse proposals that would touch more cells than this
+            EDIT_BLOCK_LANGUAGE: 'excel-edits'
+        };
+        this.SUPPORTED_ACTIONS = ['setValues', 'insertFormula', 'addRows', 'createSheet'];
+    }
+
+    // Split an AI answer into display text and the edit proposals it contains
+    extractEditProposals(text) {
+        const blockPattern = new RegExp('```' + this.CONFIG.EDIT_BLOCK_LANGUAGE + '\\s*([\\s\\S]*?)```', 'g');
+        const edits = [];
+        let match;
+
+        while ((match = blockPattern.exec(text)) !== null) {
+            try {
+                const parsed = JSON.parse(match[1]);
+                const proposed = Array.isArray(parsed) ? parsed : parsed.edits;
+                if (Array.isArray(proposed)) {
+                    edits.push(...proposed);
+                }
+            } catch (error) {
+                console.warn('Ignoring malformed edit proposal block:', error);
+            }
+        }
+
+        return {
+            displayText: this.stripEditBlocks(text),
+            edits: edits.map(edit => this.normalizeEdit(edit))
+        };
+    }
+
+    // Remove complete (and still-streaming) edit blocks from text shown in the chat
+    stripEditBlocks(text) {
+        const fence = '```' + this.CONFIG.EDIT_BLOCK_LANGUAGE;
+        let result = text.replace(new RegExp(fence + '[\\s\\S]*?```', 'g'), '');
+        const openIndex = result.indexOf(fence);
+        if (openIndex !== -1) {
+            result = result.substring(0, openIndex);
+        }
+        return result.trim();
+    }
+
+    // Normalise a single proposal and record why it is invalid, if it is
+    normalizeEdit(edit) {
+        const normalized = {
+            action: edit && edit.action,
+            sheet: edit && edit.sheet ? String(edit.sheet) : null,
+            address: edit && edit.address ? String(edit.address).replace(/\$/g, '') : null,
+            values: null,
+            name: edit && edit.name ? String(edit.name) : null,
+            error: null
+        };
+
+        if (!this.SUPPORTED_ACTIONS.includes(normalized.action)) {
+            normalized.error = `Unsupported action "${normalized.action}"`;
+            return normalized;
+        }
+
+        // Accept a single value/formula as shorthand for a 1×1 grid
+        let values = edit.values !== undefined ? edit.values : edit.formulas;
+        if (values === undefined && edit.value !== undefined) values = [[edit.value]];
+        if (values === undefined && edit.formula !== undefined) values = [[edit.formula]];
+        if (values !== undefined && !Array.isArray(values)) values = [[values]];
+        if (Array.isArray(values) && values.length > 0 && !Array.isArray(values[0])) values = [values];
+        normalized.values = values || null;
+
+        if (normalized.action === 'createSheet') {
+            if (!normalized.name) normalized.error = 'createSheet needs a sheet name';
+            if (normalized.values && !normalized.address) normalized.address = 'A1';
+            return normalized;
+        }
+
+        if (!normalized.address || !/^[A-Z]{1,3}\d+(:[A-Z]{1,3}\d+)?$/i.test(normalized.address)) {
+            normalized.error = `Invalid address "${normalized.address}"`;
+        } else if (!normalized.values || normalized.values.length === 0) {
+            normalized.error = 'No values supplied';
+        } else if (normalized.values.some(row => row.length !== normalized.values[0].length)) {
+            normalized.error = 'Rows have different lengths';
+        } else if (normalized.values.length * normalized.values[0].length > this.CONFIG.MAX_EDIT_CELLS) {
+            normalized.error = `Edit touches more than ${this.CONFIG.MAX_EDIT_CELLS} cells`;
+        } else if (normalized.action === 'insertFormula' &&
+                   normalized.values.some(row => row.some(cell => typeof cell !== 'string' || !cell.startsWith('=')))) {
+            normalized.error = 'insertFormula values must be formulas starting with "="';
+        }
+
+        normalized.address = normalized.address ? normalized.address.toUpperCase() : null;
+        return normalized;
+    }
+
+    // Load current cell contents and build a per-cell diff for the preview card
+    async previewEdits(edits) {
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const activeSheet = context.workbook.worksheets.getActiveWorksheet();
+                    activeSheet.load('name');
+                    const worksheets = context.workbook.worksheets;
+                    worksheets.load('items/name');
+                    await context.sync();
+
+                    const existingSheets = new Set(worksheets.items.map(ws => ws.name));
+                    const pendingSheets = new Set();
+                    const loaded = [];
+
+                    // Queue loads for every edit, then sync once
+                    edits.forEach((edit, index) => {
+                        if (edit.error) return;
+
+                        if (edit.action === 'createSheet') {
+                            if (existingSheets.has(edit.name) || pendingSheets.has(edit.name)) {
+                                edit.error = `Sheet "${edit.name}" already exists`;
+                            } else {
+                                pendingSheets.add(edit.name);
+                            }
+                            return;
+                        }
+
+                        const sheetName = edit.sheet || activeSheet.name;
+                        edit.sheet = sheetName;
+
+                        if (pendingSheets.has(sheetName) || edit.action === 'addRows') {
+                            // New sheet or inserted rows: nothing to overwrite
+                            return;
+                        }
+                        if (!existingSheets.has(sheetName)) {
+                            edit.error = `Sheet "${sheetName}" not found`;
+                            return;
+                        }
+
+                        const range = this.getTargetRange(context.workbook.worksheets.getItem(sheetName), edit);
+                        range.load(['values', 'formulas', 'rowCount', 'columnCount']);
+                        loaded.push({ index, range });
+                    });
+
+                    await context.sync();
+
+                    const snapshots = {};
+                    loaded.forEach(({ index, range }) => {
+                        snapshots[index] = { values: range.values, formulas: range.formulas };
+                    });
+
+                    const diff = edits.map((edit, index) => this.buildEditDiff(edit, snapshots[index]));
+                    resolve({
+                        edits: edits,
+                        diff: diff,
+                        snapshots: snapshots,
+                        validCount: edits.filter(edit => !edit.error).length,
+                        cellCount: diff.reduce((sum, item) => sum + item.cells.length, 0)
+                    });
+                } catch (error) {
+                    reject(new Error('Failed to preview workbook edits: ' + error.message));
+                }
+            });
+        });
+    }
+
+    // Target range for an edit, sized to its values grid
+    getTargetRange(sheet, edit) {
+        const rows = edit.values.length;
+        const cols = edit.values[0].length;
+        const topLeft = edit.address.split(':')[0];
+        return sheet.getRange(topLeft).getResizedRange(rows - 1, cols - 1);
+    }
+
+    // Build the per-cell old/new list for one edit
+    buildEditDiff(edit, snapshot) {
+        const item = {
+            action: edit.action,
+            sheet: edit.sheet,
+            label: this.describeEdit(edit),
+            error: edit.error,
+            cells: []
+        };
+
+        if (edit.error || !edit.values) return item;
+
+        const topLeft = edit.address.split(':')[0];
+        const startCol = this.dataService.getColumnNumber(topLeft.match(/[A-Z]+/)[0]);
+        const startRow = parseInt(topLeft.match(/\d+/)[0], 10);
+
+        edit.values.forEach((row, r) => {
+            row.forEach((newValue, c) => {
+                let oldValue = null;
+                if (snapshot) {
+                    const oldFormula = snapshot.formulas[r][c];
+                    oldValue = typeof oldFormula === 'string' && oldFormula.startsWith('=') ? oldFormula : snapshot.values[r][c];
+                }
+                item.cells.push({
+                    address: `${this.dataService.getColumnLetter(startCol + c)}${startRow + r}`,
+                    oldValue: oldValue,
+                    newValue: newValue
+                });
+            });
+        });
+
+        return item;
+    }
+
+    // Human-readable one-line summary of an edit
+    describeEdit(edit) {
+        switch (edit.action) {
+            case 'createSheet':
+                return `Create sheet "${edit.name}"`;
+            case 'addRows':
+                return `Insert ${edit.values ? edit.values.length : 0} row(s) at ${edit.sheet ? edit.sheet + '!' : ''}${edit.address}`;
+            case 'insertFormula':
+                return `Insert formula(s) at ${edit.sheet ? edit.sheet + '!' : ''}${edit.address}`;
+            default:
+                return `Set values at ${edit.sheet ? edit.sheet + '!' : ''}${edit.address}`;
+        }
+    }
+
+    // Apply the previewed edits in one Excel batch
+    // Edits whose target cells changed since the preview are refused
+    async applyEdits(preview) {
+        return new Promise((resolve, reject) => {
+            Excel.run(async (context) => {
+                try {
+                    const worksheets = context.workbook.worksheets;
+                    const validEdits = preview.edits
+                        .map((edit, index) => ({ edit, index }))
+                        .filter(({ edit }) => !edit.error);
+
+                    // Re-read the cells that were previewed to detect concurrent changes
+                    const current = [];
+                    validEdits.forEach(({ edit, index }) => {
+                        if (preview.snapshots[index]) {
+                            const range = this.getTargetRange(worksheets.getItem(edit.sheet), edit);
+                            range.load('formulas');
+                            current.push({ index, range });
+                        }
+                    });
+                    await context.sync();
+
+                    const changed = current.filter(({ index, range }) =>
+                        JSON.stringify(range.formulas) !== JSON.stringify(preview.snapshots[index].formulas)
+                    );
+                    if (changed.length > 0) {
+                        throw new Error('Some target cells changed since the preview. Ask again to refresh the proposal.');
+                    }
+
+                    let cellsWritten = 0;
+                    validEdits.forEach(({ edit }) => {
+                        if (edit.action === 'createSheet') {
+                            const newSheet = worksheets.add(edit.name);
+                            if (edit.values) {
+                                this.getTargetRange(newSheet, edit).values = edit.values;
+                                cellsWritten += edit.values.length * edit.values[0].length;
+                            }
+                            return;
+                        }
+
+                        const sheet = worksheets.getItem(edit.sheet);
+                        const target = this.getTargetRange(sheet, edit);
+
+                        if (edit.action === 'addRows') {
+                            target.getEntireRow().insert(Excel.InsertShiftDirection.down);
+                            // Re-resolve after the insert so values land in the new rows
+                            this.getTargetRange(sheet, edit).values = edit.values;
+                        } else if (edit.action === 'insertFormula') {
+                            target.formulas = edit.values;
+                        } else {
+                            target.values = edit.values;
+                        }
+                        cellsWritten += edit.values.length * edit.values[0].length;
+                    });
+
+                    await context.sync();
+
+                    resolve({ editsApplied: validEdits.length, cellsWritten: cellsWritten });
+                } catch (error) {
+                    reject(new Error('Failed to apply workbook edits: ' + error.message));
+                }
+            });
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof window !== 'undefined') {
+    window.WorkbookEditService = WorkbookEditService;
+}
@@ -21,7 +21,6 @@ module.exports = async (env, options) => {
     entry: {
       polyfill: ["core-js/stable", "regenerator-runtime/runtime"],
       taskpane: ["./src/taskpane/taskpane.js", "./src/taskpane/taskpane.html"],
-      commands: "./src/commands/commands.js",
     },
     output: {
       clean: true,
@@ -53,8 +52,12 @@ module.exports = async (env, options) => {
       ],
     },
     plugins: [
+      // Only non-secret settings are built in; API keys are entered by each user at runtime
       new webpack.DefinePlugin({
-        'process.env.GEMINI_API_KEY': JSON.stringify(process.env.GEMINI_API_KEY),
+        'process.env.LLM_PROVIDER': JSON.stringify(process.env.LLM_PROVIDER),
+        'process.env.LLM_BASE_URL': JSON.stringify(process.env.LLM_BASE_URL),
+        'process.env.LLM_MODEL': JSON.stringify(process.env.LLM_MODEL),
+        'process.env.RELAY_URL': JSON.stringify(process.env.RELAY_URL),
       }),
       new HtmlWebpackPlugin({
         filename: "taskpane.html",
@@ -67,6 +70,10 @@ module.exports = async (env, options) => {
             from: "assets/*",
             to: "assets/[name][ext][query]",
           },
+          {
+            from: "src/functions/functions.json",
+            to: "functions.json",
+          },
           {
             from: "manifest*.xml",
             to: "[name]" + "[ext]",
@@ -80,11 +87,6 @@ module.exports = async (env, options) => {
           },
         ],
       }),
-      new HtmlWebpackPlugin({
-        filename: "commands.html",
-        template: "./src/commands/commands.html",
-        chunks: ["polyfill", "commands"],
-      }),
     ],
     devServer: {
       headers: {